@@ -1,28 +1,34 @@
 require('dotenv').config();
 const express = require('express');
+const cookieParser = require('cookie-parser');
 const SpotifyWebApi = require('spotify-web-api-node');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Spotify API setup
-const spotifyApi = new SpotifyWebApi({
-  clientId: process.env.SPOTIFY_CLIENT_ID,
-  clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-  redirectUri: process.env.REDIRECT_URI
-});
+// Spotify API setup - every logged in user gets their own client
+function createSpotifyClient() {
+  return new SpotifyWebApi({
+    clientId: process.env.SPOTIFY_CLIENT_ID,
+    clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
+    redirectUri: process.env.REDIRECT_URI
+  });
+}
 
-// Cache configuration
+// Cache configuration - each user's files live in their own directory
 const CACHE_DIR = path.join(__dirname, '..', 'cache');
-const LIKED_SONGS_CACHE_FILE = path.join(CACHE_DIR, 'liked-songs.json');
-const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+const USERS_CACHE_DIR = path.join(CACHE_DIR, 'users');
+const LIKED_SONGS_CACHE_FILE = 'liked-songs.json';
+const DELTA_SYNC_INTERVAL = 5 * 60 * 1000; // 5 minutes in milliseconds
+const FULL_SYNC_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
 
 // Ensure cache directory exists
-async function ensureCacheDir() {
+async function ensureCacheDir(dir = CACHE_DIR) {
   try {
-    await fs.mkdir(CACHE_DIR, { recursive: true });
+    await fs.mkdir(dir, { recursive: true });
   } catch (error) {
     console.error('Error creating cache directory:', error);
   }
@@ -31,23 +37,58 @@ async function ensureCacheDir() {
 // Initialize cache directory
 ensureCacheDir();
 
-// File-based cache for liked songs
-async function getCachedLikedSongs() {
+// Logged in users, keyed by Spotify user ID
+const userSessions = new Map();
+
+function getUserSession(userId) {
+  if (!userSessions.has(userId)) {
+    userSessions.set(userId, {
+      userId,
+      spotifyApi: createSpotifyClient(),
+      accessToken: null,
+      tokenExpiresAt: null,
+      tokenRefreshPromise: null,
+      market: null,
+      sessionRestoreFailedAt: null,
+      likedSongsCache: null,
+      likedSongsSync: null,
+      historyWriteQueue: Promise.resolve(),
+      generatedPlaylistsWriteQueue: Promise.resolve(),
+      snapshotWriteQueue: Promise.resolve(),
+      curationRulesWriteQueue: Promise.resolve(),
+      schedulesWriteQueue: Promise.resolve(),
+      audioFeaturesCache: null,
+      audioFeaturesWriteQueue: Promise.resolve(),
+      artistGenresCache: null,
+      artistGenresWriteQueue: Promise.resolve(),
+      cacheDir: path.join(USERS_CACHE_DIR, encodeURIComponent(userId))
+    });
+  }
+  return userSessions.get(userId);
+}
+
+function userCachePath(user, fileName) {
+  return path.join(user.cacheDir, fileName);
+}
+
+// File-based cache for liked songs - the tracks are stored together with
+// sync metadata: { meta: { userId, lastSyncAt, lastFullSyncAt, total }, tracks: [...] }
+async function getCachedLikedSongs(user) {
+  const cacheFile = userCachePath(user, LIKED_SONGS_CACHE_FILE);
+  
   try {
-    const stats = await fs.stat(LIKED_SONGS_CACHE_FILE);
-    const now = Date.now();
-    const fileAge = now - stats.mtime.getTime();
+    const cacheData = await fs.readFile(cacheFile, 'utf8');
+    const parsed = JSON.parse(cacheData);
     
-    // Check if cache is still valid (less than 24 hours old)
-    if (fileAge < CACHE_DURATION) {
-      const cacheData = await fs.readFile(LIKED_SONGS_CACHE_FILE, 'utf8');
-      const parsed = JSON.parse(cacheData);
-      console.log(`Using cached liked songs (${parsed.length} tracks, cached ${Math.round(fileAge / (1000 * 60 * 60))} hours ago)`);
-      return parsed;
-    } else {
-      console.log(`Cache expired (${Math.round(fileAge / (1000 * 60 * 60))} hours old), will refresh`);
+    // Caches from before incremental sync were a bare array of tracks
+    if (!parsed.meta || !Array.isArray(parsed.tracks) || parsed.meta.userId !== user.userId) {
+      console.log('Cache file is in an old format, will fetch fresh data');
       return null;
     }
+    
+    const syncAge = Date.now() - new Date(parsed.meta.lastSyncAt).getTime();
+    console.log(`Loaded cached liked songs for ${user.userId} (${parsed.tracks.length} tracks, synced ${Math.round(syncAge / (1000 * 60))} minutes ago)`);
+    return parsed;
   } catch (error) {
     if (error.code === 'ENOENT') {
       console.log('No cache file found, will fetch fresh data');
@@ -58,18 +99,48 @@ async function getCachedLikedSongs() {
   }
 }
 
-async function saveLikedSongsCache(data) {
+async function saveLikedSongsCache(user, cache) {
   try {
-    await fs.writeFile(LIKED_SONGS_CACHE_FILE, JSON.stringify(data, null, 2), 'utf8');
-    console.log(`Saved ${data.length} liked songs to cache`);
+    await ensureCacheDir(user.cacheDir);
+    await fs.writeFile(userCachePath(user, LIKED_SONGS_CACHE_FILE), JSON.stringify(cache, null, 2), 'utf8');
+    console.log(`Saved ${cache.tracks.length} liked songs to cache for ${user.userId}`);
   } catch (error) {
     console.error('Error saving cache:', error);
   }
+  
+  // A partial fetch would show up as removed tracks, so only whole libraries are kept
+  if (cache.tracks.length === cache.meta.total) {
+    await saveLibrarySnapshot(user, cache);
+  }
+}
+
+// Drop tracks we removed ourselves so the cache stays in step with Spotify
+async function removeFromLikedSongsCache(user, trackIds) {
+  const cache = user.likedSongsCache || await getCachedLikedSongs(user);
+  if (!cache) return;
+  
+  const before = cache.tracks.length;
+  cache.tracks = cache.tracks.filter(item => !trackIds.has(item.track.id));
+  cache.meta.total = Math.max(0, cache.meta.total - (before - cache.tracks.length));
+  
+  user.likedSongsCache = cache;
+  await saveLikedSongsCache(user, cache);
+}
+
+// Force the next analysis to check Spotify, e.g. after re-saving tracks with
+// their original dates (those don't show up at the top of the delta sync)
+async function markLikedSongsCacheStale(user) {
+  const cache = user.likedSongsCache || await getCachedLikedSongs(user);
+  if (!cache) return;
+  
+  cache.meta.lastSyncAt = new Date(0).toISOString();
+  user.likedSongsCache = cache;
+  await saveLikedSongsCache(user, cache);
 }
 
-async function clearLikedSongsCache() {
+async function clearLikedSongsCache(user) {
   try {
-    await fs.unlink(LIKED_SONGS_CACHE_FILE);
+    await fs.unlink(userCachePath(user, LIKED_SONGS_CACHE_FILE));
     console.log('Cache cleared');
   } catch (error) {
     if (error.code !== 'ENOENT') {
@@ -78,830 +149,7147 @@ async function clearLikedSongsCache() {
   }
 }
 
-// Clear cache endpoint
-app.post('/api/clear-cache', async (req, res) => {
+// Dated snapshots of liked songs, one per day, so we can tell what was added
+// or what disappeared (Spotify silently drops region-unavailable tracks)
+// between two points in time. Written whenever a complete cache is saved.
+const SNAPSHOTS_DIR = 'snapshots';
+const SNAPSHOT_INDEX_FILE = 'index.json';
+const SNAPSHOT_DAILY_RETENTION = 30; // Days kept in full; older snapshots are thinned to one per month
+const SNAPSHOT_ID_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function snapshotPath(user, fileName) {
+  return path.join(userCachePath(user, SNAPSHOTS_DIR), fileName);
+}
+
+async function readSnapshotIndex(user) {
   try {
-    await clearLikedSongsCache();
-    // Also clear in-memory cache
-    getAllLikedSongs._cache = null;
-    res.json({ success: true, message: 'Cache cleared successfully' });
+    return JSON.parse(await fs.readFile(snapshotPath(user, SNAPSHOT_INDEX_FILE), 'utf8'));
   } catch (error) {
-    console.error('Error clearing cache:', error);
-    res.status(500).send(error.message);
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading snapshot index:', error);
+    }
+    return [];
   }
-});
-
-// Store for access tokens (in production, use a proper database)
-let accessToken = null;
-
-// Serve static files
-app.use(express.static('public'));
-app.use(express.json());
-
-// Home route
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, '../public/index.html'));
-});
+}
 
-// Spotify authentication
-app.get('/auth', (req, res) => {
-  const scopes = ['user-library-read', 'user-library-modify', 'playlist-modify-public', 'playlist-modify-private'];
-  const authorizeURL = spotifyApi.createAuthorizeURL(scopes);
-  res.redirect(authorizeURL);
-});
+// Only what a diff needs, to keep a snapshot a fraction of the cache size
+function snapshotTrack(item) {
+  return {
+    id: item.track.id,
+    name: item.track.name,
+    artists: item.track.artists.map(artist => artist.name),
+    album: item.track.album ? item.track.album.name : null,
+    isrc: (item.track.external_ids && item.track.external_ids.isrc) || null,
+    addedAt: item.added_at
+  };
+}
 
-// Callback route
-app.get('/callback', async (req, res) => {
-  const { code } = req.query;
-  
-  try {
-    const data = await spotifyApi.authorizationCodeGrant(code);
-    accessToken = data.body['access_token'];
-    const refreshToken = data.body['refresh_token'];
+function saveLibrarySnapshot(user, cache) {
+  user.snapshotWriteQueue = user.snapshotWriteQueue.then(async () => {
+    const takenAt = new Date().toISOString();
+    const id = takenAt.slice(0, 10);
     
-    spotifyApi.setAccessToken(accessToken);
-    spotifyApi.setRefreshToken(refreshToken);
+    await ensureCacheDir(userCachePath(user, SNAPSHOTS_DIR));
+    await fs.writeFile(snapshotPath(user, `${id}.json`), JSON.stringify({
+      id,
+      takenAt,
+      total: cache.tracks.length,
+      tracks: cache.tracks.map(snapshotTrack)
+    }), 'utf8');
     
-    res.redirect('/dashboard');
+    const index = (await readSnapshotIndex(user)).filter(entry => entry.id !== id);
+    index.push({ id, takenAt, total: cache.tracks.length });
+    index.sort((a, b) => a.id.localeCompare(b.id));
+    
+    // Keep every snapshot of the last days and the first of each month before that
+    const cutoff = new Date(Date.now() - SNAPSHOT_DAILY_RETENTION * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const keptMonths = new Set();
+    const kept = [];
+    for (const entry of index) {
+      const month = entry.id.slice(0, 7);
+      if (entry.id >= cutoff || !keptMonths.has(month)) {
+        keptMonths.add(month);
+        kept.push(entry);
+      } else {
+        await fs.unlink(snapshotPath(user, `${entry.id}.json`)).catch(() => {});
+        console.log(`Pruned library snapshot ${entry.id}`);
+      }
+    }
+    
+    await fs.writeFile(snapshotPath(user, SNAPSHOT_INDEX_FILE), JSON.stringify(kept, null, 2), 'utf8');
+    console.log(`Saved library snapshot ${id} (${cache.tracks.length} tracks)`);
+  }).catch(error => {
+    console.error('Error saving library snapshot:', error);
+  });
+  return user.snapshotWriteQueue;
+}
+
+async function readSnapshot(user, id) {
+  if (!SNAPSHOT_ID_PATTERN.test(id)) {
+    return null;
+  }
+  try {
+    return JSON.parse(await fs.readFile(snapshotPath(user, `${id}.json`), 'utf8'));
   } catch (error) {
-    console.error('Error getting tokens:', error);
-    res.send('Authentication failed');
+    if (error.code !== 'ENOENT') {
+      console.error(`Error reading snapshot ${id}:`, error);
+    }
+    return null;
   }
-});
+}
 
-// Dashboard route
-app.get('/dashboard', (req, res) => {
-  if (!accessToken) {
-    return res.redirect('/');
+// Added and removed tracks between two snapshots. A removed track with an
+// added track of the same recording (ISRC, or title and artist) was replaced,
+// usually Spotify swapping in another release of the song
+async function diffSnapshots(user, fromId, toId) {
+  const [from, to] = await Promise.all([readSnapshot(user, fromId), readSnapshot(user, toId)]);
+  if (!from || !to) {
+    const error = new Error(`Snapshot ${!from ? fromId : toId} not found`);
+    error.code = 'SNAPSHOT_NOT_FOUND';
+    throw error;
   }
-  res.sendFile(path.join(__dirname, '../public/dashboard.html'));
-});
+  
+  const fromIds = new Set(from.tracks.map(track => track.id));
+  const toIds = new Set(to.tracks.map(track => track.id));
+  const added = to.tracks.filter(track => !fromIds.has(track.id));
+  const removed = from.tracks.filter(track => !toIds.has(track.id));
+  
+  const recordingKeys = track => [
+    track.isrc && `isrc:${track.isrc}`,
+    fuzzyTrackKey({ name: track.name, artists: track.artists.map(name => ({ name })), album: { name: track.album || '' } }, { ...DEFAULT_MATCH_OPTIONS, includeAlbum: false })
+  ].filter(Boolean);
+  const addedByKey = new Map();
+  added.forEach(track => recordingKeys(track).forEach(key => {
+    if (!addedByKey.has(key)) addedByKey.set(key, track);
+  }));
+  
+  const replaced = [];
+  const replacements = new Set();
+  const stillRemoved = removed.filter(track => {
+    const replacement = recordingKeys(track).map(key => addedByKey.get(key)).find(match => match && !replacements.has(match));
+    if (!replacement) return true;
+    replacements.add(replacement);
+    replaced.push({ from: track, to: replacement });
+    return false;
+  });
+  
+  // Tell our own cleanups apart from removals made elsewhere
+  const history = await readHistory(user);
+  const removedByApp = new Map();
+  history
+    .filter(entry => (!entry.source || entry.source.type === 'liked') && !entry.undoneAt &&
+      entry.timestamp >= from.takenAt && entry.timestamp <= to.takenAt)
+    .forEach(entry => entry.tracks.forEach(track => {
+      removedByApp.set(track.id, { operationId: entry.id, description: entry.description });
+    }));
+  
+  const summary = snapshot => ({ id: snapshot.id, takenAt: snapshot.takenAt, total: snapshot.total });
+  return {
+    from: summary(from),
+    to: summary(to),
+    counts: { added: added.length - replaced.length, removed: stillRemoved.length, replaced: replaced.length },
+    added: added.filter(track => !replacements.has(track)),
+    removed: stillRemoved.map(track => ({ ...track, removedBy: removedByApp.get(track.id) || null })),
+    replaced: replaced.map(pair => ({ ...pair, removedBy: removedByApp.get(pair.from.id) || null }))
+  };
+}
 
-// API route to get liked songs and find duplicates
-app.get('/api/duplicates', async (req, res) => {
-  if (!accessToken) {
-    return res.status(401).json({ error: 'Not authenticated' });
-  }
+// Removal journal - every track removed from Liked Songs is recorded here
+// together with its original added_at date so the operation can be undone
+const HISTORY_FILE = 'history.json';
 
+async function readHistory(user) {
   try {
-    const duplicates = await findDuplicatesInLikedSongs();
-    res.json({ duplicates });
+    const historyData = await fs.readFile(userCachePath(user, HISTORY_FILE), 'utf8');
+    return JSON.parse(historyData);
   } catch (error) {
-    console.error('Error finding duplicates:', error);
-    res.status(500).json({ error: 'Failed to find duplicates' });
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading history:', error);
+    }
+    return [];
   }
-});
+}
 
-// API route to analyze albums in liked songs
-app.get('/api/album-analysis', async (req, res) => {
-  if (!accessToken) {
-    return res.status(401).json({ error: 'Not authenticated' });
+// Serialize journal writes so concurrent batches don't overwrite each other
+function updateHistory(user, updater) {
+  const write = user.historyWriteQueue.then(async () => {
+    const history = await readHistory(user);
+    const result = updater(history);
+    await ensureCacheDir(user.cacheDir);
+    await fs.writeFile(userCachePath(user, HISTORY_FILE), JSON.stringify(history, null, 2), 'utf8');
+    return result;
+  });
+  // Keep the queue going after a failed write; the caller still sees the error
+  user.historyWriteQueue = write.catch(() => {});
+  return write;
+}
+
+async function startHistoryOperation(user, operation, description, source = null) {
+  const entry = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    operation,
+    description,
+    // Playlist operations remember the playlist so undo can put tracks back
+    source: source && source.type === 'playlist' ? { type: 'playlist', id: source.id, name: source.name } : { type: 'liked' },
+    timestamp: new Date().toISOString(),
+    tracks: [],
+    undoneAt: null
+  };
+
+  await updateHistory(user, history => {
+    history.unshift(entry);
+  });
+
+  console.log(`Started journal entry ${entry.id} for ${operation}`);
+  return entry.id;
+}
+
+// Compact description of a liked or playlist track, as stored in plans and the journal
+function summarizeTrack(item) {
+  const summary = {
+    id: item.track.id,
+    uri: item.track.uri,
+    name: item.track.name,
+    artists: item.track.artists.map(a => a.name).join(', '),
+    album: item.track.album ? item.track.album.name : null,
+    addedAt: item.addedAt
+  };
+  // Playlist tracks are removed and restored by position
+  if (item.position != null) {
+    summary.position = item.position;
   }
+  return summary;
+}
+
+// Record a batch of removed tracks right after Spotify confirms the removal
+async function recordRemovedBatch(user, operationId, tracks) {
+  await updateHistory(user, history => {
+    const entry = history.find(e => e.id === operationId);
+    if (!entry) return;
+
+    tracks.forEach(track => {
+      entry.tracks.push({
+        id: track.id,
+        uri: track.uri,
+        name: track.name,
+        artists: track.artists,
+        album: track.album,
+        addedAt: track.addedAt,
+        position: track.position,
+        replacedBy: track.replacedBy
+      });
+    });
+  });
+}
+
+// Files from before per-user caches. The old removal history can't be told
+// apart by account (its tracks are no longer liked anywhere), so rather than
+// handing it to whoever logs in first it is archived read-only for the owner
+// to look through; the stale cache and token are simply dropped
+const LEGACY_HISTORY_FILE = 'legacy-history.json';
 
+async function migrateLegacyCache() {
   try {
-    const albumAnalysis = await analyzeAlbumsInLikedSongs();
-    res.json({ albumAnalysis });
+    await fs.rename(path.join(CACHE_DIR, HISTORY_FILE), path.join(CACHE_DIR, LEGACY_HISTORY_FILE));
+    await fs.chmod(path.join(CACHE_DIR, LEGACY_HISTORY_FILE), 0o444);
+    console.log(`Archived the removal history from before per-user caches to ${path.join(CACHE_DIR, LEGACY_HISTORY_FILE)}`);
   } catch (error) {
-    console.error('Error analyzing albums:', error);
-    res.status(500).json({ error: 'Failed to analyze albums' });
+    if (error.code !== 'ENOENT') {
+      console.error('Error archiving legacy removal history:', error);
+    }
   }
-});
+  
+  await Promise.all([LIKED_SONGS_CACHE_FILE, 'session.enc'].map(fileName =>
+    fs.unlink(path.join(CACHE_DIR, fileName)).catch(() => {})
+  ));
+}
 
-// API route to analyze songs by year added
-app.get('/api/year-analysis', async (req, res) => {
-  if (!accessToken) {
-    return res.status(401).json({ error: 'Not authenticated' });
-  }
+// Refresh this long before Spotify's one-hour expiry so long runs never see a 401
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000; // 5 minutes in milliseconds
+
+// After a failed restore the next requests don't try again for a while, so a
+// dashboard polling with a broken session doesn't hit Spotify every time
+const SESSION_RESTORE_RETRY = 5 * 60 * 1000; // 5 minutes in milliseconds
+
+// The refresh token is persisted encrypted so the session survives restarts
+const TOKEN_FILE = 'session.enc';
+const TOKEN_KEY = crypto.scryptSync(
+  process.env.TOKEN_ENCRYPTION_KEY || process.env.SPOTIFY_CLIENT_SECRET || 'spotify-library-curation',
+  'spotify-library-curation-tokens',
+  32
+);
+
+function encryptToken(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', TOKEN_KEY, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return JSON.stringify({
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  });
+}
+
+function decryptToken(payload) {
+  const { iv, tag, data } = JSON.parse(payload);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', TOKEN_KEY, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
 
+async function saveRefreshToken(user, refreshToken) {
   try {
-    const yearAnalysis = await analyzeSongsByYear();
-    res.json({ yearAnalysis });
+    await ensureCacheDir(user.cacheDir);
+    await fs.writeFile(userCachePath(user, TOKEN_FILE), encryptToken(refreshToken), { encoding: 'utf8', mode: 0o600 });
   } catch (error) {
-    console.error('Error analyzing by year:', error);
-    res.status(500).json({ error: 'Failed to analyze by year' });
-  }
-});
-
-// API route to create year-based playlists
-app.post('/api/create-year-playlists', async (req, res) => {
-  if (!accessToken) {
-    return res.status(401).json({ error: 'Not authenticated' });
+    console.error('Error saving refresh token:', error);
   }
+}
 
+async function clearSession(user) {
+  user.accessToken = null;
+  user.tokenExpiresAt = null;
+  user.spotifyApi.resetAccessToken();
+  user.spotifyApi.resetRefreshToken();
+  
   try {
-    const { years } = req.body;
-    const results = await createYearBasedPlaylists(years);
-    res.json({ results });
+    await fs.unlink(userCachePath(user, TOKEN_FILE));
   } catch (error) {
-    console.error('Error creating year playlists:', error);
-    res.status(500).json({ error: 'Failed to create year playlists' });
+    if (error.code !== 'ENOENT') {
+      console.error('Error removing saved session:', error);
+    }
   }
-});
+}
 
-// API route to remove duplicate songs (keeping most recent)
-app.post('/api/remove-duplicates', async (req, res) => {
-  if (!accessToken) {
-    return res.status(401).json({ error: 'Not authenticated' });
+async function setTokens(user, { access_token, refresh_token, expires_in }) {
+  user.sessionRestoreFailedAt = null;
+  user.accessToken = access_token;
+  user.tokenExpiresAt = Date.now() + expires_in * 1000;
+  user.spotifyApi.setAccessToken(access_token);
+  
+  // Spotify only sometimes rotates the refresh token
+  if (refresh_token) {
+    user.spotifyApi.setRefreshToken(refresh_token);
+    await saveRefreshToken(user, refresh_token);
   }
+}
 
-  try {
-    const results = await removeDuplicateTracks();
-    res.json({ results });
-  } catch (error) {
-    console.error('Error removing duplicates:', error);
-    res.status(500).json({ error: 'Failed to remove duplicates' });
+async function refreshAccessToken(user) {
+  // Share one refresh between concurrent callers
+  if (!user.tokenRefreshPromise) {
+    user.tokenRefreshPromise = (async () => {
+      try {
+        console.log(`Refreshing Spotify access token for ${user.userId}...`);
+        const data = await user.spotifyApi.refreshAccessToken();
+        await setTokens(user, data.body);
+        console.log(`Access token refreshed, valid until ${new Date(user.tokenExpiresAt).toLocaleTimeString()}`);
+      } catch (error) {
+        console.error('Error refreshing access token:', error.message);
+        
+        // A rejected refresh token means the user has to log in again
+        if (error.statusCode === 400 || error.statusCode === 401) {
+          await clearSession(user);
+        }
+        throw error;
+      } finally {
+        user.tokenRefreshPromise = null;
+      }
+    })();
   }
-});
+  return user.tokenRefreshPromise;
+}
 
-// API route to remove entire albums from liked songs
-app.post('/api/remove-albums', async (req, res) => {
-  if (!accessToken) {
-    return res.status(401).json({ error: 'Not authenticated' });
+async function ensureFreshToken(user) {
+  if (user.tokenRefreshPromise) {
+    return user.tokenRefreshPromise;
+  }
+  if (user.spotifyApi.getRefreshToken() && (!user.tokenExpiresAt || Date.now() > user.tokenExpiresAt - TOKEN_REFRESH_MARGIN)) {
+    await refreshAccessToken(user);
   }
+}
 
-  try {
-    const { albumIds, removeAll, addToLibrary } = req.body;
-    const results = await removeAlbumsFromLiked(albumIds, removeAll, addToLibrary);
-    res.json({ results });
-  } catch (error) {
-    console.error('Error removing albums:', error);
-    res.status(500).json({ error: 'Failed to remove albums' });
+// Central request scheduler - every Web API call goes through one token
+// bucket shared by all users (Spotify rate limits per app, not per user)
+const REQUEST_RATE = 3; // requests per second, Spotify allows roughly 180 per minute
+const REQUEST_BURST = 10; // requests that can go out back to back after an idle period
+const MAX_REQUEST_RETRIES = 4;
+const MAX_RETRY_AFTER = 60; // seconds - longer rate-limit bans fail the request instead of waiting
+const DEFAULT_RETRY_AFTER = 5; // seconds, when a 429 doesn't say how long to wait
+const TRANSIENT_ERROR_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+const requestScheduler = {
+  tokens: REQUEST_BURST,
+  lastRefill: Date.now(),
+  pausedUntil: 0,
+  queue: [],
+  draining: false,
+  stats: {
+    startedAt: new Date().toISOString(),
+    requests: 0,
+    succeeded: 0,
+    failed: 0,
+    retries: 0,
+    rateLimited: 0,
+    lastRetryAfter: null,
+    lastRateLimitedAt: null,
+    totalWaitMs: 0
   }
-});
+};
 
-// Add album to library
-app.post('/api/add-album-to-library', async (req, res) => {
+function refillRequestTokens() {
+  const now = Date.now();
+  const elapsed = (now - requestScheduler.lastRefill) / 1000;
+  requestScheduler.tokens = Math.min(REQUEST_BURST, requestScheduler.tokens + elapsed * REQUEST_RATE);
+  requestScheduler.lastRefill = now;
+}
+
+function timeUntilNextRequest() {
+  const now = Date.now();
+  if (requestScheduler.pausedUntil > now) {
+    return requestScheduler.pausedUntil - now;
+  }
+  
+  refillRequestTokens();
+  if (requestScheduler.tokens >= 1) {
+    return 0;
+  }
+  return Math.ceil((1 - requestScheduler.tokens) / REQUEST_RATE * 1000);
+}
+
+// Hand out request slots in the order they were asked for
+async function drainRequestQueue() {
+  if (requestScheduler.draining) return;
+  requestScheduler.draining = true;
+  
   try {
-    if (!spotifyApi.getAccessToken()) {
-      return res.status(401).send('Not authenticated');
+    while (requestScheduler.queue.length > 0) {
+      const wait = timeUntilNextRequest();
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+        continue;
+      }
+      
+      requestScheduler.tokens -= 1;
+      const next = requestScheduler.queue.shift();
+      requestScheduler.stats.totalWaitMs += Date.now() - next.queuedAt;
+      next.resolve();
     }
+  } finally {
+    requestScheduler.draining = false;
+  }
+}
 
-    const { albumId } = req.body;
-    
-    if (!albumId) {
-      return res.status(400).send('Album ID is required');
-    }
+function acquireRequestSlot() {
+  return new Promise(resolve => {
+    requestScheduler.queue.push({ resolve, queuedAt: Date.now() });
+    drainRequestQueue();
+  });
+}
 
-    console.log(`Adding album to library: ${albumId}`);
-    
-    await addAlbumToLibrary(albumId);
-    res.json({ success: true });
-    
-  } catch (error) {
-    console.error('Error adding album to library:', error);
-    res.status(500).send(error.message);
+// Retry-After is either a number of seconds or an HTTP date
+function getRetryAfterSeconds(error) {
+  const headers = error.headers || {};
+  const value = headers['retry-after'] || headers['Retry-After'];
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_RETRY_AFTER;
   }
-});
+  
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds);
+  }
+  
+  const date = Date.parse(value);
+  return isNaN(date) ? DEFAULT_RETRY_AFTER : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
 
-// Helper function to add album to library with fallback methods
-async function addAlbumToLibrary(albumId, albumName = 'Unknown Album') {
-  try {
-    // Method 1: Try the spotify-web-api-node wrapper
-    await spotifyApi.addToMySavedAlbums([albumId]);
-    console.log(`Successfully added album "${albumName}" to library using wrapper`);
+function isTransientError(error) {
+  if (TRANSIENT_ERROR_CODES.includes(error.code) || (error.cause && TRANSIENT_ERROR_CODES.includes(error.cause.code))) {
     return true;
-  } catch (wrapperError) {
-    console.log(`Wrapper method failed for "${albumName}", trying direct API call:`, wrapperError.message);
+  }
+  // fetch() reports network failures as a TypeError without a status
+  if (error.name === 'TypeError' && error.message === 'fetch failed') {
+    return true;
+  }
+  return error.statusCode >= 500 && error.statusCode < 600;
+}
+
+// Run a call through the token bucket, honoring Retry-After on 429 and
+// retrying transient failures with exponential backoff and jitter
+async function scheduleSpotifyCall(call) {
+  const stats = requestScheduler.stats;
+  let attempt = 0;
+  
+  while (true) {
+    // Don't queue requests behind a long rate-limit ban
+    const pausedFor = requestScheduler.pausedUntil - Date.now();
+    if (pausedFor > MAX_RETRY_AFTER * 1000) {
+      const banError = new Error(`Spotify rate limit: requests are paused for another ${Math.ceil(pausedFor / 1000)}s`);
+      banError.statusCode = 429;
+      throw banError;
+    }
+    
+    await acquireRequestSlot();
+    stats.requests++;
     
-    // Method 2: Direct API call with proper headers and body
     try {
-      const response = await fetch('https://api.spotify.com/v1/me/albums', {
-        method: 'PUT',
-        headers: {
-          'Authorization': `Bearer ${spotifyApi.getAccessToken()}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          ids: [albumId]
-        })
-      });
-      
-      if (response.ok) {
-        console.log(`Successfully added album "${albumName}" to library using direct API`);
-        return true;
-      } else {
-        const errorText = await response.text();
-        console.error(`Direct API call failed for "${albumName}":`, response.status, errorText);
-        throw new Error(`API Error ${response.status}: ${errorText}`);
+      const result = await call();
+      stats.succeeded++;
+      return result;
+    } catch (error) {
+      if (error.statusCode === 429) {
+        const retryAfter = getRetryAfterSeconds(error);
+        stats.rateLimited++;
+        stats.lastRetryAfter = retryAfter;
+        stats.lastRateLimitedAt = new Date().toISOString();
+        
+        // Hold back every queued request, not just this one
+        requestScheduler.pausedUntil = Math.max(requestScheduler.pausedUntil, Date.now() + retryAfter * 1000);
+        
+        if (retryAfter <= MAX_RETRY_AFTER && attempt < MAX_REQUEST_RETRIES) {
+          attempt++;
+          stats.retries++;
+          console.log(`Rate limited by Spotify, retrying after ${retryAfter}s (attempt ${attempt}/${MAX_REQUEST_RETRIES})`);
+          continue;
+        }
+      } else if (isTransientError(error) && attempt < MAX_REQUEST_RETRIES) {
+        attempt++;
+        stats.retries++;
+        const backoffDelay = Math.min(1000 * Math.pow(2, attempt), 10000) * (0.5 + Math.random()); // Exponential backoff with jitter
+        console.log(`Spotify request failed (${error.statusCode || error.code || error.message}), retrying in ${Math.round(backoffDelay)}ms... (attempt ${attempt}/${MAX_REQUEST_RETRIES})`);
+        await new Promise(resolve => setTimeout(resolve, backoffDelay));
+        continue;
       }
-    } catch (fetchError) {
-      console.error(`Both methods failed for "${albumName}":`, fetchError);
-      throw fetchError;
+      
+      stats.failed++;
+      throw error;
     }
   }
 }
 
-async function findDuplicatesInLikedSongs() {
-  console.log('Finding duplicates in liked songs...');
-  const allTracks = await getAllLikedSongs();
-  
-  // Find duplicates
-  const duplicates = findDuplicates(allTracks);
-  console.log(`Found ${duplicates.length} duplicate groups`);
+function getRequestStats() {
+  const stats = requestScheduler.stats;
+  const now = Date.now();
   
-  return duplicates;
+  return {
+    ...stats,
+    queued: requestScheduler.queue.length,
+    availableTokens: Math.floor(requestScheduler.tokens),
+    pausedForMs: Math.max(0, requestScheduler.pausedUntil - now),
+    averageWaitMs: stats.requests > 0 ? Math.round(stats.totalWaitMs / stats.requests) : 0,
+    ratePerSecond: REQUEST_RATE,
+    burst: REQUEST_BURST
+  };
 }
 
-function findDuplicates(tracks, includeAlbum = true) {
-  const trackMap = new Map();
-  const duplicates = [];
+// Run a Spotify API call with a fresh token, refreshing and retrying once on 401
+async function spotifyRequest(user, call) {
+  await ensureFreshToken(user);
+  
+  try {
+    return await scheduleSpotifyCall(call);
+  } catch (error) {
+    if (error.statusCode === 401 && user.spotifyApi.getRefreshToken()) {
+      console.log('Got 401 from Spotify, refreshing token and retrying...');
+      await refreshAccessToken(user);
+      return scheduleSpotifyCall(call);
+    }
+    throw error;
+  }
+}
 
-  tracks.forEach((item, index) => {
-    const track = item.track;
-    if (!track) return;
-
-    // Create a normalized key for comparison
-    const key = normalizeTrackKey(track, includeAlbum);
+// Direct Web API call for requests the wrapper library can't make
+async function spotifyFetch(user, endpoint, { method = 'GET', body } = {}) {
+  return spotifyRequest(user, async () => {
+    const response = await fetch(`https://api.spotify.com/v1${endpoint}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${user.spotifyApi.getAccessToken()}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
     
-    if (trackMap.has(key)) {
-      const existingGroup = trackMap.get(key);
-      existingGroup.push({
-        index,
-        track: track,
-        addedAt: item.added_at
-      });
-    } else {
-      trackMap.set(key, [{
-        index,
-        track: track,
-        addedAt: item.added_at
-      }]);
+    const text = await response.text();
+    
+    if (!response.ok) {
+      const apiError = new Error(`API Error ${response.status}: ${text}`);
+      apiError.statusCode = response.status;
+      apiError.headers = Object.fromEntries(response.headers.entries());
+      throw apiError;
     }
+    
+    return text ? JSON.parse(text) : null;
   });
+}
 
-  // Filter out groups with only one track (no duplicates)
-  trackMap.forEach((group, key) => {
-    if (group.length > 1) {
-      duplicates.push({
-        key,
-        tracks: group,
-        count: group.length
-      });
+// Background jobs - long operations run outside the HTTP request and report
+// their progress through /api/jobs/:id and a Server-Sent Events stream
+const JOB_RETENTION = 60 * 60 * 1000; // Finished jobs are kept for 1 hour
+const jobs = new Map();
+
+// Job types marked changesLibrary take the same per-user lock as scheduled runs
+const JOB_TYPES = {
+  'sync-liked-songs': {
+    description: 'Sync liked songs',
+    run: async (user, params, job) => {
+      const tracks = await getAllLikedSongs(user, { forceFullSync: params.full === true, job });
+      return { totalTracks: tracks.length };
     }
-  });
+  },
+  'duplicates': {
+    description: 'Scan for duplicates',
+    run: (user, params, job) => buildDuplicatesResponse(user, params, job)
+  },
+  'album-analysis': {
+    description: 'Analyze albums',
+    run: (user, params, job) => analyzeAlbumsInSource(user, parseSource(params.source), parseAlbumThresholds(params), job)
+  },
+  'cross-source': {
+    description: 'Compare sources',
+    run: (user, params, job) => compareSources(user, parseSource(params.source), parseSource(params.compare), parseMatchOptions(params), job)
+  },
+  'album-binges': {
+    description: 'Find album bulk-adds',
+    run: (user, params, job) => analyzeAlbumBinges(user, parseBingeOptions(params), job)
+  },
+  'artist-analysis': {
+    description: 'Analyze artists',
+    run: (user, params, job) => analyzeArtistsInSource(user, parseSource(params.source), parseArtistOptions(params), job)
+  },
+  'stale-likes': {
+    description: 'Find stale likes',
+    run: (user, params, job) => analyzeStaleLikes(user, parseStaleOptions(params), job)
+  },
+  'genre-analysis': {
+    description: 'Analyze genres',
+    run: (user, params, job) => analyzeGenres(user, parseGenreOptions(params), job)
+  },
+  'create-genre-playlists': {
+    description: 'Create genre playlists',
+    changesLibrary: true,
+    run: async (user, params, job) => failOnPlaylistErrors(await createGenrePlaylists(user, params.genres || [], job))
+  },
+  'year-analysis': {
+    description: 'Analyze by year',
+    run: async (user, params, job) => ({ yearAnalysis: await analyzeSongsByYear(user, job) })
+  },
+  'create-year-playlists': {
+    description: 'Create year playlists',
+    changesLibrary: true,
+    run: async (user, params, job) => failOnPlaylistErrors(await createYearBasedPlaylists(user, params.years || [], job))
+  },
+  'audio-features': {
+    description: 'Analyze audio features',
+    run: (user, params, job) => analyzeAudioFeatures(user, parseSource(params.source), job)
+  },
+  'create-mood-playlists': {
+    description: 'Create mood playlists',
+    changesLibrary: true,
+    run: async (user, params, job) => failOnPlaylistErrors(await createMoodPlaylists(user, params.moods || [], parseSource(params.source), job))
+  },
+  'playlist-groups': {
+    description: 'Preview playlists',
+    run: (user, params, job) => previewPlaylistGroups(user, parsePlaylistBuilderOptions(params), job)
+  },
+  'build-playlists': {
+    description: 'Build playlists',
+    changesLibrary: true,
+    run: async (user, params, job) => failOnPlaylistErrors(await buildPlaylists(user, parsePlaylistBuilderOptions(params), job))
+  },
+  'sync-generated-playlists': {
+    description: 'Sync generated playlists',
+    changesLibrary: true,
+    run: async (user, params, job) => failOnPlaylistErrors(await syncGeneratedPlaylists(user, job))
+  },
+  'unavailable-tracks': {
+    description: 'Find unavailable tracks',
+    run: (user, params, job) => analyzeUnavailableTracks(user, job)
+  },
+  'import-tracks': {
+    description: 'Match imported tracks',
+    run: (user, params, job) => importTracks(user, params, job)
+  }
+};
 
-  return duplicates;
+// Fail the job so the missing playlists can be retried with resume
+function failOnPlaylistErrors(results) {
+  const failed = results.filter(result => !result.success);
+  if (failed.length > 0) {
+    const error = new Error(`${failed.length} of ${results.length} playlists could not be created or updated`);
+    error.partialResult = { results };
+    throw error;
+  }
+  return { results };
 }
 
-function normalizeTrackKey(track, includeAlbum = true) {
-  // Normalize track name and artist for comparison
-  const trackName = track.name.toLowerCase().trim();
-  const artistNames = track.artists.map(artist => artist.name.toLowerCase().trim()).sort().join(',');
-  
-  if (includeAlbum) {
-    const albumName = track.album.name.toLowerCase().trim();
-    // Include album name in the key to distinguish between different versions
-    // This prevents compilations, live albums, etc. from being marked as duplicates
-    return `${trackName}::${artistNames}::${albumName}`;
-  } else {
-    // Looser matching - only track name and artist (for finding ALL versions)
-    return `${trackName}::${artistNames}`;
+// The scheduled run or job changing a user's library; a user's library
+// changes never overlap, whether started by the scheduler or the dashboard
+const libraryLocks = new Map();
+
+function libraryBusyError(holder) {
+  const error = new Error(`"${holder.name}" is still running, try again when it has finished`);
+  error.code = 'LIBRARY_BUSY';
+  return error;
+}
+
+function acquireLibraryLock(user, name, scheduleId = null) {
+  const holder = libraryLocks.get(user.userId);
+  if (holder) {
+    throw libraryBusyError(holder);
+  }
+  const lock = { userId: user.userId, scheduleId, name, startedAt: new Date().toISOString() };
+  libraryLocks.set(user.userId, lock);
+  return lock;
+}
+
+function releaseLibraryLock(lock) {
+  if (libraryLocks.get(lock.userId) === lock) {
+    libraryLocks.delete(lock.userId);
   }
 }
 
-async function analyzeAlbumsInLikedSongs() {
-  console.log('Fetching liked songs for album analysis...');
-  const allTracks = await getAllLikedSongs();
+function createJob(user, type, params = {}) {
+  const job = {
+    id: `job-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    userId: user.userId,
+    type,
+    description: JOB_TYPES[type].description,
+    params,
+    status: 'running',
+    progress: { current: 0, total: 0, message: 'Starting...' },
+    result: null,
+    error: null,
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    finishedAt: null,
+    cancelRequested: false,
+    // Called on cancel by work the job is only waiting on
+    cancelHandlers: new Set(),
+    // Work done so far, kept between attempts so a resumed job skips it
+    checkpoint: {},
+    listeners: new Set(),
+    cleanupTimer: null
+  };
   
-  // Group tracks by album
-  const albumMap = new Map();
+  jobs.set(job.id, job);
+  runJob(user, job);
+  return job;
+}
+
+async function runJob(user, job) {
+  clearTimeout(job.cleanupTimer);
+  job.status = 'running';
+  job.attempts++;
+  job.cancelRequested = false;
+  job.error = null;
+  job.finishedAt = null;
+  notifyJobListeners(job);
   
-  allTracks.forEach((item, index) => {
-    const track = item.track;
-    if (!track || !track.album) return;
-    
-    const albumKey = `${track.album.id}::${track.album.name}`;
-    
-    if (!albumMap.has(albumKey)) {
-      albumMap.set(albumKey, {
-        album: track.album,
-        tracks: [],
-        totalTracks: track.album.total_tracks
-      });
-    }
-    
-    albumMap.get(albumKey).tracks.push({
-      track,
-      addedAt: item.added_at,
-      index
-    });
-  });
+  console.log(`Job ${job.id} (${job.type}) started, attempt ${job.attempts}`);
   
-  // Get unique album IDs for library checking
-  const albumIds = Array.from(albumMap.values()).map(albumData => albumData.album.id);
+  let lock = null;
+  try {
+    if (JOB_TYPES[job.type].changesLibrary) {
+      lock = acquireLibraryLock(user, job.description);
+    }
+    job.result = await JOB_TYPES[job.type].run(user, job.params, job);
+    job.status = 'completed';
+    job.progress = { current: job.progress.total || 1, total: job.progress.total || 1, message: 'Complete!' };
+    console.log(`Job ${job.id} completed`);
+  } catch (error) {
+    if (error.code === 'JOB_CANCELLED') {
+      job.status = 'cancelled';
+      job.progress = { ...job.progress, message: 'Cancelled' };
+      console.log(`Job ${job.id} cancelled`);
+    } else {
+      job.status = 'failed';
+      job.error = error.message;
+      job.result = error.partialResult || null;
+      console.error(`Job ${job.id} failed:`, error.message);
+    }
+  } finally {
+    if (lock) releaseLibraryLock(lock);
+  }
   
-  // Check which albums are in the user's library (in batches of 20)
-  const albumLibraryStatus = new Map();
-  const batchSize = 20;
+  job.finishedAt = new Date().toISOString();
+  notifyJobListeners(job);
   
-  console.log(`Checking library status for ${albumIds.length} albums...`);
+  job.cleanupTimer = setTimeout(() => {
+    jobs.delete(job.id);
+    job.listeners.forEach(res => res.end());
+  }, JOB_RETENTION);
+  // Clean-up alone shouldn't keep the process running
+  job.cleanupTimer.unref();
+}
+
+function getUserJob(user, jobId) {
+  const job = jobs.get(jobId);
+  return job && job.userId === user.userId ? job : null;
+}
+
+function isJobFinished(job) {
+  return ['completed', 'failed', 'cancelled'].includes(job.status);
+}
+
+function serializeJob(job, includeResult = false) {
+  const serialized = {
+    id: job.id,
+    type: job.type,
+    description: job.description,
+    status: job.status,
+    progress: job.progress,
+    error: job.error,
+    attempts: job.attempts,
+    cancelRequested: job.cancelRequested,
+    canResume: job.status === 'failed' || job.status === 'cancelled',
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt
+  };
   
-  for (let i = 0; i < albumIds.length; i += batchSize) {
-    const batch = albumIds.slice(i, i + batchSize);
-    try {
-      const response = await spotifyApi.containsMySavedAlbums(batch);
-      batch.forEach((albumId, index) => {
-        albumLibraryStatus.set(albumId, response.body[index]);
-      });
-      
-      // Rate limiting
-      await new Promise(resolve => setTimeout(resolve, 100));
-    } catch (error) {
-      console.error(`Error checking album library status for batch ${i}:`, error);
-      // If we can't check, assume not in library
-      batch.forEach(albumId => {
-        albumLibraryStatus.set(albumId, false);
-      });
-    }
+  if (includeResult) {
+    serialized.result = job.result;
   }
+  return serialized;
+}
+
+function notifyJobListeners(job) {
+  job.updatedAt = new Date().toISOString();
+  const data = `data: ${JSON.stringify(serializeJob(job))}\n\n`;
   
-  // Find albums that are mostly or completely in liked songs
-  const suspiciousAlbums = [];
-  
-  albumMap.forEach((albumData, albumKey) => {
-    const { album, tracks, totalTracks } = albumData;
-    const likedCount = tracks.length;
-    const percentage = (likedCount / totalTracks) * 100;
-    const isInLibrary = albumLibraryStatus.get(album.id) || false;
-    
-    // Filter criteria:
-    // 1. More than 1 track (ignore single tracks)
-    // 2. >70% of tracks are liked, OR >5 tracks from same album with >50%
-    if (totalTracks > 2 && (percentage > 70 || (likedCount > 5 && percentage > 50))) {
-      suspiciousAlbums.push({
-        album,
-        likedCount,
-        totalTracks,
-        percentage: Math.round(percentage),
-        isInLibrary,
-        tracks: tracks.sort((a, b) => new Date(a.addedAt) - new Date(b.addedAt))
-      });
+  job.listeners.forEach(res => {
+    res.write(data);
+    if (isJobFinished(job)) {
+      res.end();
     }
   });
   
-  // Sort by percentage descending
-  suspiciousAlbums.sort((a, b) => b.percentage - a.percentage);
-  
-  console.log(`Found ${suspiciousAlbums.length} albums with high liked song concentration (excluding singles)`);
-  return suspiciousAlbums;
+  if (isJobFinished(job)) {
+    job.listeners.clear();
+  }
 }
 
-async function analyzeSongsByYear() {
-  console.log('Analyzing songs by year added...');
-  const allTracks = await getAllLikedSongs();
+// Long-running functions take an optional job and report through these
+function reportJobProgress(job, current, total, message) {
+  if (!job) return;
+  job.progress = { current, total, message };
+  if (job.jobs) {
+    job.jobs.forEach(waiting => reportJobProgress(waiting, current, total, message));
+    return;
+  }
+  notifyJobListeners(job);
+}
+
+// Stands in for a job in work shared by several jobs: progress goes to every
+// job in `jobs`, and the work itself is never cancelled
+function createJobRelay(checkpoint = {}) {
+  return { jobs: new Set(), checkpoint, cancelRequested: false, progress: null };
+}
+
+// Wait for shared work, or stop waiting as soon as the job is cancelled
+function waitForJob(job, promise, relay) {
+  if (!job) return promise;
+  throwIfJobCancelled(job);
   
-  const yearMap = new Map();
+  relay.jobs.add(job);
+  if (relay.progress) {
+    reportJobProgress(job, relay.progress.current, relay.progress.total, relay.progress.message);
+  }
   
-  allTracks.forEach((item) => {
-    const addedDate = new Date(item.added_at);
-    const year = addedDate.getFullYear();
-    
-    if (!yearMap.has(year)) {
-      yearMap.set(year, []);
-    }
+  return new Promise((resolve, reject) => {
+    const onCancel = () => {
+      const error = new Error('Job was cancelled');
+      error.code = 'JOB_CANCELLED';
+      reject(error);
+    };
+    job.cancelHandlers.add(onCancel);
     
-    yearMap.get(year).push({
-      track: item.track,
-      addedAt: item.added_at
+    promise.then(resolve, reject).finally(() => {
+      relay.jobs.delete(job);
+      job.cancelHandlers.delete(onCancel);
     });
   });
-  
-  // Convert to array and sort by year
-  const yearData = Array.from(yearMap.entries()).map(([year, tracks]) => ({
-    year,
-    count: tracks.length,
-    tracks: tracks.sort((a, b) => new Date(a.addedAt) - new Date(b.addedAt))
-  })).sort((a, b) => b.year - a.year);
-  
-  console.log(`Found songs across ${yearData.length} different years`);
-  return yearData;
 }
 
-async function getAllLikedSongs() {
-  // Check file-based cache first
-  const cachedData = await getCachedLikedSongs();
-  if (cachedData) {
-    // Also set in-memory cache for immediate subsequent calls
-    getAllLikedSongs._cache = cachedData;
-    return cachedData;
+function throwIfJobCancelled(job) {
+  if (job && job.cancelRequested) {
+    const error = new Error('Job was cancelled');
+    error.code = 'JOB_CANCELLED';
+    throw error;
   }
-  
-  // Check if we already have the data cached (simple in-memory cache)
-  if (getAllLikedSongs._cache) {
-    console.log('Using in-memory cached liked songs data');
-    return getAllLikedSongs._cache;
+}
+
+// Restore a user's previous session from their saved refresh token
+async function restoreSession(user) {
+  if (user.sessionRestoreFailedAt && Date.now() - user.sessionRestoreFailedAt < SESSION_RESTORE_RETRY) {
+    return false;
   }
   
-  console.log('Fetching all liked songs from Spotify API...');
-  const allTracks = [];
-  let offset = 0;
-  const limit = 50;
-  let retryCount = 0;
-  const maxRetries = 3;
-
+  let refreshToken;
+  
   try {
-    while (true) {
-      try {
-        console.log(`Fetching tracks ${offset} to ${offset + limit}...`);
-        
-        const data = await spotifyApi.getMySavedTracks({ limit, offset });
-        const tracks = data.body.items;
-        
-        if (tracks.length === 0) break;
-        
-        allTracks.push(...tracks);
-        offset += limit;
-        retryCount = 0; // Reset retry count on successful request
-        
-        console.log(`Fetched ${allTracks.length} tracks so far...`);
-        
-        // More conservative rate limiting - Spotify allows 100 requests per minute
-        // Wait longer between requests to avoid timeouts
-        await new Promise(resolve => setTimeout(resolve, 800)); // 800ms delay
-        
-      } catch (error) {
-        console.error(`Error fetching batch at offset ${offset}:`, error.message);
-        
-        if (retryCount < maxRetries) {
-          retryCount++;
-          const backoffDelay = Math.min(1000 * Math.pow(2, retryCount), 10000); // Exponential backoff, max 10s
-          console.log(`Retrying in ${backoffDelay}ms... (attempt ${retryCount}/${maxRetries})`);
-          await new Promise(resolve => setTimeout(resolve, backoffDelay));
-          continue; // Retry the same offset
-        } else {
-          // If we've retried too many times, check if we have some data to work with
-          if (allTracks.length > 0) {
-            console.log(`Failed to fetch all tracks, but got ${allTracks.length} tracks to work with`);
-            break;
-          } else {
-            throw error; // Re-throw if we have no data at all
-          }
-        }
-      }
-    }
-
-    console.log(`Total tracks fetched: ${allTracks.length}`);
-    
-    // Save to file-based cache (24 hours)
-    await saveLikedSongsCache(allTracks);
-    
-    // Cache the results in memory for immediate subsequent calls
-    getAllLikedSongs._cache = allTracks;
-    setTimeout(() => {
-      getAllLikedSongs._cache = null;
-      console.log('In-memory cache expired');
-    }, 10 * 60 * 1000); // Keep in memory for 10 minutes
-    
-    return allTracks;
+    refreshToken = decryptToken(await fs.readFile(userCachePath(user, TOKEN_FILE), 'utf8'));
   } catch (error) {
-    console.error('Error fetching liked songs:', error);
-    
-    // Provide more helpful error messages
-    if (error.code === 'ETIMEDOUT') {
-      throw new Error('Network timeout while fetching songs. Please check your internet connection and try again.');
-    } else if (error.statusCode === 429) {
-      throw new Error('Spotify API rate limit exceeded. Please wait a few minutes and try again.');
-    } else if (error.statusCode === 401) {
-      throw new Error('Authentication expired. Please refresh the page and log in again.');
-    } else {
-      throw new Error(`Failed to fetch songs: ${error.message}`);
+    if (error.code !== 'ENOENT') {
+      console.error('Could not read saved session, please log in again:', error.message);
     }
+    user.sessionRestoreFailedAt = Date.now();
+    return false;
+  }
+  
+  user.spotifyApi.setRefreshToken(refreshToken);
+  
+  try {
+    await refreshAccessToken(user);
+    user.sessionRestoreFailedAt = null;
+    console.log(`Restored previous Spotify session for ${user.userId}`);
+    return true;
+  } catch (error) {
+    console.log('Saved session is no longer valid, please log in again');
+    user.sessionRestoreFailedAt = Date.now();
+    return false;
   }
 }
 
-async function createYearBasedPlaylists(selectedYears) {
-  console.log('Creating year-based playlists for years:', selectedYears);
+// Sessions are a signed cookie holding the Spotify user ID
+const SESSION_COOKIE = 'spotify_user';
+const AUTH_STATE_COOKIE = 'spotify_auth_state';
+const SESSION_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000; // 1 year in milliseconds
+const SESSION_SECRET = process.env.SESSION_SECRET ||
+  crypto.createHash('sha256').update(`session:${process.env.SPOTIFY_CLIENT_SECRET || 'spotify-library-curation'}`).digest('hex');
+
+// Serve static files
+app.use(express.static('public'));
+// Imports send whole CSV or JSON files in the body
+app.use(express.json({ limit: '10mb' }));
+app.use(cookieParser(SESSION_SECRET));
+
+// Resolve the requesting user, restoring their session after a restart if needed
+app.use(async (req, res, next) => {
+  req.user = null;
+  const userId = req.signedCookies[SESSION_COOKIE];
   
-  const yearAnalysis = await analyzeSongsByYear();
-  const results = [];
+  if (userId) {
+    try {
+      const user = getUserSession(userId);
+      if (user.accessToken || await restoreSession(user)) {
+        req.user = user;
+      } else if (!user.spotifyApi.getRefreshToken()) {
+        // No saved session, or Spotify rejected it: only logging in again helps
+        res.clearCookie(SESSION_COOKIE);
+      }
+    } catch (error) {
+      console.error('Error loading user session:', error);
+    }
+  }
+  
+  next();
+});
+
+// Home route
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, '../public/index.html'));
+});
+
+// Spotify authentication
+app.get('/auth', (req, res) => {
+  const scopes = [
+    'user-library-read', 'user-library-modify', 'user-read-private', 'user-follow-read', 'user-follow-modify',
+    'user-read-recently-played', 'user-top-read',
+    'playlist-read-private', 'playlist-read-collaborative', 'playlist-modify-public', 'playlist-modify-private'
+  ];
+  const state = crypto.randomBytes(16).toString('hex');
+  const authorizeURL = createSpotifyClient().createAuthorizeURL(scopes, state);
+  
+  res.cookie(AUTH_STATE_COOKIE, state, { signed: true, httpOnly: true, sameSite: 'lax' });
+  res.redirect(authorizeURL);
+});
+
+// Callback route
+app.get('/callback', async (req, res) => {
+  const { code, state } = req.query;
+  
+  if (!state || state !== req.signedCookies[AUTH_STATE_COOKIE]) {
+    console.error('Authentication state mismatch');
+    return res.send('Authentication failed');
+  }
   
   try {
-    // Get user profile for playlist creation
-    const userProfile = await spotifyApi.getMe();
-    const userId = userProfile.body.id;
+    const authClient = createSpotifyClient();
+    const data = await authClient.authorizationCodeGrant(code);
     
-    for (const year of selectedYears) {
-      const yearData = yearAnalysis.find(y => y.year === year);
-      if (!yearData || yearData.tracks.length === 0) {
-        results.push({
-          year,
-          success: false,
-          error: 'No tracks found for this year'
-        });
-        continue;
-      }
-      
-      try {
-        // Create the playlist
-        const playlistName = `Liked Songs ${year}`;
-        const playlistDescription = `Songs added to Liked Songs during ${year}`;
-        
-        console.log(`Creating playlist: ${playlistName}`);
-        console.log('Playlist options:', {
-          description: playlistDescription,
-          public: false,
-          collaborative: false
-        });
-        
-        const playlist = await spotifyApi.createPlaylist(playlistName, {
-          description: playlistDescription,
-          public: false,
-          collaborative: false
-        });
-        
-        console.log('Created playlist response:', {
-          id: playlist.body.id,
-          name: playlist.body.name,
-          public: playlist.body.public,
-          collaborative: playlist.body.collaborative
-        });
-        
-        const playlistId = playlist.body.id;
-        
-        // Double-check: Explicitly update playlist to be private
-        // This is a workaround for Spotify API inconsistencies
-        try {
-          await spotifyApi.changePlaylistDetails(playlistId, {
-            public: false,
-            collaborative: false
-          });
-          console.log('Explicitly set playlist to private');
-        } catch (updateError) {
-          console.warn('Failed to update playlist privacy, but playlist was created:', updateError.message);
-        }
-        
-        // Add tracks to playlist in batches (Spotify allows max 100 tracks per request)
-        const trackUris = yearData.tracks.map(item => item.track.uri);
-        const batchSize = 100;
-        
-        console.log(`Adding ${trackUris.length} tracks to playlist in batches of ${batchSize}`);
-        
-        for (let i = 0; i < trackUris.length; i += batchSize) {
-          const batch = trackUris.slice(i, i + batchSize);
-          console.log(`Adding batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(trackUris.length/batchSize)}`);
-          
-          let retryCount = 0;
-          const maxRetries = 3;
-          
-          while (retryCount < maxRetries) {
-            try {
-              await spotifyApi.addTracksToPlaylist(playlistId, batch);
-              break; // Success, move to next batch
-            } catch (error) {
-              retryCount++;
-              if (retryCount >= maxRetries) {
-                throw error;
-              }
-              const delay = 1000 * retryCount; // Increasing delay
-              console.log(`Batch failed, retrying in ${delay}ms...`);
-              await new Promise(resolve => setTimeout(resolve, delay));
-            }
-          }
-          
-          // Rate limiting between batches
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
-        
-        results.push({
-          year,
-          success: true,
-          playlistId,
-          playlistName,
-          trackCount: yearData.tracks.length,
-          playlistUrl: `https://open.spotify.com/playlist/${playlistId}`
-        });
-        
-        console.log(`Successfully created playlist "${playlistName}" with ${yearData.tracks.length} tracks`);
-        
-      } catch (error) {
-        console.error(`Error creating playlist for ${year}:`, error);
-        let errorMessage = error.message;
-        
-        if (error.statusCode === 429) {
-          errorMessage = 'Rate limit exceeded. Please wait and try again.';
-        } else if (error.statusCode === 401) {
-          errorMessage = 'Authentication expired. Please refresh and log in again.';
-        } else if (error.code === 'ETIMEDOUT') {
-          errorMessage = 'Network timeout. Please check your connection and try again.';
-        }
-        
-        results.push({
-          year,
-          success: false,
-          error: errorMessage
-        });
-      }
-    }
+    // Identify who just logged in so their data stays separate
+    authClient.setAccessToken(data.body['access_token']);
+    const profile = await scheduleSpotifyCall(() => authClient.getMe());
+    const user = getUserSession(profile.body.id);
     
-    return results;
+    await setTokens(user, data.body);
+    
+    res.clearCookie(AUTH_STATE_COOKIE);
+    res.cookie(SESSION_COOKIE, user.userId, {
+      signed: true,
+      httpOnly: true,
+      sameSite: 'lax',
+      maxAge: SESSION_COOKIE_MAX_AGE
+    });
+    
+    console.log(`User ${user.userId} logged in`);
+    res.redirect('/dashboard');
   } catch (error) {
-    console.error('Error getting user profile:', error);
-    throw new Error('Failed to get user profile for playlist creation');
+    console.error('Error getting tokens:', error);
+    res.send('Authentication failed');
+  }
+});
+
+// Logout route - forgets the saved session for this user. A POST, so a
+// link or image on another site can't log anyone out
+app.post('/logout', async (req, res) => {
+  if (req.user) {
+    await clearSession(req.user);
+    userSessions.delete(req.user.userId);
   }
+  
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ success: true });
+});
+
+// Dashboard route
+app.get('/dashboard', (req, res) => {
+  if (!req.user) {
+    return res.redirect('/');
+  }
+  res.sendFile(path.join(__dirname, '../public/dashboard.html'));
+});
+
+// API route for the logged in user's profile
+app.get('/api/me', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const profile = await spotifyRequest(req.user, () => req.user.spotifyApi.getMe());
+    res.json({
+      userId: req.user.userId,
+      displayName: profile.body.display_name || req.user.userId
+    });
+  } catch (error) {
+    console.error('Error getting user profile:', error);
+    res.status(500).json({ error: 'Failed to get user profile' });
+  }
+});
+
+// API route for the request scheduler's stats (shared by all users)
+app.get('/api/request-stats', (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+  
+  res.json(getRequestStats());
+});
+
+// API routes for background jobs
+app.post('/api/jobs', (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  const { type, params } = req.body;
+  if (!Object.prototype.hasOwnProperty.call(JOB_TYPES, type)) {
+    return res.status(400).json({ error: `Unknown job type "${type}"` });
+  }
+  if (params !== undefined && (typeof params !== 'object' || Array.isArray(params))) {
+    return res.status(400).json({ error: 'Job params must be an object' });
+  }
+  
+  // Only one job of each type per user at a time
+  const running = Array.from(jobs.values()).find(job =>
+    job.userId === req.user.userId && job.type === type && !isJobFinished(job)
+  );
+  if (running) {
+    return res.json({ job: serializeJob(running), alreadyRunning: true });
+  }
+  
+  const holder = libraryLocks.get(req.user.userId);
+  if (JOB_TYPES[type].changesLibrary && holder) {
+    return res.status(409).json({ error: libraryBusyError(holder).message });
+  }
+  
+  const job = createJob(req.user, type, params || {});
+  res.status(202).json({ job: serializeJob(job) });
+});
+
+app.get('/api/jobs', (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  const userJobs = Array.from(jobs.values())
+    .filter(job => job.userId === req.user.userId)
+    .map(job => serializeJob(job))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  res.json({ jobs: userJobs });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  const job = getUserJob(req.user, req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({ job: serializeJob(job, true) });
+});
+
+// Server-Sent Events stream of a job's progress, closed once the job finishes
+app.get('/api/jobs/:id/events', (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  const job = getUserJob(req.user, req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write(`data: ${JSON.stringify(serializeJob(job))}\n\n`);
+  
+  if (isJobFinished(job)) {
+    return res.end();
+  }
+  
+  job.listeners.add(res);
+  req.on('close', () => job.listeners.delete(res));
+});
+
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  const job = getUserJob(req.user, req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (isJobFinished(job)) {
+    return res.status(409).json({ error: `Job has already ${job.status === 'completed' ? 'completed' : job.status}` });
+  }
+  
+  // The job stops at its next checkpoint, or right away if it is waiting
+  job.cancelRequested = true;
+  reportJobProgress(job, job.progress.current, job.progress.total, 'Cancelling...');
+  job.cancelHandlers.forEach(handler => handler());
+  res.json({ job: serializeJob(job) });
+});
+
+app.post('/api/jobs/:id/resume', (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  const job = getUserJob(req.user, req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status !== 'failed' && job.status !== 'cancelled') {
+    return res.status(409).json({ error: 'Only failed or cancelled jobs can be resumed' });
+  }
+  
+  runJob(req.user, job);
+  res.status(202).json({ job: serializeJob(job) });
+});
+
+// Clear cache endpoint
+app.post('/api/clear-cache', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    await clearLikedSongsCache(req.user);
+    // Also clear in-memory cache
+    req.user.likedSongsCache = null;
+    res.json({ success: true, message: 'Cache cleared successfully' });
+  } catch (error) {
+    console.error('Error clearing cache:', error);
+    res.status(500).send(error.message);
+  }
+});
+
+// API route to list the playlists that can be used as a source
+app.get('/api/playlists', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const playlists = await getUserPlaylists(req.user);
+    res.json({ playlists });
+  } catch (error) {
+    console.error('Error listing playlists:', error);
+    res.status(500).json({ error: 'Failed to list playlists' });
+  }
+});
+
+// API route to compare two sources, e.g. liked songs that are also in a playlist
+app.get('/api/cross-source', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  const source = parseSource(req.query.source);
+  const compare = parseSource(req.query.compare);
+  if (source === compare) {
+    return res.status(400).json({ error: 'Pick two different sources to compare' });
+  }
+
+  try {
+    res.json(await compareSources(req.user, source, compare, parseMatchOptions(req.query)));
+  } catch (error) {
+    console.error('Error comparing sources:', error);
+    res.status(500).json({ error: 'Failed to compare sources' });
+  }
+});
+
+// API route to download liked songs, a playlist or part of an analysis
+app.get('/api/export', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  const format = EXPORT_FORMATS[req.query.format || 'csv'];
+  if (!format) {
+    return res.status(400).json({ error: `Unknown export format "${req.query.format}". Available: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
+  try {
+    const columns = parseExportColumns(req.query.columns);
+    const selection = await selectTracksForExport(req.user, req.query);
+    
+    console.log(`Exporting ${selection.tracks.length} tracks from "${selection.source.name}" as ${req.query.format || 'csv'}`);
+    
+    res.attachment(exportFileName(selection, format.extension));
+    res.type(format.contentType);
+    res.send(format.render(selection, columns));
+  } catch (error) {
+    if (error.code === 'INVALID_EXPORT' || error.code === 'INVALID_RULE') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error exporting tracks:', error);
+    res.status(500).json({ error: 'Failed to export tracks' });
+  }
+});
+
+// API route to match a CSV or JSON track list against liked songs and Spotify
+app.post('/api/import', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    res.json(await importTracks(req.user, req.body));
+  } catch (error) {
+    if (error.code === 'INVALID_IMPORT') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error importing tracks:', error);
+    res.status(500).json({ error: 'Failed to import tracks' });
+  }
+});
+
+// API route to save the matches of an import to Liked Songs or a new playlist
+app.post('/api/import/:importId/save', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  const report = getStoredImport(req.user, req.params.importId);
+  if (!report) {
+    return res.status(404).json({ error: 'Import not found or expired. Please import the file again.' });
+  }
+
+  try {
+    res.json(await saveImportedTracks(req.user, report, req.body));
+  } catch (error) {
+    if (error.code === 'INVALID_IMPORT') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error saving imported tracks:', error);
+    res.status(500).json({ error: 'Failed to save imported tracks' });
+  }
+});
+
+// API route to find liked songs that can't be played or were relinked in the user's market
+app.get('/api/unavailable-tracks', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    res.json(await analyzeUnavailableTracks(req.user));
+  } catch (error) {
+    console.error('Error checking track availability:', error);
+    res.status(500).json({ error: 'Failed to check track availability' });
+  }
+});
+
+// API route to replace liked tracks with other versions, keeping their liked dates
+app.post('/api/swap-tracks', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  const swaps = Array.isArray(req.body.swaps) ? req.body.swaps.filter(swap => swap && swap.trackId && swap.replacementId) : [];
+  if (swaps.length === 0) {
+    return res.status(400).json({ error: 'Pick at least one track to swap' });
+  }
+
+  try {
+    res.json({ results: await swapLikedTracks(req.user, swaps) });
+  } catch (error) {
+    console.error('Error swapping tracks:', error);
+    res.status(500).json({ error: 'Failed to swap tracks' });
+  }
+});
+
+// API route to find duplicates in liked songs or a playlist
+app.get('/api/duplicates', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    res.json(await buildDuplicatesResponse(req.user, req.query));
+  } catch (error) {
+    console.error('Error finding duplicates:', error);
+    res.status(500).json({ error: 'Failed to find duplicates' });
+  }
+});
+
+// API route to analyze albums in liked songs or a playlist
+app.get('/api/album-analysis', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    res.json(await analyzeAlbumsInSource(req.user, parseSource(req.query.source), parseAlbumThresholds(req.query)));
+  } catch (error) {
+    console.error('Error analyzing albums:', error);
+    res.status(500).json({ error: 'Failed to analyze albums' });
+  }
+});
+
+// API route to find albums that were bulk-added to liked songs
+app.get('/api/album-binges', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    res.json(await analyzeAlbumBinges(req.user, parseBingeOptions(req.query)));
+  } catch (error) {
+    console.error('Error finding album bulk-adds:', error);
+    res.status(500).json({ error: 'Failed to find album bulk-adds' });
+  }
+});
+
+// API route to analyze songs by year added
+app.get('/api/year-analysis', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const yearAnalysis = await analyzeSongsByYear(req.user);
+    res.json({ yearAnalysis });
+  } catch (error) {
+    console.error('Error analyzing by year:', error);
+    res.status(500).json({ error: 'Failed to analyze by year' });
+  }
+});
+
+// API route to create year-based playlists
+app.post('/api/create-year-playlists', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const { years } = req.body;
+    const results = await createYearBasedPlaylists(req.user, years);
+    res.json({ results });
+  } catch (error) {
+    console.error('Error creating year playlists:', error);
+    res.status(500).json({ error: 'Failed to create year playlists' });
+  }
+});
+
+// API route to profile a source by tempo, energy, valence, danceability and acousticness
+app.get('/api/audio-features', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    res.json(await analyzeAudioFeatures(req.user, parseSource(req.query.source)));
+  } catch (error) {
+    if (error.code === 'AUDIO_FEATURES_UNAVAILABLE') {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error('Error analyzing audio features:', error);
+    res.status(500).json({ error: 'Failed to analyze audio features' });
+  }
+});
+
+// API route to create a playlist per mood
+app.post('/api/create-mood-playlists', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const { moods, source } = req.body;
+    const results = await createMoodPlaylists(req.user, moods, parseSource(source));
+    res.json({ results });
+  } catch (error) {
+    if (error.code === 'AUDIO_FEATURES_UNAVAILABLE') {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error('Error creating mood playlists:', error);
+    res.status(500).json({ error: 'Failed to create mood playlists' });
+  }
+});
+
+// API route to count genres of liked songs and how they changed by year liked
+app.get('/api/genre-analysis', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    res.json(await analyzeGenres(req.user, parseGenreOptions(req.query)));
+  } catch (error) {
+    console.error('Error analyzing genres:', error);
+    res.status(500).json({ error: 'Failed to analyze genres' });
+  }
+});
+
+// API route to create a playlist per genre
+app.post('/api/create-genre-playlists', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const { genres } = req.body;
+    const results = await createGenrePlaylists(req.user, genres);
+    res.json({ results });
+  } catch (error) {
+    console.error('Error creating genre playlists:', error);
+    res.status(500).json({ error: 'Failed to create genre playlists' });
+  }
+});
+
+// API route to unlike the songs of genres, or preview with dryRun
+app.post('/api/remove-genres', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const { genres, dryRun, planId } = req.body;
+    const archive = parseArchiveOptions(req.body);
+    
+    // Preview only - return the plan without touching Spotify
+    if (dryRun) {
+      const plan = await planGenreRemoval(req.user, genres, archive);
+      return res.json({ plan });
+    }
+    
+    // Without a previewed plan, plan and apply in one go
+    const plan = planId ?
+      getStoredPlan(req.user, planId, 'remove-genres') :
+      await planGenreRemoval(req.user, genres, archive);
+    if (!plan) {
+      return res.status(404).json({ error: 'Removal plan not found or expired. Please preview again.' });
+    }
+    
+    res.json({ results: await archiveAndUnlikeTracks(req.user, plan) });
+  } catch (error) {
+    console.error('Error removing genres:', error);
+    res.status(500).json({ error: 'Failed to remove genre tracks' });
+  }
+});
+
+// API route for library statistics, computed from the liked songs cache
+app.get('/api/stats', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    res.json(await computeLibraryStats(req.user));
+  } catch (error) {
+    console.error('Error computing library stats:', error);
+    res.status(500).json({ error: 'Failed to compute library stats' });
+  }
+});
+
+// API route to preview the playlists the builder would create
+app.get('/api/playlist-groups', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    res.json(await previewPlaylistGroups(req.user, parsePlaylistBuilderOptions(req.query)));
+  } catch (error) {
+    if (error.code === 'INVALID_RULE') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error grouping tracks for playlists:', error);
+    res.status(500).json({ error: 'Failed to group tracks for playlists' });
+  }
+});
+
+// API route to create playlists grouped by month, quarter, release year, decade, artist or rule
+app.post('/api/build-playlists', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const results = await buildPlaylists(req.user, parsePlaylistBuilderOptions(req.body));
+    res.json({ results });
+  } catch (error) {
+    if (error.code === 'INVALID_RULE') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error building playlists:', error);
+    res.status(500).json({ error: 'Failed to build playlists' });
+  }
+});
+
+// API route to list the playlists made by the builder, which re-runs keep in sync
+app.get('/api/generated-playlists', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const generated = await readGeneratedPlaylists(req.user);
+    res.json({
+      playlists: Object.entries(generated).map(([key, entry]) => ({ key, ...entry }))
+    });
+  } catch (error) {
+    console.error('Error listing generated playlists:', error);
+    res.status(500).json({ error: 'Failed to list generated playlists' });
+  }
+});
+
+// API route to bring every generated playlist up to date
+app.post('/api/generated-playlists/sync', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const results = await syncGeneratedPlaylists(req.user);
+    res.json({ results });
+  } catch (error) {
+    console.error('Error syncing generated playlists:', error);
+    res.status(500).json({ error: 'Failed to sync generated playlists' });
+  }
+});
+
+// API route to remove duplicate songs using a keep-policy, or preview with dryRun
+app.post('/api/remove-duplicates', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const { dryRun, planId, includeLooseMatches, keepPolicy = 'newest', manualPicks } = req.body;
+    
+    if (!isValidKeepPolicy(keepPolicy)) {
+      return res.status(400).json({ error: `Unknown keep policy "${keepPolicy}"` });
+    }
+    
+    const removalOptions = {
+      source: parseSource(req.body.source),
+      matchOptions: parseMatchOptions(req.body.matchOptions),
+      includeLooseMatches,
+      keepPolicy,
+      manualPicks: manualPicks || {}
+    };
+    
+    // Preview only - return the plan without touching Spotify
+    if (dryRun) {
+      const plan = await planDuplicateRemoval(req.user, removalOptions);
+      return res.json({ plan });
+    }
+    
+    let plan = null;
+    if (planId) {
+      plan = getStoredPlan(req.user, planId, 'remove-duplicates');
+      if (!plan) {
+        return res.status(404).json({ error: 'Removal plan not found or expired. Please preview again.' });
+      }
+    }
+    
+    const results = await removeDuplicateTracks(req.user, plan, removalOptions);
+    res.json({ results });
+  } catch (error) {
+    if (error.code === 'SOURCE_NOT_EDITABLE') {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error('Error removing duplicates:', error);
+    res.status(500).json({ error: 'Failed to remove duplicates' });
+  }
+});
+
+// API route to remove entire albums from liked songs, or preview with dryRun
+app.post('/api/remove-albums', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const { albumIds, removeAll, addToLibrary, dryRun, planId } = req.body;
+    // Use the source and thresholds the albums were found with
+    const source = parseSource(req.body.source);
+    const thresholds = parseAlbumThresholds(req.body.thresholds || {});
+    
+    // Preview only - return the plan without touching Spotify
+    if (dryRun) {
+      const plan = await planAlbumRemoval(req.user, albumIds, removeAll, addToLibrary, thresholds, source);
+      return res.json({ plan });
+    }
+    
+    let plan = null;
+    if (planId) {
+      plan = getStoredPlan(req.user, planId, 'remove-albums');
+      if (!plan) {
+        return res.status(404).json({ error: 'Removal plan not found or expired. Please preview again.' });
+      }
+    }
+    
+    const results = await removeAlbumsFromLiked(req.user, albumIds, removeAll, addToLibrary, plan, thresholds, source);
+    res.json({ results });
+  } catch (error) {
+    if (error.code === 'SOURCE_NOT_EDITABLE') {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error('Error removing albums:', error);
+    res.status(500).json({ error: 'Failed to remove albums' });
+  }
+});
+
+// API route to group liked songs or a playlist by artist
+app.get('/api/artist-analysis', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    res.json(await analyzeArtistsInSource(req.user, parseSource(req.query.source), parseArtistOptions(req.query)));
+  } catch (error) {
+    console.error('Error analyzing artists:', error);
+    res.status(500).json({ error: 'Failed to analyze artists' });
+  }
+});
+
+// API route to remove artists' tracks, or preview with dryRun
+app.post('/api/remove-artists', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const { artistIds, dryRun, planId } = req.body;
+    const source = parseSource(req.body.source);
+    
+    // Preview only - return the plan without touching Spotify
+    if (dryRun) {
+      const plan = await planArtistRemoval(req.user, artistIds, source);
+      return res.json({ plan });
+    }
+    
+    // Without a previewed plan, plan and apply in one go
+    const plan = planId ?
+      getStoredPlan(req.user, planId, 'remove-artists') :
+      await planArtistRemoval(req.user, artistIds, source);
+    if (!plan) {
+      return res.status(404).json({ error: 'Removal plan not found or expired. Please preview again.' });
+    }
+    
+    res.json({ results: await removeArtistTracks(req.user, plan) });
+  } catch (error) {
+    if (error.code === 'SOURCE_NOT_EDITABLE') {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error('Error removing artist tracks:', error);
+    res.status(500).json({ error: 'Failed to remove artist tracks' });
+  }
+});
+
+// API route to move artists' tracks to a playlist per artist, or preview with dryRun
+app.post('/api/move-artists', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const { artistIds, dryRun, planId } = req.body;
+    const source = parseSource(req.body.source);
+    
+    // Settings for the artist playlists, as in the playlist builder
+    const move = {
+      public: req.body.public,
+      nameTemplate: req.body.nameTemplate,
+      descriptionTemplate: req.body.descriptionTemplate,
+      order: req.body.order
+    };
+    
+    // Preview only - return the plan without touching Spotify
+    if (dryRun) {
+      const plan = await planArtistRemoval(req.user, artistIds, source, move);
+      return res.json({ plan });
+    }
+    
+    // Without a previewed plan, plan and apply in one go
+    const plan = planId ?
+      getStoredPlan(req.user, planId, 'move-artists') :
+      await planArtistRemoval(req.user, artistIds, source, move);
+    if (!plan) {
+      return res.status(404).json({ error: 'Removal plan not found or expired. Please preview again.' });
+    }
+    
+    res.json({ results: await removeArtistTracks(req.user, plan) });
+  } catch (error) {
+    if (error.code === 'SOURCE_NOT_EDITABLE') {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error('Error moving artist tracks:', error);
+    res.status(500).json({ error: 'Failed to move artist tracks' });
+  }
+});
+
+// API route to follow artists, e.g. before removing their tracks
+app.post('/api/follow-artists', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  const artistIds = Array.isArray(req.body.artistIds) ? req.body.artistIds.filter(id => typeof id === 'string' && id) : [];
+  if (artistIds.length === 0) {
+    return res.status(400).json({ error: 'Pick at least one artist to follow' });
+  }
+
+  try {
+    res.json({ results: await followArtists(req.user, artistIds) });
+  } catch (error) {
+    console.error('Error following artists:', error);
+    res.status(500).json({ error: 'Failed to follow artists' });
+  }
+});
+
+// API route to find liked songs that never show up in top tracks or recent plays
+app.get('/api/stale-likes', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    res.json(await analyzeStaleLikes(req.user, parseStaleOptions(req.query)));
+  } catch (error) {
+    if (error.code === 'LISTENING_HISTORY_UNAVAILABLE') {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error('Error analyzing stale likes:', error);
+    res.status(500).json({ error: 'Failed to analyze stale likes' });
+  }
+});
+
+// API route to archive and unlike stale songs, or preview with dryRun
+app.post('/api/remove-stale-likes', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const { trackIds, dryRun, planId } = req.body;
+    const archive = parseArchiveOptions(req.body);
+    
+    // Preview only - return the plan without touching Spotify
+    if (dryRun) {
+      const plan = await planStaleRemoval(req.user, trackIds, archive);
+      return res.json({ plan });
+    }
+    
+    // Without a previewed plan, plan and apply in one go
+    const plan = planId ?
+      getStoredPlan(req.user, planId, 'remove-stale') :
+      await planStaleRemoval(req.user, trackIds, archive);
+    if (!plan) {
+      return res.status(404).json({ error: 'Removal plan not found or expired. Please preview again.' });
+    }
+    
+    res.json({ results: await archiveAndUnlikeTracks(req.user, plan) });
+  } catch (error) {
+    console.error('Error removing stale likes:', error);
+    res.status(500).json({ error: 'Failed to remove stale likes' });
+  }
+});
+
+// API route to list saved curation rules with their recent runs
+app.get('/api/curation-rules', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const rules = Object.values(await readCurationRules(req.user))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    res.json({ rules, fields: Object.keys(CURATION_RULE_FIELDS), actions: CURATION_ACTIONS });
+  } catch (error) {
+    console.error('Error reading curation rules:', error);
+    res.status(500).json({ error: 'Failed to load curation rules' });
+  }
+});
+
+// API route to save a new curation rule, or update one when the body has its id
+app.post('/api/curation-rules', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const rule = await saveCurationRule(req.user, req.body.id || null, req.body);
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json({ rule });
+  } catch (error) {
+    if (error.code === 'INVALID_RULE') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error saving curation rule:', error);
+    res.status(500).json({ error: 'Failed to save curation rule' });
+  }
+});
+
+// API route to preview a rule before saving it; nothing is changed
+app.post('/api/curation-rules/preview', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    res.json({ plan: await planCurationRule(req.user, parseCurationRule(req.body)) });
+  } catch (error) {
+    if (error.code === 'INVALID_RULE') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 'LISTENING_HISTORY_UNAVAILABLE') {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error('Error previewing curation rule:', error);
+    res.status(500).json({ error: 'Failed to preview curation rule' });
+  }
+});
+
+app.post('/api/curation-rules/:ruleId/delete', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    if (!await deleteCurationRule(req.user, req.params.ruleId)) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting curation rule:', error);
+    res.status(500).json({ error: 'Failed to delete curation rule' });
+  }
+});
+
+// API route to run a saved rule, or preview with dryRun
+app.post('/api/curation-rules/:ruleId/run', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const { dryRun, planId } = req.body;
+    const rule = (await readCurationRules(req.user))[req.params.ruleId];
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    
+    // Preview only - return the plan without touching Spotify
+    if (dryRun) {
+      const plan = await planCurationRule(req.user, rule);
+      return res.json({ plan });
+    }
+    
+    // Without a previewed plan, plan and apply in one go
+    const plan = planId ?
+      getStoredPlan(req.user, planId, 'curation-rule') :
+      await planCurationRule(req.user, rule);
+    if (!plan || plan.rule.id !== rule.id) {
+      return res.status(404).json({ error: 'Removal plan not found or expired. Please preview again.' });
+    }
+    
+    res.json({ results: await runCurationPlan(req.user, plan) });
+  } catch (error) {
+    if (error.code === 'LISTENING_HISTORY_UNAVAILABLE') {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error('Error running curation rule:', error);
+    res.status(500).json({ error: 'Failed to run curation rule' });
+  }
+});
+
+// API route to list scheduled runs with their reports
+app.get('/api/schedules', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const schedules = Object.values(await readSchedules(req.user))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    const operations = Object.fromEntries(Object.entries(SCHEDULED_OPERATIONS).map(([key, operation]) => [key, operation.description]));
+    const running = libraryLocks.get(req.user.userId) || null;
+    res.json({ schedules, operations, running });
+  } catch (error) {
+    console.error('Error reading schedules:', error);
+    res.status(500).json({ error: 'Failed to load schedules' });
+  }
+});
+
+// API route to save a new schedule, or update one when the body has its id
+app.post('/api/schedules', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const schedule = await saveSchedule(req.user, req.body.id || null, req.body);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ schedule });
+  } catch (error) {
+    if (error.code === 'INVALID_SCHEDULE') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error saving schedule:', error);
+    res.status(500).json({ error: 'Failed to save schedule' });
+  }
+});
+
+app.post('/api/schedules/:scheduleId/delete', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    if (!await deleteSchedule(req.user, req.params.scheduleId)) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    res.status(500).json({ error: 'Failed to delete schedule' });
+  }
+});
+
+// API route to run a schedule now; the report is returned and kept with the schedule
+app.post('/api/schedules/:scheduleId/run', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const report = await runSchedule(req.user, req.params.scheduleId, 'manual');
+    if (!report) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ report });
+  } catch (error) {
+    if (error.code === 'LIBRARY_BUSY') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error running schedule:', error);
+    res.status(500).json({ error: 'Failed to run schedule' });
+  }
+});
+
+// API route to remove only the bulk-added tracks of albums, or preview with dryRun
+app.post('/api/remove-album-binges', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const { eventIds, albumIds, removeAll, addToLibrary, dryRun, planId } = req.body;
+    
+    let plan;
+    if (planId) {
+      plan = getStoredPlan(req.user, planId, 'remove-album-binges');
+      if (!plan) {
+        return res.status(404).json({ error: 'Removal plan not found or expired. Please preview again.' });
+      }
+    } else {
+      plan = await planAlbumBingeRemoval(req.user, {
+        eventIds,
+        albumIds,
+        removeAll,
+        addToLibrary,
+        options: parseBingeOptions(req.body)
+      });
+    }
+    
+    // Preview only - return the plan without touching Spotify
+    if (dryRun) {
+      return res.json({ plan });
+    }
+    
+    const results = await removeAlbumBinges(req.user, plan);
+    res.json({ results });
+  } catch (error) {
+    console.error('Error removing album bulk-adds:', error);
+    res.status(500).json({ error: 'Failed to remove album bulk-adds' });
+  }
+});
+
+// API route to list the removal journal
+app.get('/api/history', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const history = await readHistory(req.user);
+    res.json({
+      history: history.map(entry => ({
+        id: entry.id,
+        operation: entry.operation,
+        description: entry.description,
+        source: entry.source || { type: 'liked' },
+        timestamp: entry.timestamp,
+        trackCount: entry.tracks.length,
+        undoneAt: entry.undoneAt,
+        restoredCount: (entry.restoredIds || []).length,
+        tracks: entry.tracks
+      }))
+    });
+  } catch (error) {
+    console.error('Error reading history:', error);
+    res.status(500).json({ error: 'Failed to read history' });
+  }
+});
+
+// API route to list the dated snapshots of liked songs
+app.get('/api/snapshots', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const snapshots = await readSnapshotIndex(req.user);
+    res.json({ snapshots: snapshots.slice().reverse() });
+  } catch (error) {
+    console.error('Error listing snapshots:', error);
+    res.status(500).json({ error: 'Failed to list snapshots' });
+  }
+});
+
+// API route to compare two snapshots; defaults to the latest and the one before it
+app.get('/api/snapshots/diff', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const ids = (await readSnapshotIndex(req.user)).map(entry => entry.id);
+    const to = req.query.to || ids[ids.length - 1];
+    if (to && !ids.includes(to)) {
+      return res.status(404).json({ error: `Snapshot ${to} not found` });
+    }
+    const from = req.query.from || ids[ids.indexOf(to) - 1];
+    if (!from) {
+      return res.status(400).json({ error: 'At least two snapshots are needed for a diff. Snapshots are taken once a day when your library syncs.' });
+    }
+    
+    res.json(await diffSnapshots(req.user, from, to));
+  } catch (error) {
+    if (error.code === 'SNAPSHOT_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Error comparing snapshots:', error);
+    res.status(500).json({ error: 'Failed to compare snapshots' });
+  }
+});
+
+// API route to undo a removal operation by re-saving its tracks
+app.post('/api/undo/:operationId', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const claim = await claimUndo(req.user, req.params.operationId);
+    if (claim.error) {
+      return res.status(claim.status).json({ error: claim.error });
+    }
+    
+    const results = await undoOperation(req.user, claim.entry);
+    res.json({ results });
+  } catch (error) {
+    console.error('Error undoing operation:', error);
+    res.status(500).json({ error: 'Failed to undo operation' });
+  }
+});
+
+// Add album to library
+app.post('/api/add-album-to-library', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).send('Not authenticated');
+    }
+
+    const { albumId } = req.body;
+    
+    if (!albumId) {
+      return res.status(400).send('Album ID is required');
+    }
+
+    console.log(`Adding album to library: ${albumId}`);
+    
+    await addAlbumToLibrary(req.user, albumId);
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('Error adding album to library:', error);
+    res.status(500).send(error.message);
+  }
+});
+
+// Helper function to add album to library with fallback methods
+async function addAlbumToLibrary(user, albumId, albumName = 'Unknown Album') {
+  try {
+    // Method 1: Try the spotify-web-api-node wrapper
+    await spotifyRequest(user, () => user.spotifyApi.addToMySavedAlbums([albumId]));
+    console.log(`Successfully added album "${albumName}" to library using wrapper`);
+    return true;
+  } catch (wrapperError) {
+    console.log(`Wrapper method failed for "${albumName}", trying direct API call:`, wrapperError.message);
+    
+    // Method 2: Direct API call with proper headers and body
+    try {
+      await spotifyFetch(user, '/me/albums', {
+        method: 'PUT',
+        body: { ids: [albumId] }
+      });
+      
+      console.log(`Successfully added album "${albumName}" to library using direct API`);
+      return true;
+    } catch (fetchError) {
+      console.error(`Both methods failed for "${albumName}":`, fetchError);
+      throw fetchError;
+    }
+  }
+}
+
+// Track sources - analyses run against Liked Songs ("liked") or one of the
+// user's playlists ("playlist:<id>")
+const LIKED_SOURCE = 'liked';
+const LIKED_SOURCE_INFO = { type: 'liked', id: null, key: LIKED_SOURCE, name: 'Liked Songs', editable: true };
+const PLAYLIST_PAGE_SIZE = 100; // Also the most tracks one playlist add/remove request takes
+
+function parseSource(value) {
+  if (typeof value === 'string' && /^playlist:[A-Za-z0-9]+$/.test(value)) {
+    return value;
+  }
+  return LIKED_SOURCE;
+}
+
+// Identifies one copy of a track - a playlist can hold the same track more than once
+function trackCopyId(trackId, position) {
+  return position != null ? `${trackId}@${position}` : trackId;
+}
+
+// List the user's playlists (own, followed and collaborative) in pages of 50
+async function getUserPlaylists(user) {
+  const playlists = [];
+  let offset = 0;
+  let total = Infinity;
+  
+  while (offset < total) {
+    const response = await spotifyRequest(user, () => user.spotifyApi.getUserPlaylists({ limit: 50, offset }));
+    total = response.body.total;
+    
+    response.body.items.forEach(playlist => {
+      playlists.push({
+        id: playlist.id,
+        name: playlist.name,
+        owner: playlist.owner ? playlist.owner.display_name || playlist.owner.id : null,
+        trackCount: playlist.tracks ? playlist.tracks.total : 0,
+        description: playlist.description || '',
+        public: playlist.public,
+        collaborative: playlist.collaborative,
+        owned: Boolean(playlist.owner && playlist.owner.id === user.userId),
+        editable: (playlist.owner && playlist.owner.id === user.userId) || playlist.collaborative
+      });
+    });
+    
+    if (response.body.items.length === 0) break;
+    offset += response.body.items.length;
+  }
+  
+  console.log(`Found ${playlists.length} playlists for ${user.userId}`);
+  return playlists;
+}
+
+// Load the tracks of a source. Playlist items keep their position so removals
+// can target one copy of a track.
+async function loadSource(user, source = LIKED_SOURCE, job = null) {
+  if (source === LIKED_SOURCE) {
+    const tracks = await getAllLikedSongs(user, { job });
+    return { source: { ...LIKED_SOURCE_INFO }, tracks };
+  }
+  
+  const playlistId = source.slice('playlist:'.length);
+  const response = await spotifyRequest(user, () => user.spotifyApi.getPlaylist(playlistId, {
+    fields: 'id,name,collaborative,snapshot_id,owner(id,display_name),tracks(total)'
+  }));
+  const playlist = response.body;
+  const total = playlist.tracks.total;
+  
+  console.log(`Fetching ${total} tracks from playlist "${playlist.name}"...`);
+  
+  const tracks = [];
+  let offset = 0;
+  
+  while (offset < total) {
+    throwIfJobCancelled(job);
+    reportJobProgress(job, offset, total, `Fetching tracks from "${playlist.name}" (${offset}/${total})...`);
+    
+    const page = await spotifyRequest(user, () => user.spotifyApi.getPlaylistTracks(playlistId, {
+      offset,
+      limit: PLAYLIST_PAGE_SIZE
+    }));
+    
+    page.body.items.forEach((item, index) => {
+      // Local files and podcast episodes can't be matched or removed by id
+      if (!item.track || !item.track.id || item.track.type === 'episode') return;
+      tracks.push({ added_at: item.added_at, track: item.track, position: offset + index });
+    });
+    
+    if (page.body.items.length === 0) break;
+    offset += page.body.items.length;
+  }
+  
+  return {
+    source: {
+      type: 'playlist',
+      id: playlist.id,
+      key: source,
+      name: playlist.name,
+      snapshotId: playlist.snapshot_id,
+      editable: playlist.owner.id === user.userId || playlist.collaborative
+    },
+    tracks
+  };
+}
+
+// Removals need a source the user can edit
+function assertSourceEditable(source) {
+  if (!source.editable) {
+    const error = new Error(`You can't remove tracks from "${source.name}" because you don't own it`);
+    error.code = 'SOURCE_NOT_EDITABLE';
+    throw error;
+  }
+}
+
+// Compare two sources, e.g. which liked songs are also in a playlist.
+// Tracks match by id, or as "similar" by normalized title/artist/album.
+async function compareSources(user, source, compare, matchOptions = {}, job = null) {
+  const options = { ...DEFAULT_MATCH_OPTIONS, ...matchOptions };
+  const left = await loadSource(user, source, job);
+  const right = await loadSource(user, compare, job);
+  
+  const indexTracks = tracks => {
+    const byId = new Map();
+    const byKey = new Map();
+    tracks.forEach(item => {
+      if (!byId.has(item.track.id)) byId.set(item.track.id, item);
+      const key = fuzzyTrackKey(item.track, options);
+      if (!byKey.has(key)) byKey.set(key, item);
+    });
+    return { byId, byKey };
+  };
+  
+  const leftIndex = indexTracks(left.tracks);
+  const rightIndex = indexTracks(right.tracks);
+  
+  const inBoth = [];
+  const similar = [];
+  const onlyInSource = [];
+  
+  leftIndex.byId.forEach((item, id) => {
+    if (rightIndex.byId.has(id)) {
+      inBoth.push(summarizeTrack({ track: item.track, addedAt: item.added_at }));
+      return;
+    }
+    
+    const match = rightIndex.byKey.get(fuzzyTrackKey(item.track, options));
+    if (match) {
+      similar.push({
+        ...summarizeTrack({ track: item.track, addedAt: item.added_at }),
+        match: summarizeTrack({ track: match.track, addedAt: match.added_at })
+      });
+    } else {
+      onlyInSource.push(summarizeTrack({ track: item.track, addedAt: item.added_at }));
+    }
+  });
+  
+  const onlyInCompare = [];
+  rightIndex.byId.forEach((item, id) => {
+    if (!leftIndex.byId.has(id) && !leftIndex.byKey.has(fuzzyTrackKey(item.track, options))) {
+      onlyInCompare.push(summarizeTrack({ track: item.track, addedAt: item.added_at }));
+    }
+  });
+  
+  console.log(`Compared "${left.source.name}" with "${right.source.name}": ${inBoth.length} in both, ${similar.length} similar`);
+  
+  return {
+    source: left.source,
+    compare: right.source,
+    counts: {
+      source: leftIndex.byId.size,
+      compare: rightIndex.byId.size,
+      inBoth: inBoth.length,
+      similar: similar.length,
+      onlyInSource: onlyInSource.length,
+      onlyInCompare: onlyInCompare.length
+    },
+    inBoth,
+    similar,
+    onlyInSource,
+    onlyInCompare
+  };
+}
+
+// Export - liked songs, a playlist or part of an analysis as CSV, compact JSON,
+// M3U or XSPF, for archiving and spreadsheet review
+function formatDuration(durationMs) {
+  const totalSeconds = Math.round((durationMs || 0) / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+const EXPORT_COLUMNS = {
+  name: { label: 'Track', value: item => item.track.name },
+  artists: { label: 'Artists', value: item => item.track.artists.map(artist => artist.name).join(', ') },
+  album: { label: 'Album', value: item => item.track.album ? item.track.album.name : '' },
+  albumArtists: { label: 'Album Artists', value: item => item.track.album ? (item.track.album.artists || []).map(artist => artist.name).join(', ') : '' },
+  albumType: { label: 'Album Type', value: item => item.track.album ? item.track.album.album_type : '' },
+  releaseDate: { label: 'Release Date', value: item => item.track.album ? item.track.album.release_date : '' },
+  isrc: { label: 'ISRC', value: item => (item.track.external_ids && item.track.external_ids.isrc) || '' },
+  addedAt: { label: 'Added At', value: item => item.added_at },
+  duration: { label: 'Duration', value: item => formatDuration(item.track.duration_ms) },
+  durationMs: { label: 'Duration (ms)', value: item => item.track.duration_ms },
+  explicit: { label: 'Explicit', value: item => Boolean(item.track.explicit) },
+  popularity: { label: 'Popularity', value: item => item.track.popularity ?? '' },
+  position: { label: 'Position', value: item => item.position != null ? item.position + 1 : '' },
+  id: { label: 'Spotify ID', value: item => item.track.id },
+  uri: { label: 'Spotify URI', value: item => item.track.uri },
+  url: { label: 'Spotify URL', value: item => `https://open.spotify.com/track/${item.track.id}` }
+};
+const DEFAULT_EXPORT_COLUMNS = ['name', 'artists', 'album', 'isrc', 'addedAt', 'duration'];
+
+// Accepts an array or a comma separated list; unknown columns are an error
+function parseExportColumns(value) {
+  if (value === undefined || value === '') {
+    return DEFAULT_EXPORT_COLUMNS;
+  }
+  
+  const columns = (Array.isArray(value) ? value : String(value).split(',')).map(column => String(column).trim()).filter(Boolean);
+  const unknown = columns.filter(column => !EXPORT_COLUMNS[column]);
+  if (unknown.length > 0) {
+    const error = new Error(`Unknown export column${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}. Available: ${Object.keys(EXPORT_COLUMNS).join(', ')}`);
+    error.code = 'INVALID_EXPORT';
+    throw error;
+  }
+  return columns.length > 0 ? columns : DEFAULT_EXPORT_COLUMNS;
+}
+
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeXml(value) {
+  return String(value ?? '').replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;' })[char]);
+}
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    // The byte order mark makes Excel read the file as UTF-8
+    render: ({ tracks }, columns) => '\uFEFF' + [
+      columns.map(column => escapeCsv(EXPORT_COLUMNS[column].label)).join(','),
+      ...tracks.map(item => columns.map(column => escapeCsv(EXPORT_COLUMNS[column].value(item))).join(','))
+    ].join('\r\n') + '\r\n'
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    render: ({ source, label, tracks }, columns) => JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      source: source.name,
+      selection: label,
+      count: tracks.length,
+      columns,
+      tracks: tracks.map(item => Object.fromEntries(columns.map(column => [column, EXPORT_COLUMNS[column].value(item)])))
+    }, null, 2)
+  },
+  m3u: {
+    contentType: 'audio/x-mpegurl; charset=utf-8',
+    extension: 'm3u8',
+    render: ({ tracks }) => ['#EXTM3U', ...tracks.flatMap(item => [
+      `#EXTINF:${Math.round(item.track.duration_ms / 1000)},${EXPORT_COLUMNS.artists.value(item)} - ${item.track.name}`,
+      EXPORT_COLUMNS.url.value(item)
+    ])].join('\n') + '\n'
+  },
+  xspf: {
+    contentType: 'application/xspf+xml; charset=utf-8',
+    extension: 'xspf',
+    render: ({ source, label, tracks }) => [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+      `  <title>${escapeXml(label ? `${source.name} - ${label}` : source.name)}</title>`,
+      `  <date>${new Date().toISOString()}</date>`,
+      '  <trackList>',
+      ...tracks.map(item => [
+        '    <track>',
+        `      <location>${escapeXml(EXPORT_COLUMNS.url.value(item))}</location>`,
+        `      <identifier>${escapeXml(item.track.uri)}</identifier>`,
+        `      <title>${escapeXml(item.track.name)}</title>`,
+        `      <creator>${escapeXml(EXPORT_COLUMNS.artists.value(item))}</creator>`,
+        `      <album>${escapeXml(EXPORT_COLUMNS.album.value(item))}</album>`,
+        `      <duration>${item.track.duration_ms}</duration>`,
+        '    </track>'
+      ].join('\n')),
+      '  </trackList>',
+      '</playlist>',
+      ''
+    ].join('\n')
+  }
+};
+
+// Pick the tracks to export: a whole source, one builder group (a year,
+// month, artist, rule...), duplicate groups or one album
+async function selectTracksForExport(user, params) {
+  if (params.groupBy) {
+    const options = parsePlaylistBuilderOptions(params);
+    const { source, groups } = await groupTracksForPlaylists(user, options);
+    const group = groups.find(g => g.key === String(params.group ?? (options.groupBy === 'rule' ? 'rule' : '')));
+    return {
+      source,
+      label: group ? group.label : String(params.group),
+      tracks: group ? orderPlaylistTracks(group.items, options.order) : []
+    };
+  }
+  
+  const { source, tracks } = await loadSource(user, parseSource(params.source));
+  
+  if (params.duplicateGroup || params.duplicates === 'true' || params.duplicates === true) {
+    const duplicates = findDuplicates(tracks, parseMatchOptions(params))
+      .filter(group => !params.duplicateGroup || group.key === params.duplicateGroup);
+    return {
+      source,
+      label: params.duplicateGroup ? `Duplicates of ${params.duplicateGroup}` : 'Duplicates',
+      tracks: duplicates.flatMap(group => group.tracks.map(entry => tracks[entry.index]))
+    };
+  }
+  
+  if (params.albumId) {
+    const albumTracks = tracks.filter(item => item.track.album && item.track.album.id === params.albumId);
+    return {
+      source,
+      label: albumTracks.length > 0 ? albumTracks[0].track.album.name : params.albumId,
+      tracks: albumTracks
+    };
+  }
+  
+  return { source, label: null, tracks };
+}
+
+function exportFileName(selection, extension) {
+  const name = [selection.source.name, selection.label, new Date().toISOString().slice(0, 10)]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return `${name}.${extension}`;
+}
+
+// Import a CSV or JSON track list (another service's export, a friend's list,
+// one of our own exports) by matching it against liked songs, then Spotify search
+const IMPORT_FORMATS = ['csv', 'json'];
+const MAX_IMPORT_ROWS = 10000;
+const IMPORT_SEARCH_LIMIT = 10;
+const IMPORT_STATUSES = ['matched', 'ambiguous', 'missing'];
+
+// Accepted column names (lowercase, letters and digits only) per field
+const IMPORT_FIELDS = {
+  title: ['title', 'track', 'trackname', 'name', 'song', 'songname'],
+  artist: ['artist', 'artists', 'artistname', 'artistnames', 'creator'],
+  album: ['album', 'albumname'],
+  isrc: ['isrc'],
+  spotifyId: ['spotifyid', 'id', 'spotifyuri', 'uri', 'spotifyurl', 'url', 'link']
+};
+
+const SPOTIFY_TRACK_ID_PATTERN = /(?:^|spotify:track:|\/track\/)([A-Za-z0-9]{22})(?=$|[?#])/;
+
+function importError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_IMPORT';
+  return error;
+}
+
+// RFC 4180 style: quoted fields may hold delimiters, quotes ("") and newlines.
+// The delimiter (comma, semicolon or tab) is taken from the header line
+function parseCsv(text) {
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best);
+  
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+function importFieldOf(columnName) {
+  const normalized = String(columnName).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return Object.keys(IMPORT_FIELDS).find(field => IMPORT_FIELDS[field].includes(normalized)) || null;
+}
+
+// JSON values may be artist arrays (["A", "B"] or [{ name: "A" }]) or album objects
+function importValueText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(importValueText).filter(Boolean).join(', ');
+  if (typeof value === 'object') return importValueText(value.name);
+  return String(value).trim();
+}
+
+// Turn CSV or JSON content into rows of { row, title, artist, album, isrc, spotifyId }
+function parseImportRows(content, format) {
+  const text = String(content || '').replace(/^\uFEFF/, '').trim();
+  if (!text) {
+    throw importError('The import file is empty');
+  }
+  
+  const resolvedFormat = format || (/^[[{]/.test(text) ? 'json' : 'csv');
+  if (!IMPORT_FORMATS.includes(resolvedFormat)) {
+    throw importError(`Unknown import format "${format}". Available: ${IMPORT_FORMATS.join(', ')}`);
+  }
+  
+  // Both formats become lists of [column, value] pairs
+  let records;
+  if (resolvedFormat === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw importError(`Could not read the JSON file: ${error.message}`);
+    }
+    const list = Array.isArray(data) ? data : data && Array.isArray(data.tracks) ? data.tracks : null;
+    if (!list) {
+      throw importError('JSON imports must be an array of tracks or an object with a "tracks" array');
+    }
+    records = list.map(record => record && typeof record === 'object' ? Object.entries(record) : []);
+  } else {
+    const [header, ...lines] = parseCsv(text);
+    const columns = header.map(importFieldOf);
+    if (!columns.some(field => ['title', 'isrc', 'spotifyId'].includes(field))) {
+      throw importError('The CSV needs a header row with a title, ISRC or Spotify ID column');
+    }
+    records = lines.map(fields => fields.map((value, index) => [header[index], value]));
+  }
+  
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw importError(`Imports are limited to ${MAX_IMPORT_ROWS} rows (this file has ${records.length})`);
+  }
+  
+  return records.map((pairs, index) => {
+    const row = { row: index + 1, title: '', artist: '', album: '', isrc: '', spotifyId: null };
+    pairs.forEach(([column, value]) => {
+      const field = importFieldOf(column);
+      const text = importValueText(value);
+      if (!field || !text || row[field]) return;
+      
+      if (field === 'isrc') {
+        row.isrc = text.toUpperCase().replace(/[^A-Z0-9]/g, '');
+      } else if (field === 'spotifyId') {
+        const match = text.match(SPOTIFY_TRACK_ID_PATTERN);
+        row.spotifyId = match ? match[1] : null;
+      } else {
+        row[field] = text;
+      }
+    });
+    return row;
+  });
+}
+
+// Artists are compared one by one, so a "A, B" cell matches a track credited to
+// A and B; the library side is split the same way for names with commas in them
+function importTrackShape(name, artistNames, albumName) {
+  return {
+    name,
+    artists: artistNames.join(', ').split(/\s*[,;]\s*/).filter(Boolean).map(artist => ({ name: artist })),
+    album: { name: albumName || '' }
+  };
+}
+
+// Match levels from strictest to loosest; the first level with any candidates wins
+const IMPORT_MATCH_LEVELS = [
+  { matchedBy: 'exact', album: true, key: track => normalizeTrackKey(track, true) },
+  { matchedBy: 'exact', album: false, key: track => normalizeTrackKey(track, false) },
+  { matchedBy: 'fuzzy', album: true, key: track => fuzzyTrackKey(track, { ...DEFAULT_MATCH_OPTIONS, includeAlbum: true }) },
+  { matchedBy: 'fuzzy', album: false, key: track => fuzzyTrackKey(track, { ...DEFAULT_MATCH_OPTIONS, includeAlbum: false }) }
+];
+
+function buildImportIndex(items) {
+  const index = { byId: new Map(), byIsrc: new Map(), levels: IMPORT_MATCH_LEVELS.map(() => new Map()) };
+  const add = (map, key, item) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(item);
+  };
+  
+  items.forEach(item => {
+    const track = item.track;
+    index.byId.set(track.id, item);
+    if (track.external_ids && track.external_ids.isrc) {
+      add(index.byIsrc, track.external_ids.isrc.toUpperCase(), item);
+    }
+    const shape = importTrackShape(track.name, track.artists.map(artist => artist.name), track.album ? track.album.name : '');
+    IMPORT_MATCH_LEVELS.forEach((level, i) => add(index.levels[i], level.key(shape), item));
+  });
+  
+  return index;
+}
+
+function findImportCandidates(row, index) {
+  if (row.spotifyId && index.byId.has(row.spotifyId)) {
+    return { matchedBy: 'spotifyId', candidates: [index.byId.get(row.spotifyId)] };
+  }
+  if (row.isrc && index.byIsrc.has(row.isrc)) {
+    return { matchedBy: 'isrc', candidates: index.byIsrc.get(row.isrc) };
+  }
+  if (row.title && row.artist) {
+    const shape = importTrackShape(row.title, [row.artist], row.album);
+    for (const [i, level] of IMPORT_MATCH_LEVELS.entries()) {
+      if (level.album && !row.album) continue;
+      const candidates = index.levels[i].get(level.key(shape));
+      if (candidates) {
+        return { matchedBy: level.matchedBy, candidates };
+      }
+    }
+  }
+  return { matchedBy: null, candidates: [] };
+}
+
+// One distinct recording is a match; copies sharing an ISRC (album and single
+// releases, liked twice) count as one, preferring the original album
+function resolveImportCandidates(candidates) {
+  const unique = [...new Map(candidates.map(item => [item.track.id, item])).values()]
+    .map(item => ({ ...item, addedAt: item.added_at || null }))
+    .sort(KEEP_POLICIES.original.compare);
+  const recordings = new Set(unique.map(item => (item.track.external_ids && item.track.external_ids.isrc) || item.track.id));
+  
+  return {
+    status: unique.length === 0 ? 'missing' : recordings.size === 1 ? 'matched' : 'ambiguous',
+    best: unique[0] || null,
+    candidates: unique
+  };
+}
+
+function summarizeImportCandidate(item, likedIds) {
+  return {
+    ...summarizeTrack({ track: item.track, addedAt: item.addedAt }),
+    albumType: item.track.album ? item.track.album.album_type : null,
+    releaseDate: item.track.album ? item.track.album.release_date : null,
+    isrc: (item.track.external_ids && item.track.external_ids.isrc) || null,
+    inLibrary: likedIds.has(item.track.id)
+  };
+}
+
+// Look a row up on Spotify: by ID, by ISRC, or by title and artist
+async function searchImportRow(user, row) {
+  if (row.spotifyId) {
+    try {
+      const response = await spotifyRequest(user, () => user.spotifyApi.getTrack(row.spotifyId));
+      return { matchedBy: 'spotifyId', candidates: [{ track: response.body }], suggestions: [] };
+    } catch (error) {
+      if (error.statusCode !== 404 && error.statusCode !== 400) throw error;
+      console.log(`Row ${row.row}: Spotify ID ${row.spotifyId} not found, trying a search`);
+    }
+  }
+  
+  const quote = value => `"${value.replace(/"/g, '')}"`;
+  let query = null;
+  if (row.isrc) {
+    query = `isrc:${row.isrc}`;
+  } else if (row.title && row.artist) {
+    query = `track:${quote(row.title)} artist:${quote(row.artist.split(/\s*[,;]\s*/)[0])}`;
+  }
+  if (!query) {
+    return { matchedBy: null, candidates: [], suggestions: [] };
+  }
+  
+  const response = await spotifyRequest(user, () => user.spotifyApi.searchTracks(query, { limit: IMPORT_SEARCH_LIMIT }));
+  const results = response.body.tracks.items.filter(track => track && track.id).map(track => ({ track }));
+  
+  if (row.isrc) {
+    return { matchedBy: 'isrc', candidates: results, suggestions: [] };
+  }
+  
+  // Search is loose, so results still have to pass the same matching as the library
+  const found = findImportCandidates(row, buildImportIndex(results));
+  return { ...found, suggestions: found.candidates.length > 0 ? [] : results.slice(0, 3) };
+}
+
+// Request bodies reach here unchecked, so wrong option types are a 400 rather than a crash
+function parseImportOptions({ content, format, name = null, search = true } = {}) {
+  if (typeof content !== 'string') {
+    throw importError('The import file content must be a string');
+  }
+  if (format !== undefined && format !== null && typeof format !== 'string') {
+    throw importError('Import format must be a string');
+  }
+  if (name !== null && typeof name !== 'string') {
+    throw importError('Import name must be a string');
+  }
+  if (typeof search !== 'boolean') {
+    throw importError('"search" must be true or false');
+  }
+  return { content, format: format || null, name: name || null, search };
+}
+
+function parseImportSaveOptions({ target = 'liked', playlistName = null, public: isPublic = false, picks = {} } = {}) {
+  if (!['liked', 'playlist'].includes(target)) {
+    throw importError('Save target must be "liked" or "playlist"');
+  }
+  if (playlistName !== null && typeof playlistName !== 'string') {
+    throw importError('Playlist name must be a string');
+  }
+  if (typeof isPublic !== 'boolean') {
+    throw importError('"public" must be true or false');
+  }
+  if (!picks || typeof picks !== 'object' || Array.isArray(picks) || Object.values(picks).some(id => typeof id !== 'string')) {
+    throw importError('Picks must map row numbers to track IDs');
+  }
+  return { target, playlistName, isPublic, picks };
+}
+
+async function importTracks(user, params, job = null) {
+  const { content, format, name, search } = parseImportOptions(params);
+  const rows = parseImportRows(content, format);
+  console.log(`Importing ${rows.length} rows${name ? ` from "${name}"` : ''}`);
+  
+  const likedSongs = await getAllLikedSongs(user, { job });
+  const library = buildImportIndex(likedSongs);
+  const likedIds = new Set(library.byId.keys());
+  
+  // Search results survive a resume, they are the slow part
+  const checkpoint = job ? job.checkpoint : {};
+  const searched = checkpoint.importSearches = checkpoint.importSearches || {};
+  
+  const results = [];
+  for (const [rowIndex, row] of rows.entries()) {
+    throwIfJobCancelled(job);
+    reportJobProgress(job, rowIndex, rows.length, `Matching row ${rowIndex + 1} of ${rows.length}...`);
+    
+    const input = { title: row.title, artist: row.artist, album: row.album, isrc: row.isrc, spotifyId: row.spotifyId };
+    const result = { row: row.row, input, status: 'missing', matchedBy: null, foundIn: null, track: null, candidates: [] };
+    results.push(result);
+    
+    if (!row.title && !row.isrc && !row.spotifyId) {
+      result.error = 'Row has no title, ISRC or Spotify ID';
+      continue;
+    }
+    
+    let found = findImportCandidates(row, library);
+    result.foundIn = 'library';
+    
+    if (found.candidates.length === 0 && search) {
+      try {
+        if (!searched[row.row]) {
+          searched[row.row] = await searchImportRow(user, row);
+        }
+        found = searched[row.row];
+        result.foundIn = 'spotify';
+        result.suggestions = found.suggestions.map(item => summarizeImportCandidate(item, likedIds));
+      } catch (error) {
+        console.error(`Search failed for row ${row.row}:`, error.message);
+        result.error = `Search failed: ${error.message}`;
+      }
+    }
+    
+    const resolved = resolveImportCandidates(found.candidates);
+    result.status = resolved.status;
+    result.matchedBy = found.matchedBy;
+    result.candidates = resolved.candidates.map(item => summarizeImportCandidate(item, likedIds));
+    if (resolved.status === 'matched') {
+      result.track = result.candidates[0];
+    }
+    if (resolved.status === 'missing') {
+      result.foundIn = null;
+    }
+  }
+  
+  const count = predicate => results.filter(predicate).length;
+  const report = {
+    id: `import-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    createdAt: new Date().toISOString(),
+    counts: {
+      total: results.length,
+      ...Object.fromEntries(IMPORT_STATUSES.map(status => [status, count(result => result.status === status)])),
+      inLibrary: count(result => result.track && result.track.inLibrary),
+      fromSearch: count(result => result.status === 'matched' && result.foundIn === 'spotify')
+    },
+    rows: results
+  };
+  
+  console.log(`Import matched ${report.counts.matched}, ambiguous ${report.counts.ambiguous}, missing ${report.counts.missing}`);
+  
+  storeImport(user, report);
+  return report;
+}
+
+// Import reports are kept like removal plans so the matches can be saved later
+const pendingImports = new Map();
+
+function storeImport(user, report) {
+  pendingImports.set(report.id, { ...report, userId: user.userId });
+  setTimeout(() => {
+    if (pendingImports.delete(report.id)) {
+      console.log(`Import ${report.id} expired`);
+    }
+  }, PLAN_DURATION).unref();
+}
+
+function getStoredImport(user, importId) {
+  const report = pendingImports.get(importId);
+  return report && report.userId === user.userId ? report : null;
+}
+
+// Save the matched tracks, plus picks ({ row: trackId }) for ambiguous or
+// missing rows, to Liked Songs or to a new playlist
+async function saveImportedTracks(user, report, params) {
+  const { target, playlistName, isPublic, picks } = parseImportSaveOptions(params);
+  
+  const tracks = [];
+  for (const result of report.rows) {
+    const pick = Object.prototype.hasOwnProperty.call(picks, result.row) ? picks[result.row] : null;
+    const choices = [...result.candidates, ...(result.suggestions || [])];
+    const track = pick ? choices.find(candidate => candidate.id === pick) : result.track;
+    if (pick && !track) {
+      throw importError(`Row ${result.row}: the picked track is not one of its candidates`);
+    }
+    if (track && !tracks.some(t => t.id === track.id)) {
+      tracks.push(track);
+    }
+  }
+  
+  if (target === 'liked') {
+    // Check against a fresh sync, the library may have changed since the import
+    const likedIds = new Set((await getAllLikedSongs(user)).map(item => item.track.id));
+    const toSave = tracks.filter(track => !likedIds.has(track.id));
+    
+    for (let i = 0; i < toSave.length; i += 50) {
+      const batch = toSave.slice(i, i + 50);
+      console.log(`Saving imported tracks ${i + 1}-${i + batch.length} of ${toSave.length} to Liked Songs`);
+      await spotifyRequest(user, () => user.spotifyApi.addToMySavedTracks(batch.map(track => track.id)));
+    }
+    if (toSave.length > 0) {
+      await markLikedSongsCacheStale(user);
+    }
+    
+    return {
+      success: true,
+      target,
+      saved: toSave.length,
+      alreadyLiked: tracks.length - toSave.length,
+      message: `Saved ${toSave.length} tracks to Liked Songs${tracks.length > toSave.length ? ` (${tracks.length - toSave.length} were already liked)` : ''}`
+    };
+  }
+  
+  if (tracks.length === 0) {
+    throw importError('No matched tracks to add to a playlist');
+  }
+  
+  const name = (playlistName || '').trim() || `Imported${report.name ? ` from ${report.name}` : ''} ${new Date().toISOString().slice(0, 10)}`;
+  const description = `Imported ${tracks.length} of ${report.counts.total} rows${report.name ? ` from ${report.name}` : ''} on ${new Date().toISOString().slice(0, 10)}`;
+  
+  console.log(`Creating playlist "${name}" for ${tracks.length} imported tracks`);
+  const playlist = await spotifyRequest(user, () => user.spotifyApi.createPlaylist(name, {
+    description: description.slice(0, SPOTIFY_DESCRIPTION_LIMIT),
+    public: isPublic,
+    collaborative: false
+  }));
+  const playlistId = playlist.body.id;
+  
+  for (let i = 0; i < tracks.length; i += PLAYLIST_PAGE_SIZE) {
+    const batch = tracks.slice(i, i + PLAYLIST_PAGE_SIZE);
+    await spotifyRequest(user, () => user.spotifyApi.addTracksToPlaylist(playlistId, batch.map(track => track.uri)));
+  }
+  
+  return {
+    success: true,
+    target,
+    saved: tracks.length,
+    playlistId,
+    playlistName: name,
+    playlistUrl: `https://open.spotify.com/playlist/${playlistId}`,
+    message: `Created playlist "${name}" with ${tracks.length} tracks`
+  };
+}
+
+async function buildDuplicatesResponse(user, params, job = null) {
+  const matchOptions = parseMatchOptions(params);
+  const { source, duplicates } = await findDuplicatesInSource(user, parseSource(params.source), matchOptions, job);
+  return {
+    source,
+    duplicates,
+    matchOptions: { ...DEFAULT_MATCH_OPTIONS, ...matchOptions },
+    keepPolicies: Object.entries(KEEP_POLICIES).map(([id, policy]) => ({ id, label: policy.label }))
+  };
+}
+
+async function findDuplicatesInSource(user, sourceKey = LIKED_SOURCE, matchOptions = {}, job = null) {
+  const { source, tracks: allTracks } = await loadSource(user, sourceKey, job);
+  console.log(`Finding duplicates in "${source.name}"...`);
+  
+  reportJobProgress(job, 0, 1, 'Looking for duplicates...');
+  // Find duplicates
+  const duplicates = findDuplicates(allTracks, matchOptions);
+  const looseCount = duplicates.filter(group => group.isLooseMatch).length;
+  console.log(`Found ${duplicates.length} duplicate groups (${looseCount} loose matches)`);
+  
+  // Work out which copy each keep-policy would keep so the UI can switch instantly
+  duplicates.forEach(group => {
+    group.keepByPolicy = {};
+    Object.keys(KEEP_POLICIES).forEach(policyId => {
+      const { keep, reason } = chooseCopyToKeep(group, policyId);
+      group.keepByPolicy[policyId] = { copyId: keep.copyId, trackId: keep.track.id, reason };
+    });
+  });
+  
+  return { source, duplicates };
+}
+
+// Duplicate matching configuration
+const DEFAULT_MATCH_OPTIONS = {
+  includeAlbum: true,          // Require the same (normalized) album name
+  stripVersionSuffixes: true,  // "Song - Remastered 2011" and "Song (2009 Remaster)" match "Song"
+  normalizeFeaturing: true,    // Ignore "feat." credits in titles and featured artists
+  normalizePunctuation: true,  // Ignore punctuation, case and diacritics
+  matchIsrc: false,            // Tracks with the same ISRC are duplicates regardless of metadata
+  durationToleranceMs: null    // If set, loose matches must also be this close in duration
+};
+
+// Groups below this confidence are reported as loose matches for manual review
+const LOOSE_MATCH_CONFIDENCE = 0.9;
+
+// Words in a "- ..." or "(...)" title segment that mark a re-release of the same recording
+// (only tags that name a release, not "version" or "edition" alone: an
+// "Extended Version" or "Spanish Version" is a different recording)
+const VERSION_KEYWORDS = /\b(remaster(ed)?|re-?master(ed)?|single version|album version|radio (edit|version)|mono|stereo|deluxe|(expanded|anniversary) edition|bonus track|explicit|clean)\b/i;
+// ...unless the segment also marks a genuinely different recording
+const DISTINCT_RECORDING_KEYWORDS = /\b(live|acoustic|remix|mix|demo|instrumental|karaoke|unplugged|reprise|cover|session)\b/i;
+const FEATURING_PATTERN = /\s*[([]?\s*\b(feat\.?|ft\.?|featuring)\s+[^)\]]*[)\]]?/i;
+
+// Build match options from query string or JSON body values
+function parseMatchOptions(source = {}) {
+  const options = {};
+  
+  ['includeAlbum', 'stripVersionSuffixes', 'normalizeFeaturing', 'normalizePunctuation', 'matchIsrc'].forEach(name => {
+    if (source[name] !== undefined) {
+      options[name] = source[name] === true || source[name] === 'true';
+    }
+  });
+  
+  // Tolerance is given in seconds
+  const tolerance = parseFloat(source.durationTolerance);
+  if (Number.isFinite(tolerance) && tolerance >= 0) {
+    options.durationToleranceMs = tolerance * 1000;
+  }
+  
+  return options;
+}
+
+function findDuplicates(tracks, options = {}) {
+  // Older callers pass includeAlbum as a boolean
+  const matchOptions = {
+    ...DEFAULT_MATCH_OPTIONS,
+    ...(typeof options === 'boolean' ? { includeAlbum: options } : options)
+  };
+  
+  const entries = [];
+  tracks.forEach((item, index) => {
+    const track = item.track;
+    if (!track) return;
+    
+    entries.push({
+      index,
+      track: track,
+      addedAt: item.added_at,
+      position: item.position,
+      copyId: trackCopyId(track.id, item.position)
+    });
+  });
+  
+  // Union-find over entries so tracks linked by any criterion end up in one group.
+  // The links that joined two groups are kept, so every copy can be explained
+  // by the copy it actually matched
+  const parent = entries.map((_, i) => i);
+  const links = entries.map(() => []);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA === rootB) return;
+    parent[rootA] = rootB;
+    links[a].push(b);
+    links[b].push(a);
+  };
+  
+  const bucketBy = keyFn => {
+    const buckets = new Map();
+    entries.forEach((entry, i) => {
+      const key = keyFn(entry);
+      if (!key) return;
+      if (!buckets.has(key)) {
+        buckets.set(key, []);
+      }
+      buckets.get(key).push(i);
+    });
+    return buckets;
+  };
+  
+  // 1. Exact matches (the original lowercase key)
+  bucketBy(entry => normalizeTrackKey(entry.track, matchOptions.includeAlbum)).forEach(members => {
+    members.slice(1).forEach(i => union(members[0], i));
+  });
+  
+  // 2. Same ISRC
+  if (matchOptions.matchIsrc) {
+    bucketBy(entry => entry.track.external_ids && entry.track.external_ids.isrc).forEach(members => {
+      members.slice(1).forEach(i => union(members[0], i));
+    });
+  }
+  
+  // 3. Normalized title/artist/album, optionally limited to tracks of similar duration
+  bucketBy(entry => fuzzyTrackKey(entry.track, matchOptions)).forEach(members => {
+    if (matchOptions.durationToleranceMs == null) {
+      members.slice(1).forEach(i => union(members[0], i));
+      return;
+    }
+    
+    // Each cluster is measured from its shortest track, so no two tracks in
+    // it differ by more than the tolerance (neighbour chains could drift)
+    const byDuration = [...members].sort((a, b) => entries[a].track.duration_ms - entries[b].track.duration_ms);
+    let clusterStart = byDuration[0];
+    for (let j = 1; j < byDuration.length; j++) {
+      const gap = entries[byDuration[j]].track.duration_ms - entries[clusterStart].track.duration_ms;
+      if (gap <= matchOptions.durationToleranceMs) {
+        union(clusterStart, byDuration[j]);
+      } else {
+        clusterStart = byDuration[j];
+      }
+    }
+  });
+  
+  const groups = new Map();
+  entries.forEach((entry, i) => {
+    const root = find(i);
+    if (!groups.has(root)) {
+      groups.set(root, []);
+    }
+    groups.get(root).push(i);
+  });
+  
+  // Filter out groups with only one track (no duplicates) and explain the rest
+  const duplicates = [];
+  
+  groups.forEach(members => {
+    if (members.length < 2) return;
+    
+    // Walk the links out from the first (most recently liked) copy and describe
+    // each copy against the one it was linked to
+    const anchor = entries[members[0]];
+    const reasons = new Set();
+    let confidence = 1;
+    const visited = new Set([members[0]]);
+    const queue = [members[0]];
+    
+    while (queue.length > 0) {
+      const from = queue.shift();
+      links[from].forEach(to => {
+        if (visited.has(to)) return;
+        visited.add(to);
+        queue.push(to);
+        
+        const entry = entries[to];
+        entry.match = { ...describeTrackMatch(entries[from], entry, matchOptions), matchedWith: entries[from].copyId };
+        entry.match.reasons.forEach(reason => reasons.add(reason));
+        confidence = Math.min(confidence, entry.match.confidence);
+      });
+    }
+    
+    const isExact = confidence === 1;
+    
+    duplicates.push({
+      key: isExact ? normalizeTrackKey(anchor.track, matchOptions.includeAlbum) : fuzzyTrackKey(anchor.track, matchOptions),
+      tracks: members.map(i => entries[i]),
+      count: members.length,
+      confidence,
+      reasons: Array.from(reasons),
+      isLooseMatch: confidence < LOOSE_MATCH_CONFIDENCE
+    });
+  });
+  
+  // A duration tolerance can split one title into several groups; manual picks
+  // are keyed by group, so those groups also get the copy they start from
+  const keyCounts = new Map();
+  duplicates.forEach(group => keyCounts.set(group.key, (keyCounts.get(group.key) || 0) + 1));
+  duplicates.forEach(group => {
+    if (keyCounts.get(group.key) > 1) {
+      group.key = `${group.key}@${group.tracks[0].copyId}`;
+    }
+  });
+  
+  return duplicates;
+}
+
+function normalizeTrackKey(track, includeAlbum = true) {
+  // Normalize track name and artist for comparison
+  const trackName = track.name.toLowerCase().trim();
+  const artistNames = track.artists.map(artist => artist.name.toLowerCase().trim()).sort().join(',');
+  
+  if (includeAlbum) {
+    const albumName = track.album.name.toLowerCase().trim();
+    // Include album name in the key to distinguish between different versions
+    // This prevents compilations, live albums, etc. from being marked as duplicates
+    return `${trackName}::${artistNames}::${albumName}`;
+  } else {
+    // Looser matching - only track name and artist (for finding ALL versions)
+    return `${trackName}::${artistNames}`;
+  }
+}
+
+function normalizeText(text, options = DEFAULT_MATCH_OPTIONS) {
+  let normalized = text.toLowerCase().trim();
+  
+  if (options.normalizePunctuation) {
+    normalized = normalized
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '') // Strip diacritics
+      .replace(/&/g, ' and ')
+      .replace(/[^\p{L}\p{N}\s]/gu, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+  
+  // Titles made only of punctuation ("...", "!!!") would all share an empty key
+  return normalized || text.toLowerCase().trim();
+}
+
+// Split a track or album title into its base name, version tags and feat. credits
+function parseTrackTitle(name, options = DEFAULT_MATCH_OPTIONS) {
+  let title = name;
+  const versionTags = [];
+  const featured = [];
+  
+  if (options.normalizeFeaturing) {
+    const featMatch = title.match(FEATURING_PATTERN);
+    if (featMatch) {
+      featured.push(featMatch[0].trim());
+      title = title.replace(FEATURING_PATTERN, '').replace(/\s*[-–—]\s*$/, '');
+    }
+  }
+  
+  if (options.stripVersionSuffixes) {
+    // Bracketed segments: "Song (2009 Remaster)", "Song [Mono]"
+    title = title.replace(/\s*[([]([^)\]]*)[)\]]/g, (segment, inner) => {
+      if (VERSION_KEYWORDS.test(inner) && !DISTINCT_RECORDING_KEYWORDS.test(inner)) {
+        versionTags.push(inner.trim());
+        return '';
+      }
+      return segment;
+    });
+    
+    // Dash segments: "Song - Remastered 2011", "Song - Single Version"
+    const parts = title.split(/\s+[-–—]\s+/);
+    while (parts.length > 1 && VERSION_KEYWORDS.test(parts[parts.length - 1]) && !DISTINCT_RECORDING_KEYWORDS.test(parts[parts.length - 1])) {
+      versionTags.unshift(parts.pop().trim());
+    }
+    title = parts.join(' - ');
+  }
+  
+  return {
+    base: normalizeText(title, options),
+    versionTags,
+    featured
+  };
+}
+
+function fuzzyTrackKey(track, options = DEFAULT_MATCH_OPTIONS) {
+  const title = parseTrackTitle(track.name, options).base;
+  
+  // With feat. normalization only the primary artist counts
+  const artists = options.normalizeFeaturing ? track.artists.slice(0, 1) : track.artists;
+  const artistNames = artists.map(artist => normalizeText(artist.name, options)).sort().join(',');
+  
+  if (options.includeAlbum) {
+    const albumName = parseTrackTitle(track.album.name, options).base;
+    return `${title}::${artistNames}::${albumName}`;
+  }
+  return `${title}::${artistNames}`;
+}
+
+// Explain why two copies were grouped together and how sure we are
+function describeTrackMatch(anchor, entry, options) {
+  if (normalizeTrackKey(anchor.track, options.includeAlbum) === normalizeTrackKey(entry.track, options.includeAlbum)) {
+    return {
+      confidence: 1,
+      reasons: [options.includeAlbum ? 'Identical title, artists and album' : 'Identical title and artists']
+    };
+  }
+  
+  const anchorIsrc = anchor.track.external_ids && anchor.track.external_ids.isrc;
+  const entryIsrc = entry.track.external_ids && entry.track.external_ids.isrc;
+  if (options.matchIsrc && anchorIsrc && anchorIsrc === entryIsrc) {
+    return {
+      confidence: 0.95,
+      reasons: [`Same ISRC (${anchorIsrc})`]
+    };
+  }
+  
+  let confidence = 0.9;
+  const reasons = [];
+  const anchorTitle = parseTrackTitle(anchor.track.name, options);
+  const entryTitle = parseTrackTitle(entry.track.name, options);
+  
+  if (anchorTitle.versionTags.join('|').toLowerCase() !== entryTitle.versionTags.join('|').toLowerCase()) {
+    confidence -= 0.15;
+    const tags = [...anchorTitle.versionTags, ...entryTitle.versionTags].map(tag => `"${tag}"`).join(', ');
+    reasons.push(`Version suffixes ignored (${tags})`);
+  }
+  
+  const artistList = track => track.artists.map(artist => artist.name.toLowerCase()).sort().join(',');
+  if (anchorTitle.featured.join('|').toLowerCase() !== entryTitle.featured.join('|').toLowerCase() ||
+      artistList(anchor.track) !== artistList(entry.track)) {
+    confidence -= 0.1;
+    reasons.push('Featured artist credits ignored');
+  }
+  
+  if (anchor.track.album.name.toLowerCase().trim() !== entry.track.album.name.toLowerCase().trim()) {
+    confidence -= 0.05;
+    reasons.push(options.includeAlbum ?
+      `Album editions ignored ("${anchor.track.album.name}" vs "${entry.track.album.name}")` :
+      'Found on different albums');
+  }
+  
+  if (reasons.length === 0) {
+    reasons.push('Title differs only in punctuation, case or accents');
+  }
+  
+  // Copies joined through another criterion can be further apart than the tolerance
+  if (options.durationToleranceMs != null) {
+    const gap = Math.abs(anchor.track.duration_ms - entry.track.duration_ms);
+    if (gap <= options.durationToleranceMs) {
+      confidence += 0.05;
+      reasons.push(`Durations within ${(gap / 1000).toFixed(1)}s`);
+    }
+  }
+  
+  return {
+    confidence: Math.round(Math.min(confidence, 0.99) * 100) / 100,
+    reasons
+  };
+}
+
+// Check which albums are saved in the user's library (in batches of 20).
+// Answers are kept in the job checkpoint so a resumed job skips them.
+async function checkAlbumsInLibrary(user, albumIds, job = null) {
+  const albumLibraryStatus = new Map();
+  const checkpoint = job ? job.checkpoint : {};
+  const checkedAlbums = checkpoint.albumLibraryStatus = checkpoint.albumLibraryStatus || {};
+  const batchSize = 20;
+  
+  console.log(`Checking library status for ${albumIds.length} albums...`);
+  
+  for (let i = 0; i < albumIds.length; i += batchSize) {
+    const batch = albumIds.slice(i, i + batchSize);
+    
+    throwIfJobCancelled(job);
+    reportJobProgress(job, i, albumIds.length, `Checking which albums are in your library (${i}/${albumIds.length})...`);
+    
+    if (batch.every(albumId => albumId in checkedAlbums)) {
+      batch.forEach(albumId => albumLibraryStatus.set(albumId, checkedAlbums[albumId]));
+      continue;
+    }
+    
+    try {
+      const response = await spotifyRequest(user, () => user.spotifyApi.containsMySavedAlbums(batch));
+      batch.forEach((albumId, index) => {
+        albumLibraryStatus.set(albumId, response.body[index]);
+        checkedAlbums[albumId] = response.body[index];
+      });
+    } catch (error) {
+      console.error(`Error checking album library status for batch ${i}:`, error);
+      // If we can't check, assume not in library
+      batch.forEach(albumId => {
+        albumLibraryStatus.set(albumId, false);
+      });
+    }
+  }
+  
+  return albumLibraryStatus;
+}
+
+// Album analysis thresholds - an album is reported when it passes all of them
+const ALBUM_TYPES = ['album', 'single', 'compilation'];
+const LIBRARY_STATUS_FILTERS = ['any', 'inLibrary', 'notInLibrary'];
+const DEFAULT_ALBUM_THRESHOLDS = {
+  minPercentage: null,         // % of the album's tracks that are liked (null = the default rule below)
+  minLikedCount: 1,            // Liked tracks from the album
+  minAlbumSize: 3,             // Tracks on the album, ignores singles by default
+  albumTypes: ALBUM_TYPES,     // Spotify album_type values to include
+  sameDayOnly: false,          // Only albums whose liked tracks were all added within one day
+  libraryStatus: 'any'         // Whether the album is saved in the library
+};
+
+function parseAlbumThresholds(source = {}) {
+  const thresholds = { ...DEFAULT_ALBUM_THRESHOLDS };
+  
+  const minPercentage = parseFloat(source.minPercentage);
+  if (Number.isFinite(minPercentage) && minPercentage >= 0 && minPercentage <= 100) {
+    thresholds.minPercentage = minPercentage;
+  }
+  
+  ['minLikedCount', 'minAlbumSize'].forEach(name => {
+    const value = parseInt(source[name], 10);
+    if (Number.isInteger(value) && value >= 1) {
+      thresholds[name] = value;
+    }
+  });
+  
+  // Accepts an array or a comma separated list from the query string
+  if (source.albumTypes !== undefined) {
+    const types = (Array.isArray(source.albumTypes) ? source.albumTypes : String(source.albumTypes).split(','))
+      .map(type => String(type).trim().toLowerCase())
+      .filter(type => ALBUM_TYPES.includes(type));
+    if (types.length > 0) {
+      thresholds.albumTypes = types;
+    }
+  }
+  
+  if (source.sameDayOnly !== undefined) {
+    thresholds.sameDayOnly = source.sameDayOnly === true || source.sameDayOnly === 'true';
+  }
+  
+  if (LIBRARY_STATUS_FILTERS.includes(source.libraryStatus)) {
+    thresholds.libraryStatus = source.libraryStatus;
+  }
+  
+  return thresholds;
+}
+
+function passesAlbumThresholds(albumStats, thresholds) {
+  const { totalTracks, likedCount, exactPercentage, albumType, addedSameDay } = albumStats;
+  
+  if (totalTracks < thresholds.minAlbumSize || likedCount < thresholds.minLikedCount) {
+    return false;
+  }
+  if (!thresholds.albumTypes.includes(albumType)) {
+    return false;
+  }
+  if (thresholds.sameDayOnly && !addedSameDay) {
+    return false;
+  }
+  
+  if (thresholds.minPercentage === null) {
+    // Default rule: >70% of tracks are liked, OR >5 tracks from same album with >50%
+    return exactPercentage > 70 || (likedCount > 5 && exactPercentage > 50);
+  }
+  return exactPercentage >= thresholds.minPercentage;
+}
+
+async function analyzeAlbumsInSource(user, sourceKey = LIKED_SOURCE, thresholds = DEFAULT_ALBUM_THRESHOLDS, job = null) {
+  const { source, tracks: allTracks } = await loadSource(user, sourceKey, job);
+  console.log(`Analyzing albums in "${source.name}"...`);
+  
+  // Group tracks by album
+  const albumMap = new Map();
+  
+  allTracks.forEach((item, index) => {
+    const track = item.track;
+    if (!track || !track.album) return;
+    
+    const albumKey = `${track.album.id}::${track.album.name}`;
+    
+    if (!albumMap.has(albumKey)) {
+      albumMap.set(albumKey, {
+        album: track.album,
+        tracks: [],
+        totalTracks: track.album.total_tracks
+      });
+    }
+    
+    albumMap.get(albumKey).tracks.push({
+      track,
+      addedAt: item.added_at,
+      position: item.position,
+      index
+    });
+  });
+  
+  // Work out the stats for every album, then keep the ones that pass the thresholds
+  const matchedAlbums = [];
+  
+  albumMap.forEach(({ album, tracks, totalTracks }) => {
+    const likedCount = tracks.length;
+    const exactPercentage = (likedCount / totalTracks) * 100;
+    const sortedTracks = tracks.sort((a, b) => new Date(a.addedAt) - new Date(b.addedAt));
+    const firstAddedAt = sortedTracks[0].addedAt;
+    const lastAddedAt = sortedTracks[sortedTracks.length - 1].addedAt;
+    const addedSpanHours = (new Date(lastAddedAt) - new Date(firstAddedAt)) / (1000 * 60 * 60);
+    
+    const albumStats = {
+      album,
+      albumType: album.album_type,
+      likedCount,
+      totalTracks,
+      missingCount: Math.max(0, totalTracks - likedCount),
+      percentage: Math.round(exactPercentage),
+      exactPercentage,
+      firstAddedAt,
+      lastAddedAt,
+      addedSpanHours: Math.round(addedSpanHours * 10) / 10,
+      addedSameDay: addedSpanHours <= 24,
+      isInLibrary: false,
+      tracks: sortedTracks
+    };
+    
+    if (passesAlbumThresholds(albumStats, thresholds)) {
+      matchedAlbums.push(albumStats);
+    }
+  });
+  
+  // Check which of those albums are in the user's library
+  const albumLibraryStatus = await checkAlbumsInLibrary(user, matchedAlbums.map(albumStats => albumStats.album.id), job);
+  
+  matchedAlbums.forEach(albumStats => {
+    albumStats.isInLibrary = albumLibraryStatus.get(albumStats.album.id) || false;
+  });
+  
+  const albumAnalysis = matchedAlbums.filter(albumStats =>
+    thresholds.libraryStatus === 'any' ||
+    (thresholds.libraryStatus === 'inLibrary') === albumStats.isInLibrary
+  );
+  
+  // Sort by percentage descending
+  albumAnalysis.sort((a, b) => b.exactPercentage - a.exactPercentage);
+  
+  console.log(`Found ${albumAnalysis.length} of ${albumMap.size} albums matching the thresholds`);
+  return {
+    source,
+    albumAnalysis,
+    thresholds,
+    scannedAlbums: albumMap.size
+  };
+}
+
+// Album binge detection - saving an album in the old Spotify clients liked
+// every track at once, which shows up as many tracks from one album liked
+// within a few seconds of each other
+const DEFAULT_BINGE_OPTIONS = {
+  windowSeconds: 60,   // Max gap between consecutive likes in one bulk-add
+  minTracks: 3         // Likes needed in a cluster to count as a bulk-add
+};
+
+function parseBingeOptions(source = {}) {
+  const options = { ...DEFAULT_BINGE_OPTIONS };
+  
+  const windowSeconds = parseFloat(source.windowSeconds);
+  if (Number.isFinite(windowSeconds) && windowSeconds >= 0) {
+    options.windowSeconds = windowSeconds;
+  }
+  
+  const minTracks = parseInt(source.minTracks, 10);
+  if (Number.isInteger(minTracks) && minTracks >= 2) {
+    options.minTracks = minTracks;
+  }
+  
+  return options;
+}
+
+// Split an album's likes (sorted by added_at) into clusters where each like
+// follows the previous one within the window
+function clusterLikesByTime(tracks, windowSeconds) {
+  const clusters = [];
+  let current = [];
+  
+  tracks.forEach(item => {
+    const previous = current[current.length - 1];
+    if (previous && (new Date(item.addedAt) - new Date(previous.addedAt)) / 1000 > windowSeconds) {
+      clusters.push(current);
+      current = [];
+    }
+    current.push(item);
+  });
+  
+  if (current.length > 0) {
+    clusters.push(current);
+  }
+  return clusters;
+}
+
+async function analyzeAlbumBinges(user, options = DEFAULT_BINGE_OPTIONS, job = null) {
+  console.log('Looking for album bulk-adds in liked songs...');
+  const allTracks = await getAllLikedSongs(user, { job });
+  
+  reportJobProgress(job, 0, 1, 'Looking for albums liked in one go...');
+  
+  // Group tracks by album
+  const albumMap = new Map();
+  
+  allTracks.forEach(item => {
+    const track = item.track;
+    if (!track || !track.album || !track.album.id) return;
+    
+    if (!albumMap.has(track.album.id)) {
+      albumMap.set(track.album.id, { album: track.album, tracks: [] });
+    }
+    albumMap.get(track.album.id).tracks.push({ track, addedAt: item.added_at });
+  });
+  
+  const bingeAlbums = [];
+  
+  albumMap.forEach(({ album, tracks }) => {
+    const sortedTracks = tracks.sort((a, b) => new Date(a.addedAt) - new Date(b.addedAt));
+    const clusters = clusterLikesByTime(sortedTracks, options.windowSeconds);
+    
+    const events = clusters
+      .filter(cluster => cluster.length >= options.minTracks)
+      .map(cluster => {
+        const startedAt = cluster[0].addedAt;
+        const endedAt = cluster[cluster.length - 1].addedAt;
+        return {
+          id: `${album.id}@${startedAt}`,
+          startedAt,
+          endedAt,
+          durationSeconds: Math.round((new Date(endedAt) - new Date(startedAt)) / 1000),
+          trackCount: cluster.length,
+          tracks: cluster
+        };
+      });
+    
+    if (events.length === 0) return;
+    
+    const bulkIds = new Set(events.flatMap(event => event.tracks.map(item => item.track.id)));
+    
+    bingeAlbums.push({
+      album,
+      albumType: album.album_type,
+      totalTracks: album.total_tracks,
+      likedCount: sortedTracks.length,
+      bulkCount: bulkIds.size,
+      isInLibrary: false,
+      events,
+      // Likes outside any bulk-add were most likely deliberate
+      individualTracks: sortedTracks.filter(item => !bulkIds.has(item.track.id))
+    });
+  });
+  
+  const albumLibraryStatus = await checkAlbumsInLibrary(user, bingeAlbums.map(albumData => albumData.album.id), job);
+  bingeAlbums.forEach(albumData => {
+    albumData.isInLibrary = albumLibraryStatus.get(albumData.album.id) || false;
+  });
+  
+  // Biggest bulk-adds first
+  bingeAlbums.sort((a, b) => b.bulkCount - a.bulkCount);
+  
+  const totalEvents = bingeAlbums.reduce((sum, albumData) => sum + albumData.events.length, 0);
+  const bulkTracks = bingeAlbums.reduce((sum, albumData) => sum + albumData.bulkCount, 0);
+  console.log(`Found ${totalEvents} album bulk-adds covering ${bulkTracks} tracks across ${bingeAlbums.length} albums`);
+  
+  return {
+    bingeAlbums,
+    options,
+    totalEvents,
+    bulkTracks
+  };
+}
+
+// Artist analysis - liked songs per primary artist (the same artist the
+// playlist builder groups by), for cleanups like "80 tracks liked in 2014, none since"
+const ARTIST_SORTS = {
+  count: (a, b) => b.count - a.count || a.artist.name.localeCompare(b.artist.name),
+  stale: (a, b) => a.lastLikedAt.localeCompare(b.lastLikedAt) || b.count - a.count,
+  recent: (a, b) => b.lastLikedAt.localeCompare(a.lastLikedAt) || b.count - a.count,
+  name: (a, b) => a.artist.name.localeCompare(b.artist.name)
+};
+
+const DEFAULT_ARTIST_OPTIONS = {
+  minTracks: 3,    // Artists with fewer tracks are left out of the analysis
+  sort: 'count'    // One of ARTIST_SORTS; "stale" puts the longest unliked artists first
+};
+
+function parseArtistOptions(source = {}) {
+  const options = { ...DEFAULT_ARTIST_OPTIONS };
+  
+  const minTracks = parseInt(source.minTracks, 10);
+  if (Number.isInteger(minTracks) && minTracks >= 1) {
+    options.minTracks = minTracks;
+  }
+  
+  if (ARTIST_SORTS[source.sort]) {
+    options.sort = source.sort;
+  }
+  
+  return options;
+}
+
+// Tracks by primary artist; appearances as a featured artist are only counted
+function groupTracksByArtist(tracks) {
+  const artistMap = new Map();
+  
+  tracks.forEach(item => {
+    const track = item.track;
+    if (!track || !track.artists) return;
+    
+    track.artists.forEach((artist, artistIndex) => {
+      const key = artist.id || artist.name;
+      if (!artistMap.has(key)) {
+        artistMap.set(key, { artist: { key, id: artist.id || null, name: artist.name }, tracks: [], featuredCount: 0 });
+      }
+      
+      const group = artistMap.get(key);
+      if (artistIndex === 0) {
+        group.tracks.push({ track, addedAt: item.added_at, position: item.position });
+      } else {
+        group.featuredCount++;
+      }
+    });
+  });
+  
+  return artistMap;
+}
+
+// Look up which artists are followed; sessions from before the follow scopes get null
+async function checkFollowedArtists(user, artistIds, job = null) {
+  const following = new Map();
+  
+  try {
+    for (let i = 0; i < artistIds.length; i += 50) {
+      throwIfJobCancelled(job);
+      reportJobProgress(job, i, artistIds.length, `Checking followed artists (${i}/${artistIds.length})...`);
+      
+      const batch = artistIds.slice(i, i + 50);
+      const response = await spotifyRequest(user, () => user.spotifyApi.isFollowingArtists(batch));
+      batch.forEach((id, index) => following.set(id, response.body[index]));
+    }
+  } catch (error) {
+    if (error.code === 'JOB_CANCELLED') throw error;
+    console.log('Could not check followed artists:', error.message);
+  }
+  
+  return following;
+}
+
+async function analyzeArtistsInSource(user, sourceKey = LIKED_SOURCE, options = DEFAULT_ARTIST_OPTIONS, job = null) {
+  const { source, tracks } = await loadSource(user, sourceKey, job);
+  console.log(`Analyzing artists in "${source.name}"...`);
+  
+  const artistMap = groupTracksByArtist(tracks);
+  const primaryArtists = [...artistMap.values()].filter(group => group.tracks.length > 0);
+  
+  const artists = primaryArtists
+    .filter(group => group.tracks.length >= options.minTracks)
+    .map(group => {
+      const sorted = group.tracks.sort((a, b) => new Date(a.addedAt) - new Date(b.addedAt));
+      
+      const likesByYear = {};
+      const albums = new Map();
+      sorted.forEach(item => {
+        const year = new Date(item.addedAt).getFullYear();
+        likesByYear[year] = (likesByYear[year] || 0) + 1;
+        
+        if (item.track.album) {
+          const album = albums.get(item.track.album.id) || { id: item.track.album.id, name: item.track.album.name, count: 0 };
+          album.count++;
+          albums.set(item.track.album.id, album);
+        }
+      });
+      
+      return {
+        artist: group.artist,
+        count: sorted.length,
+        featuredCount: group.featuredCount,
+        share: Math.round((sorted.length / tracks.length) * 1000) / 10,
+        firstLikedAt: sorted[0].addedAt,
+        lastLikedAt: sorted[sorted.length - 1].addedAt,
+        likesByYear,
+        albumCount: albums.size,
+        albums: [...albums.values()].sort((a, b) => b.count - a.count),
+        following: null,
+        tracks: sorted.map(item => summarizeTrack(item))
+      };
+    })
+    .sort(ARTIST_SORTS[options.sort]);
+  
+  const following = await checkFollowedArtists(user, artists.map(entry => entry.artist.id).filter(Boolean), job);
+  artists.forEach(entry => {
+    if (following.has(entry.artist.id)) {
+      entry.following = following.get(entry.artist.id);
+    }
+  });
+  
+  console.log(`Found ${primaryArtists.length} artists, ${artists.length} with at least ${options.minTracks} tracks`);
+  
+  return {
+    source,
+    options,
+    totalTracks: tracks.length,
+    totalArtists: primaryArtists.length,
+    artists
+  };
+}
+
+async function analyzeSongsByYear(user, job = null) {
+  console.log('Analyzing songs by year added...');
+  const allTracks = await getAllLikedSongs(user, { job });
+  
+  const yearMap = new Map();
+  
+  allTracks.forEach((item) => {
+    const addedDate = new Date(item.added_at);
+    const year = addedDate.getFullYear();
+    
+    if (!yearMap.has(year)) {
+      yearMap.set(year, []);
+    }
+    
+    yearMap.get(year).push({
+      track: item.track,
+      addedAt: item.added_at
+    });
+  });
+  
+  // Convert to array and sort by year
+  const yearData = Array.from(yearMap.entries()).map(([year, tracks]) => ({
+    year,
+    count: tracks.length,
+    tracks: tracks.sort((a, b) => new Date(a.addedAt) - new Date(b.addedAt))
+  })).sort((a, b) => b.year - a.year);
+  
+  console.log(`Found songs across ${yearData.length} different years`);
+  return yearData;
+}
+
+// Stale likes - songs liked long ago that never show up in top tracks or
+// recent plays. Spotify only shares the last 50 plays and a few hundred top
+// tracks per time range, so "never surfaces" means "not among those".
+const TOP_TRACK_RANGES = ['short_term', 'medium_term', 'long_term'];
+const ARCHIVE_PLAYLIST_NAME = 'Archive';
+
+const DEFAULT_STALE_OPTIONS = {
+  minAgeMonths: 12   // Only songs liked at least this long ago can be stale
+};
+
+// The archive playlist tracks are copied to before unliking; "archive": false skips it
+function parseArchiveOptions(source = {}) {
+  if (source.archive === false) {
+    return null;
+  }
+  const name = typeof source.playlistName === 'string' && source.playlistName.trim() ? source.playlistName.trim() : ARCHIVE_PLAYLIST_NAME;
+  return { name, public: source.public === true };
+}
+
+function parseStaleOptions(source = {}) {
+  const options = { ...DEFAULT_STALE_OPTIONS };
+  
+  const minAgeMonths = parseInt(source.minAgeMonths, 10);
+  if (Number.isInteger(minAgeMonths) && minAgeMonths >= 0) {
+    options.minAgeMonths = minAgeMonths;
+  }
+  
+  return options;
+}
+
+// Top tracks per time range and recently played tracks. Sessions from before
+// the listening scopes get a 403, which must not mark every song as stale.
+async function fetchListeningHistory(user, job = null) {
+  const history = { recent: [] };
+  
+  try {
+    for (const [rangeIndex, range] of TOP_TRACK_RANGES.entries()) {
+      throwIfJobCancelled(job);
+      reportJobProgress(job, rangeIndex, TOP_TRACK_RANGES.length + 1, `Fetching top tracks (${range.replace('_', ' ')})...`);
+      
+      history[range] = [];
+      let offset = 0;
+      let total = Infinity;
+      while (offset < total) {
+        const response = await spotifyRequest(user, () => user.spotifyApi.getMyTopTracks({ time_range: range, limit: 50, offset }));
+        total = response.body.total;
+        history[range].push(...response.body.items);
+        
+        if (response.body.items.length === 0) break;
+        offset += response.body.items.length;
+      }
+    }
+    
+    reportJobProgress(job, TOP_TRACK_RANGES.length, TOP_TRACK_RANGES.length + 1, 'Fetching recently played tracks...');
+    let before;
+    do {
+      throwIfJobCancelled(job);
+      const response = await spotifyRequest(user, () => user.spotifyApi.getMyRecentlyPlayedTracks(before ? { limit: 50, before } : { limit: 50 }));
+      history.recent.push(...response.body.items.map(item => item.track));
+      before = response.body.next && response.body.items.length > 0 && response.body.cursors ? response.body.cursors.before : null;
+    } while (before);
+  } catch (error) {
+    if (error.statusCode === 403) {
+      const historyError = new Error('Spotify did not share your listening history. Log in again to allow reading top tracks and recent plays.');
+      historyError.code = 'LISTENING_HISTORY_UNAVAILABLE';
+      throw historyError;
+    }
+    throw error;
+  }
+  
+  console.log(`Listening history: ${TOP_TRACK_RANGES.map(range => `${history[range].length} ${range}`).join(', ')}, ${history.recent.length} recent plays`);
+  return history;
+}
+
+// Returns where a liked track shows up in the listening history (a set of
+// time ranges and "recent"). Another version of a song (a remaster, the
+// single) counts as listening to it.
+function indexListeningHistory(history) {
+  const matchOptions = { ...DEFAULT_MATCH_OPTIONS, includeAlbum: false };
+  const surfacedIn = new Map();
+  const markSurfaced = (track, where) => {
+    if (!track) return;
+    [track.id, track.linked_from && track.linked_from.id, fuzzyTrackKey(track, matchOptions)]
+      .filter(Boolean)
+      .forEach(key => {
+        if (!surfacedIn.has(key)) surfacedIn.set(key, new Set());
+        surfacedIn.get(key).add(where);
+      });
+  };
+  TOP_TRACK_RANGES.forEach(range => history[range].forEach(track => markSurfaced(track, range)));
+  history.recent.forEach(track => markSurfaced(track, 'recent'));
+  
+  return track => new Set([
+    ...(surfacedIn.get(track.id) || []),
+    ...(surfacedIn.get(fuzzyTrackKey(track, matchOptions)) || [])
+  ]);
+}
+
+async function analyzeStaleLikes(user, options = DEFAULT_STALE_OPTIONS, job = null) {
+  console.log('Analyzing stale liked songs...');
+  const allTracks = await getAllLikedSongs(user, { job });
+  const history = await fetchListeningHistory(user, job);
+  const surfacedIn = indexListeningHistory(history);
+  
+  const cutoff = new Date();
+  cutoff.setMonth(cutoff.getMonth() - options.minAgeMonths);
+  
+  const surfacedBy = { short_term: 0, medium_term: 0, long_term: 0, recent: 0 };
+  const staleTracks = [];
+  const staleByYear = {};
+  let checkedTracks = 0;
+  
+  allTracks.forEach(item => {
+    const where = surfacedIn(item.track);
+    where.forEach(key => surfacedBy[key]++);
+    
+    if (new Date(item.added_at) > cutoff) return;
+    checkedTracks++;
+    
+    if (where.size === 0) {
+      const year = new Date(item.added_at).getFullYear();
+      staleByYear[year] = (staleByYear[year] || 0) + 1;
+      staleTracks.push(summarizeTrack({ track: item.track, addedAt: item.added_at }));
+    }
+  });
+  
+  staleTracks.sort((a, b) => new Date(a.addedAt) - new Date(b.addedAt));
+  console.log(`Found ${staleTracks.length} stale tracks among ${checkedTracks} liked before ${cutoff.toISOString().slice(0, 10)}`);
+  
+  return {
+    options,
+    cutoff: cutoff.toISOString(),
+    totalTracks: allTracks.length,
+    checkedTracks,
+    listening: {
+      short_term: history.short_term.length,
+      medium_term: history.medium_term.length,
+      long_term: history.long_term.length,
+      recent: history.recent.length
+    },
+    surfacedBy,
+    staleByYear,
+    staleTracks
+  };
+}
+
+// Audio features (tempo, energy, valence...) per track, cached on disk like
+// liked songs. A track's features never change, so only new tracks are
+// fetched; tracks Spotify has no features for are cached as null.
+const AUDIO_FEATURES_CACHE_FILE = 'audio-features.json';
+const AUDIO_FEATURES_BATCH_SIZE = 100;
+const AUDIO_FEATURE_KEYS = ['tempo', 'energy', 'valence', 'danceability', 'acousticness'];
+
+async function readAudioFeaturesCache(user) {
+  try {
+    const data = await fs.readFile(userCachePath(user, AUDIO_FEATURES_CACHE_FILE), 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading audio features cache:', error);
+    }
+    return { features: {} };
+  }
+}
+
+// Serialize writes like the history journal
+function saveAudioFeaturesCache(user, cache) {
+  user.audioFeaturesWriteQueue = user.audioFeaturesWriteQueue.then(async () => {
+    try {
+      await ensureCacheDir(user.cacheDir);
+      await fs.writeFile(userCachePath(user, AUDIO_FEATURES_CACHE_FILE), JSON.stringify(cache), 'utf8');
+    } catch (error) {
+      console.error('Error saving audio features cache:', error);
+    }
+  });
+  return user.audioFeaturesWriteQueue;
+}
+
+// Map of track ID to its features (or null), fetching what isn't cached yet
+async function getAudioFeatures(user, trackIds, job = null) {
+  const cache = user.audioFeaturesCache || await readAudioFeaturesCache(user);
+  user.audioFeaturesCache = cache;
+  
+  const missing = [...new Set(trackIds.filter(Boolean))].filter(id => !(id in cache.features));
+  if (missing.length > 0) {
+    console.log(`Fetching audio features for ${missing.length} tracks in batches of ${AUDIO_FEATURES_BATCH_SIZE}...`);
+  }
+  
+  try {
+    for (let i = 0; i < missing.length; i += AUDIO_FEATURES_BATCH_SIZE) {
+      throwIfJobCancelled(job);
+      reportJobProgress(job, i, missing.length, `Fetching audio features (${i}/${missing.length})...`);
+      
+      const batch = missing.slice(i, i + AUDIO_FEATURES_BATCH_SIZE);
+      const response = await spotifyRequest(user, () => user.spotifyApi.getAudioFeaturesForTracks(batch));
+      batch.forEach((id, index) => {
+        const features = response.body.audio_features[index];
+        cache.features[id] = features ? Object.fromEntries(AUDIO_FEATURE_KEYS.map(key => [key, features[key]])) : null;
+      });
+      
+      // Keep what was fetched so far in case the job is cancelled
+      if ((i / AUDIO_FEATURES_BATCH_SIZE) % 10 === 9) {
+        await saveAudioFeaturesCache(user, cache);
+      }
+    }
+  } catch (error) {
+    await saveAudioFeaturesCache(user, cache);
+    if (error.statusCode === 403) {
+      const featuresError = new Error('Spotify refused the audio features request. Apps registered after November 2024 no longer get audio features.');
+      featuresError.code = 'AUDIO_FEATURES_UNAVAILABLE';
+      throw featuresError;
+    }
+    throw error;
+  }
+  
+  if (missing.length > 0) {
+    await saveAudioFeaturesCache(user, cache);
+  }
+  
+  return new Map(trackIds.map(id => [id, cache.features[id] || null]));
+}
+
+// Moods are fixed points in feature space (tempo scaled to 0-1 between 60 and
+// 180 BPM) and every track joins the nearest one. Unlike k-means this keeps
+// the same moods between runs, so mood playlists can be synced.
+const MOOD_CLUSTERS = [
+  { key: 'chill', label: 'Chill & Acoustic', center: { energy: 0.25, valence: 0.45, danceability: 0.45, acousticness: 0.8, tempo: 0.35 } },
+  { key: 'melancholy', label: 'Melancholy', center: { energy: 0.3, valence: 0.15, danceability: 0.35, acousticness: 0.5, tempo: 0.35 } },
+  { key: 'mellow', label: 'Mellow Groove', center: { energy: 0.45, valence: 0.5, danceability: 0.6, acousticness: 0.3, tempo: 0.4 } },
+  { key: 'feel-good', label: 'Feel-Good', center: { energy: 0.65, valence: 0.8, danceability: 0.65, acousticness: 0.2, tempo: 0.5 } },
+  { key: 'dance', label: 'Dance Floor', center: { energy: 0.8, valence: 0.6, danceability: 0.85, acousticness: 0.05, tempo: 0.55 } },
+  { key: 'intense', label: 'Intense', center: { energy: 0.9, valence: 0.3, danceability: 0.4, acousticness: 0.05, tempo: 0.7 } }
+];
+
+function moodVector(features) {
+  return {
+    energy: features.energy,
+    valence: features.valence,
+    danceability: features.danceability,
+    acousticness: features.acousticness,
+    tempo: Math.min(1, Math.max(0, (features.tempo - 60) / 120))
+  };
+}
+
+function moodOf(features) {
+  const vector = moodVector(features);
+  const distance = center => Object.keys(center).reduce((sum, key) => sum + (vector[key] - center[key]) ** 2, 0);
+  
+  return MOOD_CLUSTERS.reduce((best, cluster) => distance(cluster.center) < distance(best.center) ? cluster : best);
+}
+
+// Histogram bins: tenths for 0-1 features, 20 BPM steps for tempo
+function audioFeatureBin(key, value) {
+  if (key === 'tempo') {
+    const low = Math.min(200, Math.max(40, Math.floor(value / 20) * 20));
+    return { low, bin: low === 40 ? '< 60' : low === 200 ? '200+' : `${low}-${low + 19}` };
+  }
+  const low = Math.min(9, Math.floor(value * 10)) / 10;
+  return { low, bin: `${low.toFixed(1)}-${(low + 0.1).toFixed(1)}` };
+}
+
+function averageAudioFeatures(items) {
+  return Object.fromEntries(AUDIO_FEATURE_KEYS.map(key => [
+    key,
+    items.length > 0 ? Math.round((items.reduce((sum, item) => sum + item.features[key], 0) / items.length) * 100) / 100 : null
+  ]));
+}
+
+async function analyzeAudioFeatures(user, sourceKey = LIKED_SOURCE, job = null) {
+  const { source, tracks } = await loadSource(user, sourceKey, job);
+  console.log(`Analyzing audio features of "${source.name}"...`);
+  
+  const features = await getAudioFeatures(user, tracks.map(item => item.track.id), job);
+  const profiled = tracks
+    .filter(item => features.get(item.track.id))
+    .map(item => ({ item, features: features.get(item.track.id) }));
+  
+  const averages = averageAudioFeatures(profiled);
+  const profile = Object.fromEntries(AUDIO_FEATURE_KEYS.map(key => {
+    const histogram = new Map();
+    profiled.forEach(entry => {
+      const { low, bin } = audioFeatureBin(key, entry.features[key]);
+      if (!histogram.has(low)) {
+        histogram.set(low, { bin, count: 0 });
+      }
+      histogram.get(low).count++;
+    });
+    return [key, {
+      average: averages[key],
+      histogram: [...histogram.entries()].sort((a, b) => a[0] - b[0]).map(([, bin]) => bin)
+    }];
+  }));
+  
+  const byMood = new Map(MOOD_CLUSTERS.map(cluster => [cluster.key, []]));
+  profiled.forEach(entry => byMood.get(moodOf(entry.features).key).push(entry));
+  
+  const moods = MOOD_CLUSTERS.map(cluster => {
+    const members = byMood.get(cluster.key);
+    return {
+      key: cluster.key,
+      label: cluster.label,
+      count: members.length,
+      share: profiled.length > 0 ? Math.round((members.length / profiled.length) * 1000) / 10 : 0,
+      averages: averageAudioFeatures(members),
+      tracks: members
+        .sort((a, b) => new Date(b.item.added_at) - new Date(a.item.added_at))
+        .slice(0, 20)
+        .map(entry => summarizeTrack({ track: entry.item.track, addedAt: entry.item.added_at }))
+    };
+  }).sort((a, b) => b.count - a.count);
+  
+  console.log(`Profiled ${profiled.length} of ${tracks.length} tracks into ${moods.filter(mood => mood.count > 0).length} moods`);
+  
+  return {
+    source,
+    totalTracks: tracks.length,
+    profiledTracks: profiled.length,
+    missingTracks: tracks.length - profiled.length,
+    profile,
+    moods
+  };
+}
+
+// Genres. Spotify only tags artists with genres, so a track gets the genres of
+// all its artists. Artist lookups are cached on disk and refreshed monthly,
+// since Spotify retags artists now and then.
+const ARTIST_GENRES_CACHE_FILE = 'artist-genres.json';
+const ARTIST_GENRES_BATCH_SIZE = 50;
+const ARTIST_GENRES_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+const DEFAULT_GENRE_OPTIONS = {
+  minTracks: 3,     // Leave out genres with fewer tracks
+  trendPoints: 2    // Change in share (percentage points) that counts as rising or falling
+};
+
+async function readArtistGenresCache(user) {
+  try {
+    const data = await fs.readFile(userCachePath(user, ARTIST_GENRES_CACHE_FILE), 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading artist genres cache:', error);
+    }
+    return { artists: {} };
+  }
+}
+
+// Serialize writes like the audio features cache
+function saveArtistGenresCache(user, cache) {
+  user.artistGenresWriteQueue = user.artistGenresWriteQueue.then(async () => {
+    try {
+      await ensureCacheDir(user.cacheDir);
+      await fs.writeFile(userCachePath(user, ARTIST_GENRES_CACHE_FILE), JSON.stringify(cache), 'utf8');
+    } catch (error) {
+      console.error('Error saving artist genres cache:', error);
+    }
+  });
+  return user.artistGenresWriteQueue;
+}
+
+// Map of artist ID to its genres, looking up artists that aren't cached or are out of date
+async function getArtistGenres(user, artistIds, job = null) {
+  const cache = user.artistGenresCache || await readArtistGenresCache(user);
+  user.artistGenresCache = cache;
+  
+  const now = Date.now();
+  const missing = [...new Set(artistIds.filter(Boolean))].filter(id => {
+    const entry = cache.artists[id];
+    return !entry || now - new Date(entry.fetchedAt).getTime() > ARTIST_GENRES_MAX_AGE;
+  });
+  if (missing.length > 0) {
+    console.log(`Looking up genres of ${missing.length} artists in batches of ${ARTIST_GENRES_BATCH_SIZE}...`);
+  }
+  
+  try {
+    for (let i = 0; i < missing.length; i += ARTIST_GENRES_BATCH_SIZE) {
+      throwIfJobCancelled(job);
+      reportJobProgress(job, i, missing.length, `Looking up artist genres (${i}/${missing.length})...`);
+      
+      const batch = missing.slice(i, i + ARTIST_GENRES_BATCH_SIZE);
+      const response = await spotifyRequest(user, () => user.spotifyApi.getArtists(batch));
+      const fetchedAt = new Date().toISOString();
+      batch.forEach((id, index) => {
+        const artist = response.body.artists[index];
+        cache.artists[id] = { genres: artist ? artist.genres || [] : [], fetchedAt };
+      });
+      
+      // Keep what was fetched so far in case the job is cancelled
+      if ((i / ARTIST_GENRES_BATCH_SIZE) % 10 === 9) {
+        await saveArtistGenresCache(user, cache);
+      }
+    }
+  } finally {
+    if (missing.length > 0) {
+      await saveArtistGenresCache(user, cache);
+    }
+  }
+  
+  return new Map(artistIds.map(id => [id, cache.artists[id] ? cache.artists[id].genres : []]));
+}
+
+function trackGenres(track, artistGenres) {
+  const genres = new Set();
+  (track.artists || []).forEach(artist => {
+    (artistGenres.get(artist.id) || []).forEach(genre => genres.add(genre));
+  });
+  return [...genres];
+}
+
+function parseGenreOptions(source = {}) {
+  const options = { ...DEFAULT_GENRE_OPTIONS };
+  
+  const minTracks = parseInt(source.minTracks, 10);
+  if (Number.isInteger(minTracks) && minTracks >= 1) {
+    options.minTracks = minTracks;
+  }
+  
+  return options;
+}
+
+// Genre counts across Liked Songs, and per year liked how large a share of
+// that year's likes each genre was
+async function analyzeGenres(user, options = DEFAULT_GENRE_OPTIONS, job = null) {
+  const years = await analyzeSongsByYear(user, job);
+  const artistIds = years.flatMap(year => year.tracks.flatMap(item => (item.track.artists || []).map(artist => artist.id)));
+  const artistGenres = await getArtistGenres(user, artistIds, job);
+  
+  console.log('Aggregating genres by year liked...');
+  const genreMap = new Map();
+  let untaggedTracks = 0;
+  
+  years.forEach(({ year, tracks }) => {
+    tracks.forEach(item => {
+      const genres = trackGenres(item.track, artistGenres);
+      if (genres.length === 0) {
+        untaggedTracks++;
+      }
+      genres.forEach(genre => {
+        if (!genreMap.has(genre)) {
+          genreMap.set(genre, { genre, count: 0, byYear: new Map(), artists: new Map(), tracks: [] });
+        }
+        const entry = genreMap.get(genre);
+        entry.count++;
+        entry.byYear.set(year, (entry.byYear.get(year) || 0) + 1);
+        const artist = item.track.artists[0];
+        entry.artists.set(artist.name, (entry.artists.get(artist.name) || 0) + 1);
+        entry.tracks.push(item);
+      });
+    });
+  });
+  
+  const totalTracks = years.reduce((sum, year) => sum + year.count, 0);
+  const yearTotals = new Map(years.map(year => [year.year, year.count]));
+  const share = (count, total) => total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+  
+  // A genre is rising or falling when its share of the latest year's likes
+  // differs from its share of all earlier likes
+  const [latestYear, ...earlierYears] = years.map(year => year.year);
+  const earlierTotal = earlierYears.reduce((sum, year) => sum + yearTotals.get(year), 0);
+  
+  const genres = [...genreMap.values()]
+    .filter(entry => entry.count >= options.minTracks)
+    .map(entry => {
+      const latestShare = share(entry.byYear.get(latestYear) || 0, yearTotals.get(latestYear));
+      const earlierShare = share(earlierYears.reduce((sum, year) => sum + (entry.byYear.get(year) || 0), 0), earlierTotal);
+      const change = Math.round((latestShare - earlierShare) * 10) / 10;
+      
+      return {
+        genre: entry.genre,
+        count: entry.count,
+        share: share(entry.count, totalTracks),
+        trend: earlierTotal === 0 || Math.abs(change) < options.trendPoints ? 'steady' : change > 0 ? 'rising' : 'falling',
+        change: earlierTotal === 0 ? 0 : change,
+        years: years.map(({ year }) => ({
+          year,
+          count: entry.byYear.get(year) || 0,
+          share: share(entry.byYear.get(year) || 0, yearTotals.get(year))
+        })),
+        topArtists: [...entry.artists.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 5)
+          .map(([name, count]) => ({ name, count })),
+        tracks: entry.tracks
+          .sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt))
+          .slice(0, 20)
+          .map(summarizeTrack)
+      };
+    })
+    .sort((a, b) => b.count - a.count || a.genre.localeCompare(b.genre));
+  
+  // Each year's five biggest genres, for the trend overview
+  const yearTrends = years.map(({ year, count }) => ({
+    year,
+    count,
+    topGenres: genres
+      .map(genre => ({ genre: genre.genre, count: genre.years.find(entry => entry.year === year).count }))
+      .filter(genre => genre.count > 0)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 5)
+  }));
+  
+  console.log(`Found ${genreMap.size} genres, ${genres.length} with at least ${options.minTracks} tracks`);
+  
+  return {
+    options,
+    totalTracks,
+    untaggedTracks,
+    totalGenres: genreMap.size,
+    genres,
+    yearTrends
+  };
+}
+
+// Library statistics. Computed from the liked songs cache alone, so they load
+// instantly; the library is only synced when there is no cache yet.
+const STATS_TOP_COUNT = 10;
+const TRACK_AGE_BUCKETS = [
+  { label: 'Under a month', maxDays: 31 },
+  { label: '1-12 months', maxDays: 365 },
+  { label: '1-5 years', maxDays: 5 * 365 },
+  { label: '5-10 years', maxDays: 10 * 365 },
+  { label: '10-20 years', maxDays: 20 * 365 },
+  { label: '20+ years', maxDays: Infinity }
+];
+
+// Release dates come as YYYY, YYYY-MM or YYYY-MM-DD
+function releaseDateOf(track) {
+  const [year, month, day] = ((track.album && track.album.release_date) || '').split('-').map(part => parseInt(part, 10));
+  return year > 0 ? new Date(Date.UTC(year, (month || 1) - 1, day || 1)) : null;
+}
+
+async function computeLibraryStats(user) {
+  const cache = user.likedSongsCache || await getCachedLikedSongs(user);
+  const items = cache ? cache.tracks : await getAllLikedSongs(user);
+  const syncedAt = cache ? cache.meta.lastSyncAt : new Date().toISOString();
+  console.log(`Computing library stats for ${items.length} liked songs...`);
+  
+  const share = count => items.length > 0 ? Math.round((count / items.length) * 1000) / 10 : 0;
+  const dayMs = 24 * 60 * 60 * 1000;
+  
+  // Likes per month, with empty months filled in so charts keep their scale
+  const perMonth = new Map();
+  items.forEach(item => {
+    const { key } = PLAYLIST_GROUPINGS.month.groupOf(item);
+    perMonth.set(key, (perMonth.get(key) || 0) + 1);
+  });
+  const likesPerMonth = [];
+  const months = [...perMonth.keys()].sort();
+  if (months.length > 0) {
+    let [year, month] = months[0].split('-').map(Number);
+    const last = months[months.length - 1];
+    for (let key = months[0]; key <= last; key = `${year}-${String(month).padStart(2, '0')}`) {
+      likesPerMonth.push({ month: key, label: `${MONTH_NAMES[month - 1]} ${year}`, count: perMonth.get(key) || 0 });
+      [year, month] = month === 12 ? [year + 1, 1] : [year, month + 1];
+    }
+  }
+  
+  // Growth counts only songs that are still liked; snapshots add the real
+  // library size on the days they were taken
+  let runningTotal = 0;
+  const growth = likesPerMonth.map(entry => ({ month: entry.month, total: (runningTotal += entry.count) }));
+  const snapshots = (await readSnapshotIndex(user)).map(entry => ({ id: entry.id, total: entry.total }));
+  
+  // How old songs were when they were liked
+  const ages = items
+    .map(item => {
+      const released = releaseDateOf(item.track);
+      return released ? Math.max(0, (new Date(item.added_at) - released) / dayMs) : null;
+    })
+    .filter(age => age !== null)
+    .sort((a, b) => a - b);
+  const toYears = days => Math.round((days / 365) * 10) / 10;
+  const trackAge = {
+    datedTracks: ages.length,
+    averageYears: ages.length > 0 ? toYears(ages.reduce((sum, age) => sum + age, 0) / ages.length) : null,
+    medianYears: ages.length > 0 ? toYears((ages[Math.floor((ages.length - 1) / 2)] + ages[Math.floor(ages.length / 2)]) / 2) : null,
+    buckets: TRACK_AGE_BUCKETS.map((bucket, index) => ({
+      label: bucket.label,
+      count: ages.filter(age => age < bucket.maxDays && (index === 0 || age >= TRACK_AGE_BUCKETS[index - 1].maxDays)).length
+    }))
+  };
+  
+  const explicitCount = items.filter(item => item.track.explicit).length;
+  const totalDurationMs = items.reduce((sum, item) => sum + (item.track.duration_ms || 0), 0);
+  
+  const topArtists = [...groupTracksByArtist(items).values()]
+    .filter(group => group.tracks.length > 0)
+    .sort((a, b) => b.tracks.length - a.tracks.length || a.artist.name.localeCompare(b.artist.name))
+    .slice(0, STATS_TOP_COUNT)
+    .map(group => ({ id: group.artist.id, name: group.artist.name, count: group.tracks.length, share: share(group.tracks.length) }));
+  
+  const albumMap = new Map();
+  items.forEach(item => {
+    const album = item.track.album;
+    if (!album || !album.id) return;
+    if (!albumMap.has(album.id)) {
+      albumMap.set(album.id, {
+        id: album.id,
+        name: album.name,
+        artists: (album.artists || []).map(artist => artist.name).join(', '),
+        totalTracks: album.total_tracks,
+        count: 0
+      });
+    }
+    albumMap.get(album.id).count++;
+  });
+  const topAlbums = [...albumMap.values()]
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .slice(0, STATS_TOP_COUNT);
+  
+  const decadeMap = new Map();
+  items.forEach(item => {
+    const group = PLAYLIST_GROUPINGS.decade.groupOf(item);
+    if (group) {
+      decadeMap.set(group.key, (decadeMap.get(group.key) || 0) + 1);
+    }
+  });
+  const decades = [...decadeMap.entries()]
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([decade, count]) => ({ decade, count, share: share(count) }));
+  
+  return {
+    syncedAt,
+    totalTracks: items.length,
+    totalDurationMs,
+    averageDurationMs: items.length > 0 ? Math.round(totalDurationMs / items.length) : 0,
+    explicit: { count: explicitCount, share: share(explicitCount) },
+    likesPerMonth,
+    growth,
+    snapshots,
+    trackAge,
+    topArtists,
+    topAlbums,
+    decades
+  };
+}
+
+// Unavailable and relinked tracks. Liked songs fetched for the user's market
+// say which can't be played there (is_playable) and which Spotify plays from
+// another release (linked_from); the cache is fetched without a market.
+const REPLACEMENT_SUGGESTIONS = 3;
+
+// "from_token" lets Spotify pick the account's country when the profile doesn't
+// include it (sessions from before the user-read-private scope)
+async function getUserMarket(user) {
+  if (!user.market) {
+    const profile = await spotifyRequest(user, () => user.spotifyApi.getMe());
+    user.market = profile.body.country || 'from_token';
+  }
+  return user.market;
+}
+
+function summarizeVersion(track, likedIds) {
+  return {
+    ...summarizeTrack({ track }),
+    albumType: track.album ? track.album.album_type : null,
+    releaseDate: track.album ? track.album.release_date : null,
+    inLibrary: likedIds.has(track.id)
+  };
+}
+
+// Playable versions of the same recording: the same ISRC first, then the
+// same title and artist with version suffixes ignored
+async function findReplacementVersions(user, track, market) {
+  const recordingKey = candidate => fuzzyTrackKey(candidate, { ...DEFAULT_MATCH_OPTIONS, includeAlbum: false });
+  const playable = candidate => candidate && candidate.id && candidate.id !== track.id && candidate.is_playable !== false;
+  const isrc = track.external_ids && track.external_ids.isrc;
+  
+  const queries = [
+    isrc && `isrc:${isrc}`,
+    `track:"${parseTrackTitle(track.name).base}" artist:"${track.artists[0].name.replace(/"/g, '')}"`
+  ].filter(Boolean);
+  
+  for (const query of queries) {
+    const response = await spotifyRequest(user, () => user.spotifyApi.searchTracks(query, { limit: 10, market }));
+    const versions = response.body.tracks.items
+      .filter(candidate => playable(candidate) && (query.startsWith('isrc:') || recordingKey(candidate) === recordingKey(track)));
+    if (versions.length > 0) {
+      return versions
+        .map(candidate => ({ track: candidate }))
+        .sort(KEEP_POLICIES.original.compare)
+        .map(item => item.track);
+    }
+  }
+  return [];
+}
+
+async function analyzeUnavailableTracks(user, job = null) {
+  const market = await getUserMarket(user);
+  console.log(`Checking liked songs for unavailable and relinked tracks in market ${market}...`);
+  
+  const fetched = await fetchLikedSongsPages(user, null, job, market);
+  const likedIds = new Set(fetched.items.flatMap(item => [item.track.id, item.track.linked_from && item.track.linked_from.id]).filter(Boolean));
+  
+  // The cache still has the release that was liked, for relinked tracks' old album
+  const cache = user.likedSongsCache || await getCachedLikedSongs(user);
+  const cachedTracks = new Map((cache ? cache.tracks : []).map(item => [item.track.id, item.track]));
+  
+  const unplayable = [];
+  const relinked = [];
+  
+  fetched.items.forEach(item => {
+    const track = item.track;
+    if (!track || !track.id) return;
+    
+    if (track.is_playable === false) {
+      unplayable.push({
+        ...summarizeTrack({ track, addedAt: item.added_at }),
+        isrc: (track.external_ids && track.external_ids.isrc) || null,
+        reason: (track.restrictions && track.restrictions.reason) || 'unavailable',
+        replacements: [],
+        track
+      });
+    } else if (track.linked_from && track.linked_from.id !== track.id) {
+      const original = cachedTracks.get(track.linked_from.id);
+      relinked.push({
+        ...summarizeTrack({ track: original || track, addedAt: item.added_at }),
+        id: track.linked_from.id,
+        uri: track.linked_from.uri,
+        replacements: [summarizeVersion(track, likedIds)]
+      });
+    }
+  });
+  
+  // Searches survive a resume, they are one request per unavailable track
+  const checkpoint = job ? job.checkpoint : {};
+  const searched = checkpoint.replacementSearches = checkpoint.replacementSearches || {};
+  
+  for (const [index, entry] of unplayable.entries()) {
+    throwIfJobCancelled(job);
+    reportJobProgress(job, index, unplayable.length, `Looking for available versions (${index + 1}/${unplayable.length})...`);
+    
+    try {
+      if (!searched[entry.id]) {
+        searched[entry.id] = await findReplacementVersions(user, entry.track, market);
+      }
+      entry.replacements = searched[entry.id].slice(0, REPLACEMENT_SUGGESTIONS).map(track => summarizeVersion(track, likedIds));
+    } catch (error) {
+      console.error(`Could not search for versions of "${entry.name}":`, error.message);
+      entry.error = `Search failed: ${error.message}`;
+    }
+    delete entry.track;
+  }
+  
+  console.log(`Found ${unplayable.length} unavailable and ${relinked.length} relinked tracks`);
+  
+  return {
+    market,
+    totalTracks: fetched.items.length,
+    counts: {
+      unplayable: unplayable.length,
+      withReplacement: unplayable.filter(entry => entry.replacements.length > 0).length,
+      relinked: relinked.length
+    },
+    unplayable,
+    relinked
+  };
+}
+
+// Saved tracks come back newest first, so a delta sync only needs the pages
+// above the first track that is already cached. Removals made outside this
+// app don't show up there - they are caught by comparing against the total
+// Spotify reports, which triggers a full reconciliation.
+async function getAllLikedSongs(user, { forceFullSync = false, job = null } = {}) {
+  // Share one sync between concurrent analyses; a delta sync doesn't do for
+  // a caller that asked for a full one
+  let sync = user.likedSongsSync;
+  if (!sync || (forceFullSync && !sync.full)) {
+    sync = startLikedSongsSync(user, forceFullSync, job, sync);
+  }
+  return waitForJob(job, sync.promise, sync.relay);
+}
+
+// The shared sync belongs to no job: it reports through a relay to every job
+// waiting on it, and keeps going when one of them is cancelled
+function startLikedSongsSync(user, full, job, running) {
+  // Continue a resumed job's full fetch where it stopped
+  const relay = createJobRelay(job ? job.checkpoint : {});
+  const sync = { full, relay };
+  
+  // A full sync asked for during a delta sync starts after it, so the two
+  // don't write the cache at the same time
+  const previous = running ? running.promise.catch(() => {}) : Promise.resolve();
+  sync.promise = previous.then(() => syncLikedSongs(user, full, relay)).finally(() => {
+    if (user.likedSongsSync === sync) {
+      user.likedSongsSync = null;
+    }
+  });
+  // Every waiting job may have been cancelled; the failure is theirs to see
+  sync.promise.catch(() => {});
+  
+  user.likedSongsSync = sync;
+  return sync;
+}
+
+async function syncLikedSongs(user, forceFullSync, job) {
+  try {
+    const cache = user.likedSongsCache || await getCachedLikedSongs(user);
+    
+    if (cache && !forceFullSync) {
+      user.likedSongsCache = cache;
+      const now = Date.now();
+      
+      if (now - new Date(cache.meta.lastSyncAt).getTime() < DELTA_SYNC_INTERVAL) {
+        console.log('Using cached liked songs data (synced recently)');
+        return cache.tracks;
+      }
+      
+      if (now - new Date(cache.meta.lastFullSyncAt).getTime() < FULL_SYNC_INTERVAL) {
+        const synced = await deltaSyncLikedSongs(user, cache, job);
+        if (synced) return synced;
+      } else {
+        console.log('Last full sync is over 24 hours old, reconciling');
+      }
+    }
+    
+    return await fullSyncLikedSongs(user, job);
+  } catch (error) {
+    if (error.code === 'JOB_CANCELLED') {
+      throw error;
+    }
+    console.error('Error fetching liked songs:', error);
+    
+    // Provide more helpful error messages
+    if (error.code === 'ETIMEDOUT') {
+      throw new Error('Network timeout while fetching songs. Please check your internet connection and try again.');
+    } else if (error.statusCode === 429) {
+      throw new Error('Spotify API rate limit exceeded. Please wait a few minutes and try again.');
+    } else if (error.statusCode === 401) {
+      throw new Error('Authentication expired. Please refresh the page and log in again.');
+    } else {
+      throw new Error(`Failed to fetch songs: ${error.message}`);
+    }
+  }
+}
+
+// Identifies one save of a track (re-liking a track gives it a new added_at)
+function likedItemKey(item) {
+  return `${item.track.id || item.track.uri}|${item.added_at}`;
+}
+
+// Returns null when the delta can't be trusted and a full sync is needed
+async function deltaSyncLikedSongs(user, cache, job) {
+  console.log(`Checking Spotify for liked songs added since ${cache.meta.lastSyncAt}...`);
+  
+  const knownKeys = new Set(cache.tracks.map(likedItemKey));
+  const fetched = await fetchLikedSongsPages(user, knownKeys, job);
+  
+  if (!fetched.reachedCached) {
+    // Nothing we had cached is still there, so what we fetched is the whole library
+    if (fetched.complete) {
+      console.log('Delta sync did not reach cached tracks, fetched the whole library instead');
+      return saveSyncedLikedSongs(user, fetched);
+    }
+    return null;
+  }
+  
+  const tracks = [...fetched.items, ...cache.tracks];
+  
+  if (tracks.length !== fetched.total) {
+    console.log(`Liked songs changed outside the app (cache has ${tracks.length}, Spotify reports ${fetched.total}), running full reconciliation`);
+    return null;
+  }
+  
+  console.log(`Delta sync found ${fetched.items.length} new liked songs`);
+  
+  const updated = {
+    meta: { ...cache.meta, lastSyncAt: new Date().toISOString(), total: fetched.total },
+    tracks
+  };
+  await saveLikedSongsCache(user, updated);
+  user.likedSongsCache = updated;
+  
+  return tracks;
+}
+
+async function fullSyncLikedSongs(user, job) {
+  console.log('Fetching all liked songs from Spotify API...');
+  const fetched = await fetchLikedSongsPages(user, null, job);
+  
+  console.log(`Total tracks fetched: ${fetched.items.length}`);
+  
+  return saveSyncedLikedSongs(user, fetched);
+}
+
+async function saveSyncedLikedSongs(user, fetched) {
+  const now = new Date().toISOString();
+  const cache = {
+    meta: {
+      userId: user.userId,
+      lastSyncAt: now,
+      // A partial fetch is reconciled again on the next analysis
+      lastFullSyncAt: fetched.complete ? now : new Date(0).toISOString(),
+      total: fetched.total
+    },
+    tracks: fetched.items
+  };
+  
+  await saveLikedSongsCache(user, cache);
+  user.likedSongsCache = cache;
+  
+  return cache.tracks;
+}
+
+// Page through saved tracks (newest first). When knownKeys is given, stop at
+// the first track that is already cached. A full fetch keeps its pages in the
+// job checkpoint so a resumed job carries on from the same offset.
+// With a market, Spotify adds is_playable and relinks tracks to a playable release
+async function fetchLikedSongsPages(user, knownKeys = null, job = null, market = null) {
+  const checkpoint = !knownKeys && job ? job.checkpoint : {};
+  const resumed = checkpoint.likedSongs;
+  const items = resumed ? resumed.items : [];
+  let total = resumed ? resumed.total : 0;
+  let offset = resumed ? resumed.offset : 0;
+  const limit = 50;
+  
+  if (resumed) {
+    console.log(`Resuming liked songs fetch at offset ${offset}`);
+  }
+
+  while (true) {
+    throwIfJobCancelled(job);
+    reportJobProgress(job, items.length, total, `Fetching your Liked Songs (${items.length}${total ? `/${total}` : ''})...`);
+    
+    try {
+      console.log(`Fetching tracks ${offset} to ${offset + limit}...`);
+      
+      const data = await spotifyRequest(user, () => user.spotifyApi.getMySavedTracks(market ? { limit, offset, market } : { limit, offset }));
+      const tracks = data.body.items;
+      total = data.body.total;
+      
+      if (tracks.length === 0) break;
+      
+      if (knownKeys) {
+        const firstCached = tracks.findIndex(item => knownKeys.has(likedItemKey(item)));
+        if (firstCached !== -1) {
+          items.push(...tracks.slice(0, firstCached));
+          return { items, total, complete: true, reachedCached: true };
+        }
+      }
+      
+      items.push(...tracks);
+      offset += limit;
+      checkpoint.likedSongs = { items, total, offset };
+      
+      console.log(`Fetched ${items.length} tracks so far...`);
+      
+      if (offset >= total) break;
+      
+    } catch (error) {
+      // The request scheduler has already retried, check if we have some data to work with.
+      // Jobs fail instead, so they can be resumed from the checkpoint; so does
+      // a shared sync while jobs are waiting on it.
+      console.error(`Error fetching batch at offset ${offset}:`, error.message);
+      
+      if (items.length > 0 && (!job || (job.jobs && job.jobs.size === 0))) {
+        console.log(`Failed to fetch all tracks, but got ${items.length} tracks to work with`);
+        return { items, total, complete: false, reachedCached: false };
+      } else {
+        throw error; // Re-throw if we have no data at all
+      }
+    }
+  }
+  
+  delete checkpoint.likedSongs;
+  return { items, total, complete: true, reachedCached: false };
+}
+
+// Playlist builder - splits a source into groups (by when tracks were liked,
+// when they were released, by artist, or by a rule) and makes a playlist per group
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const PLAYLIST_ORDERS = ['added', 'added-desc', 'release', 'release-desc', 'shuffle'];
+const SPOTIFY_DESCRIPTION_LIMIT = 300;
+
+function releaseYearOf(track) {
+  const year = parseInt((track.album && track.album.release_date) || '', 10);
+  return year > 0 ? year : null;
+}
+
+// Each grouping returns { key, label } for a track, or null to leave it out.
+// Templates can use {group}, {count}, {source}, {date} and, for rules, {rule}.
+const PLAYLIST_GROUPINGS = {
+  year: {
+    label: 'Year liked',
+    groupOf: item => {
+      const year = new Date(item.added_at).getFullYear();
+      return { key: String(year), label: String(year) };
+    },
+    nameTemplate: '{source} {group}',
+    descriptionTemplate: 'Songs added to {source} during {group}'
+  },
+  quarter: {
+    label: 'Quarter liked',
+    groupOf: item => {
+      const date = new Date(item.added_at);
+      const quarter = Math.floor(date.getMonth() / 3) + 1;
+      return { key: `${date.getFullYear()}-Q${quarter}`, label: `Q${quarter} ${date.getFullYear()}` };
+    },
+    nameTemplate: '{source} {group}',
+    descriptionTemplate: 'Songs added to {source} during {group}'
+  },
+  month: {
+    label: 'Month liked',
+    groupOf: item => {
+      const date = new Date(item.added_at);
+      const month = String(date.getMonth() + 1).padStart(2, '0');
+      return { key: `${date.getFullYear()}-${month}`, label: `${MONTH_NAMES[date.getMonth()]} ${date.getFullYear()}` };
+    },
+    nameTemplate: '{source} {group}',
+    descriptionTemplate: 'Songs added to {source} during {group}'
+  },
+  releaseYear: {
+    label: 'Release year',
+    groupOf: item => {
+      const year = releaseYearOf(item.track);
+      return year ? { key: String(year), label: String(year) } : null;
+    },
+    nameTemplate: '{source} - Released {group}',
+    descriptionTemplate: 'Songs from {source} released in {group}'
+  },
+  decade: {
+    label: 'Release decade',
+    groupOf: item => {
+      const year = releaseYearOf(item.track);
+      if (!year) return null;
+      const decade = `${Math.floor(year / 10) * 10}s`;
+      return { key: decade, label: decade };
+    },
+    nameTemplate: '{source} - {group}',
+    descriptionTemplate: 'Songs from {source} released in the {group}'
+  },
+  artist: {
+    label: 'Artist',
+    groupOf: item => {
+      const artist = item.track.artists[0];
+      return artist ? { key: artist.id || artist.name, label: artist.name } : null;
+    },
+    nameTemplate: '{source} - {group}',
+    descriptionTemplate: 'Songs by {group} from {source}'
+  },
+  mood: {
+    label: 'Mood',
+    // Tracks get their audio features from groupTracksForPlaylists
+    needsAudioFeatures: true,
+    groupOf: item => {
+      if (!item.audioFeatures) return null;
+      const mood = moodOf(item.audioFeatures);
+      return { key: mood.key, label: mood.label };
+    },
+    nameTemplate: '{source} - {group}',
+    descriptionTemplate: '{group} songs from {source}, grouped by tempo, energy, mood and sound'
+  },
+  genre: {
+    label: 'Genre',
+    // Tracks get their artists' genres from groupTracksForPlaylists, and a
+    // track with several genres joins each of their playlists
+    needsArtistGenres: true,
+    groupsOf: item => item.genres.map(genre => ({ key: genre, label: genre })),
+    nameTemplate: '{source} - {group}',
+    descriptionTemplate: '{group} songs from {source}'
+  },
+  rule: {
+    label: 'Custom rule',
+    // Rule groups are built by groupTracksForPlaylists from the rule itself
+    groupOf: null,
+    nameTemplate: '{source} - {group}',
+    descriptionTemplate: 'Songs from {source} where {rule}'
+  }
+};
+
+// Track rules - a list of conditions that all (or any) have to hold, e.g.
+// { name: '90s hits', match: 'all', conditions: [{ field: 'releaseYear', op: 'gte', value: 1990 }] }
+const RULE_FIELDS = {
+  name: item => item.track.name,
+  artist: item => item.track.artists.map(artist => artist.name),
+  album: item => item.track.album ? item.track.album.name : '',
+  albumType: item => item.track.album ? item.track.album.album_type : '',
+  addedAt: item => item.added_at,
+  releaseDate: item => item.track.album ? item.track.album.release_date : '',
+  releaseYear: item => releaseYearOf(item.track),
+  explicit: item => Boolean(item.track.explicit),
+  popularity: item => item.track.popularity || 0,
+  durationSeconds: item => Math.round(item.track.duration_ms / 1000)
+};
+
+const compareRuleValues = (a, b) => (typeof a === 'number' ? a - Number(b) : String(a).localeCompare(String(b)));
+const RULE_OPERATORS = {
+  eq: (a, b) => typeof a === 'string' ? a.toLowerCase() === String(b).toLowerCase() :
+    typeof a === 'number' ? a === Number(b) : a === b,
+  neq: (a, b) => !RULE_OPERATORS.eq(a, b),
+  gt: (a, b) => a != null && compareRuleValues(a, b) > 0,
+  gte: (a, b) => a != null && compareRuleValues(a, b) >= 0,
+  lt: (a, b) => a != null && compareRuleValues(a, b) < 0,
+  lte: (a, b) => a != null && compareRuleValues(a, b) <= 0,
+  contains: (a, b) => String(a || '').toLowerCase().includes(String(b).toLowerCase()),
+  in: (a, b) => (Array.isArray(b) ? b : String(b).split(',')).some(value => RULE_OPERATORS.eq(a, typeof value === 'string' ? value.trim() : value))
+};
+const RULE_OPERATOR_LABELS = { eq: 'is', neq: 'is not', gt: '>', gte: '>=', lt: '<', lte: '<=', contains: 'contains', in: 'is one of' };
+const RULE_BOOLEAN_FIELDS = ['explicit', 'playedRecently'];
+const RULE_NUMBER_FIELDS = ['releaseYear', 'popularity', 'durationSeconds', 'albumLikedPercent', 'likedMonthsAgo'];
+
+// Validate a rule from a request body, or a JSON string from the query string.
+// Curation rules pass their own, larger set of fields.
+function parseTrackRule(source, fields = RULE_FIELDS) {
+  const invalid = message => Object.assign(new Error(`Invalid rule: ${message}`), { code: 'INVALID_RULE' });
+  
+  let rule = source;
+  if (typeof rule === 'string') {
+    try {
+      rule = JSON.parse(rule);
+    } catch (error) {
+      throw invalid('not valid JSON');
+    }
+  }
+  if (!rule || !Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+    throw invalid('at least one condition is required');
+  }
+  
+  const conditions = rule.conditions.map((condition, index) => {
+    if (!fields[condition.field]) {
+      throw invalid(`condition ${index + 1} has an unknown field "${condition.field}"`);
+    }
+    if (!RULE_OPERATORS[condition.op]) {
+      throw invalid(`condition ${index + 1} has an unknown operator "${condition.op}"`);
+    }
+    
+    // Booleans and numbers arrive as strings from forms
+    let value = condition.value;
+    if (RULE_BOOLEAN_FIELDS.includes(condition.field)) {
+      value = value === true || value === 'true';
+    } else if (RULE_NUMBER_FIELDS.includes(condition.field) && condition.op !== 'in') {
+      value = Number(value);
+      if (!Number.isFinite(value)) {
+        throw invalid(`condition ${index + 1} needs a number`);
+      }
+    }
+    return { field: condition.field, op: condition.op, value };
+  });
+  
+  return {
+    name: typeof rule.name === 'string' && rule.name.trim() ? rule.name.trim() : 'Custom rule',
+    match: rule.match === 'any' ? 'any' : 'all',
+    conditions
+  };
+}
+
+function matchesTrackRule(item, rule, fields = RULE_FIELDS) {
+  const test = condition => {
+    const actual = fields[condition.field](item);
+    const compare = RULE_OPERATORS[condition.op];
+    // Multi-valued fields (artists) match when any value does
+    return Array.isArray(actual) ? actual.some(value => compare(value, condition.value)) : compare(actual, condition.value);
+  };
+  return rule.match === 'any' ? rule.conditions.some(test) : rule.conditions.every(test);
+}
+
+function describeTrackRule(rule) {
+  return rule.conditions
+    .map(condition => `${condition.field} ${RULE_OPERATOR_LABELS[condition.op]} ${Array.isArray(condition.value) ? condition.value.join(', ') : condition.value}`)
+    .join(rule.match === 'any' ? ' or ' : ' and ');
+}
+
+function parsePlaylistBuilderOptions(params = {}) {
+  const groupBy = PLAYLIST_GROUPINGS[params.groupBy] ? params.groupBy : 'year';
+  const grouping = PLAYLIST_GROUPINGS[groupBy];
+  const template = (value, fallback) => typeof value === 'string' && value.trim() ? value.trim() : fallback;
+  const minTracks = parseInt(params.minTracks, 10);
+  
+  let groups = null;
+  if (params.groups !== undefined && params.groups !== null) {
+    groups = (Array.isArray(params.groups) ? params.groups : String(params.groups).split(',')).map(String);
+  }
+  
+  return {
+    source: parseSource(params.source),
+    groupBy,
+    groups,
+    rule: groupBy === 'rule' ? parseTrackRule(params.rule) : null,
+    nameTemplate: template(params.nameTemplate, grouping.nameTemplate),
+    descriptionTemplate: template(params.descriptionTemplate, grouping.descriptionTemplate),
+    public: params.public === true || params.public === 'true',
+    order: PLAYLIST_ORDERS.includes(params.order) ? params.order : 'added',
+    minTracks: Number.isInteger(minTracks) && minTracks >= 1 ? minTracks : 1,
+    // Re-runs remove tracks they added that left the group (e.g. unliked songs);
+    // tracks added to the playlist by hand are never removed
+    removeMissing: params.removeMissing !== false && params.removeMissing !== 'false'
+  };
+}
+
+function renderPlaylistTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (values[name] !== undefined ? String(values[name]) : placeholder));
+}
+
+function orderPlaylistTracks(items, order) {
+  const byAdded = (a, b) => new Date(a.added_at) - new Date(b.added_at);
+  const byRelease = (a, b) => ((a.track.album && a.track.album.release_date) || '').localeCompare((b.track.album && b.track.album.release_date) || '') || byAdded(a, b);
+  
+  switch (order) {
+    case 'added-desc':
+      return [...items].sort((a, b) => byAdded(b, a));
+    case 'release':
+      return [...items].sort(byRelease);
+    case 'release-desc':
+      return [...items].sort((a, b) => byRelease(b, a));
+    case 'shuffle': {
+      const shuffled = [...items];
+      for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+      }
+      return shuffled;
+    }
+    default:
+      return [...items].sort(byAdded);
+  }
+}
+
+// Split a source into playlist groups, with names and descriptions rendered
+async function groupTracksForPlaylists(user, options, job = null) {
+  const { source, tracks } = await loadSource(user, options.source, job);
+  console.log(`Grouping ${tracks.length} tracks from "${source.name}" by ${options.groupBy}...`);
+  
+  const grouping = PLAYLIST_GROUPINGS[options.groupBy];
+  let items = tracks;
+  if (grouping.needsAudioFeatures) {
+    const features = await getAudioFeatures(user, tracks.map(item => item.track.id), job);
+    items = tracks.map(item => ({ ...item, audioFeatures: features.get(item.track.id) }));
+  }
+  if (grouping.needsArtistGenres) {
+    const artistGenres = await getArtistGenres(user, tracks.flatMap(item => (item.track.artists || []).map(artist => artist.id)), job);
+    items = tracks.map(item => ({ ...item, genres: trackGenres(item.track, artistGenres) }));
+  }
+  
+  const groupMap = new Map();
+  const addToGroup = (group, item) => {
+    if (!groupMap.has(group.key)) {
+      groupMap.set(group.key, { ...group, items: [] });
+    }
+    groupMap.get(group.key).items.push(item);
+  };
+  
+  items.forEach(item => {
+    if (options.groupBy === 'rule') {
+      if (matchesTrackRule(item, options.rule)) {
+        addToGroup({ key: 'rule', label: options.rule.name }, item);
+      }
+      return;
+    }
+    
+    const itemGroups = grouping.groupsOf ? grouping.groupsOf(item) : [grouping.groupOf(item)];
+    itemGroups.filter(Boolean).forEach(group => addToGroup(group, item));
+  });
+  
+  const today = new Date().toISOString().slice(0, 10);
+  const groups = Array.from(groupMap.values())
+    .filter(group => group.items.length >= options.minTracks)
+    .map(group => {
+      const values = {
+        group: group.label,
+        count: group.items.length,
+        source: source.name,
+        date: today,
+        rule: options.rule ? describeTrackRule(options.rule) : ''
+      };
+      return {
+        key: group.key,
+        label: group.label,
+        count: group.items.length,
+        name: renderPlaylistTemplate(options.nameTemplate, values),
+        description: renderPlaylistTemplate(options.descriptionTemplate, values).slice(0, SPOTIFY_DESCRIPTION_LIMIT),
+        items: group.items
+      };
+    });
+  
+  // Artists, moods and genres by size, time-based groups newest first
+  if (['artist', 'mood', 'genre'].includes(options.groupBy)) {
+    groups.sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+  } else {
+    groups.sort((a, b) => b.key.localeCompare(a.key));
+  }
+  
+  console.log(`Found ${groups.length} playlist groups`);
+  return { source, groups };
+}
+
+// Preview of the playlists the builder would create
+async function previewPlaylistGroups(user, options, job = null) {
+  const { source, groups } = await groupTracksForPlaylists(user, options, job);
+  
+  return {
+    source,
+    groupBy: options.groupBy,
+    order: options.order,
+    public: options.public,
+    groups: groups.map(({ items, ...group }) => ({
+      ...group,
+      sample: orderPlaylistTracks(items, options.order).slice(0, 10).map(item => summarizeTrack({ track: item.track, addedAt: item.added_at }))
+    }))
+  };
+}
+
+// Generated playlists are remembered per generator (source, grouping and group)
+// so a re-run updates the same playlist instead of creating another copy.
+// The description also carries a marker, so they are found again if this file is lost.
+const GENERATED_PLAYLISTS_FILE = 'generated-playlists.json';
+
+async function readGeneratedPlaylists(user) {
+  try {
+    const data = await fs.readFile(userCachePath(user, GENERATED_PLAYLISTS_FILE), 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading generated playlists:', error);
+    }
+    return {};
+  }
+}
+
+// Serialize writes like the history journal
+function updateGeneratedPlaylists(user, updater) {
+  const write = user.generatedPlaylistsWriteQueue.then(async () => {
+    const generated = await readGeneratedPlaylists(user);
+    const result = updater(generated);
+    await ensureCacheDir(user.cacheDir);
+    await fs.writeFile(userCachePath(user, GENERATED_PLAYLISTS_FILE), JSON.stringify(generated, null, 2), 'utf8');
+    return result;
+  });
+  // Keep the queue going after a failed write; the caller still sees the error
+  user.generatedPlaylistsWriteQueue = write.catch(() => {});
+  return write;
+}
+
+function generatedPlaylistKey(options, groupKey) {
+  // Every rule makes one group, so rules are told apart by name
+  const group = options.groupBy === 'rule' ? `rule:${options.rule.name.toLowerCase()}` : groupKey;
+  return [options.source, options.groupBy, group].join('|');
+}
+
+function generatedPlaylistMarker(generatorKey) {
+  return `[curation:${crypto.createHash('sha1').update(generatorKey).digest('hex').slice(0, 10)}]`;
+}
+
+// The settings a generator is re-run with when all generated playlists are synced
+function storedBuilderOptions(options) {
+  const { groups, ...stored } = options;
+  return stored;
+}
+
+// Find the playlist a generator made before: by stored id, by the marker in its
+// description, or - for playlists made before they were tracked - by the exact
+// name and description it would get
+function findGeneratedPlaylist(playlists, stored, marker, group) {
+  const owned = playlists.filter(playlist => playlist.owned);
+  
+  if (stored) {
+    const playlist = owned.find(p => p.id === stored.playlistId);
+    if (playlist) return playlist;
+  }
+  
+  return owned.find(p => p.description.includes(marker)) ||
+    owned.find(p => p.name === group.name && p.description === group.description) ||
+    null;
+}
+
+// Bring a playlist's tracks in line with a group: append missing tracks in the
+// requested order and remove tracks that are not in the group. With
+// managedUris only those tracks (the ones a generator put there) are removed
+async function syncPlaylistTracks(user, playlistId, desiredItems, { removeMissing = true, managedUris = null, isNew = false, job = null } = {}) {
+  const current = isNew ? [] : (await loadSource(user, `playlist:${playlistId}`, job)).tracks;
+  const currentUris = new Set(current.map(item => item.track.uri));
+  const desiredUris = new Set(desiredItems.map(item => item.track.uri));
+  
+  const toAdd = desiredItems.filter(item => !currentUris.has(item.track.uri));
+  const seen = new Set();
+  const toRemove = removeMissing ? current.filter(item => {
+    if (desiredUris.has(item.track.uri) || seen.has(item.track.uri)) return false;
+    if (managedUris && !managedUris.has(item.track.uri)) return false;
+    seen.add(item.track.uri);
+    return true;
+  }) : [];
+  
+  // Add tracks to playlist in batches (Spotify allows max 100 tracks per request)
+  const batchSize = PLAYLIST_PAGE_SIZE;
+  
+  if (toAdd.length > 0) {
+    console.log(`Adding ${toAdd.length} tracks to playlist in batches of ${batchSize}`);
+  }
+  
+  for (let i = 0; i < toAdd.length; i += batchSize) {
+    throwIfJobCancelled(job);
+    
+    const batch = toAdd.slice(i, i + batchSize);
+    console.log(`Adding batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(toAdd.length/batchSize)}`);
+    
+    await spotifyRequest(user, () => user.spotifyApi.addTracksToPlaylist(playlistId, batch.map(item => item.track.uri)));
+  }
+  
+  // Removing by uri alone drops every copy of the track
+  for (let i = 0; i < toRemove.length; i += batchSize) {
+    throwIfJobCancelled(job);
+    
+    const batch = toRemove.slice(i, i + batchSize);
+    console.log(`Removing ${batch.length} tracks that are no longer in the group`);
+    
+    await spotifyRequest(user, () => user.spotifyApi.removeTracksFromPlaylist(playlistId, batch.map(item => ({ uri: item.track.uri }))));
+  }
+  
+  const summarize = item => summarizeTrack({ track: item.track, addedAt: item.added_at });
+  return {
+    added: toAdd.map(summarize),
+    removed: toRemove.map(summarize)
+  };
+}
+
+async function buildPlaylists(user, options, job = null) {
+  const { groups } = await groupTracksForPlaylists(user, options, job);
+  const selectedKeys = options.groups || groups.map(group => group.key);
+  console.log(`Building ${selectedKeys.length} playlists grouped by ${options.groupBy}`);
+  
+  const [existingPlaylists, generated] = await Promise.all([getUserPlaylists(user), readGeneratedPlaylists(user)]);
+  const results = [];
+  
+  // Playlists found or created so far, so a resumed job doesn't create a second
+  // playlist; tracks are synced by difference, so re-adding is never an issue
+  const checkpoint = job ? job.checkpoint : {};
+  const progressByGroup = checkpoint.playlistGroups = checkpoint.playlistGroups || {};
+  
+  for (const [groupIndex, key] of selectedKeys.entries()) {
+    throwIfJobCancelled(job);
+    
+    const generatorKey = generatedPlaylistKey(options, key);
+    const stored = generated[generatorKey];
+    
+    const saved = progressByGroup[generatorKey];
+    if (saved && saved.result) {
+      console.log(`Playlist for ${key} was already synced, skipping`);
+      results.push(saved.result);
+      continue;
+    }
+    
+    // A tracked playlist whose group is now empty (every track unliked) is emptied too
+    const group = groups.find(g => g.key === key) ||
+      (stored && { key, label: stored.label, name: stored.name, description: stored.description, items: [] });
+    if (!group) {
+      results.push({
+        group: key,
+        success: false,
+        error: 'No tracks found for this group'
+      });
+      continue;
+    }
+    
+    try {
+      const playlistName = group.name;
+      const marker = generatedPlaylistMarker(generatorKey);
+      const description = `${group.description.slice(0, SPOTIFY_DESCRIPTION_LIMIT - marker.length - 1)} ${marker}`;
+      
+      reportJobProgress(job, groupIndex, selectedKeys.length, `Syncing "${playlistName}" (${groupIndex + 1}/${selectedKeys.length})...`);
+      
+      const groupProgress = progressByGroup[generatorKey] = saved || { playlistId: null, created: false };
+      let justCreated = false;
+      
+      if (!groupProgress.playlistId) {
+        const existing = findGeneratedPlaylist(existingPlaylists, stored, marker, group);
+        
+        if (existing) {
+          console.log(`Updating existing playlist "${existing.name}" (${existing.id})`);
+          groupProgress.playlistId = existing.id;
+          
+          // Keep name, description and visibility in step with the current settings
+          if (existing.name !== playlistName || existing.description !== description || existing.public !== options.public) {
+            await spotifyRequest(user, () => user.spotifyApi.changePlaylistDetails(existing.id, {
+              name: playlistName,
+              description,
+              public: options.public
+            }));
+          }
+        } else {
+          // Create the playlist
+          console.log(`Creating playlist: ${playlistName}`);
+          console.log('Playlist options:', {
+            description,
+            public: options.public,
+            collaborative: false
+          });
+          
+          const playlist = await spotifyRequest(user, () => user.spotifyApi.createPlaylist(playlistName, {
+            description,
+            public: options.public,
+            collaborative: false
+          }));
+          
+          console.log('Created playlist response:', {
+            id: playlist.body.id,
+            name: playlist.body.name,
+            public: playlist.body.public,
+            collaborative: playlist.body.collaborative
+          });
+          
+          groupProgress.playlistId = playlist.body.id;
+          groupProgress.created = true;
+          justCreated = true;
+          
+          // Double-check: Explicitly set the visibility
+          // This is a workaround for Spotify API inconsistencies
+          try {
+            await spotifyRequest(user, () => user.spotifyApi.changePlaylistDetails(groupProgress.playlistId, {
+              public: options.public,
+              collaborative: false
+            }));
+            console.log(`Explicitly set playlist to ${options.public ? 'public' : 'private'}`);
+          } catch (updateError) {
+            console.warn('Failed to update playlist visibility, but playlist was created:', updateError.message);
+          }
+        }
+        
+        await updateGeneratedPlaylists(user, store => {
+          store[generatorKey] = {
+            ...store[generatorKey],
+            playlistId: groupProgress.playlistId,
+            groupKey: key,
+            label: group.label,
+            name: playlistName,
+            description: group.description,
+            options: storedBuilderOptions(options),
+            createdAt: (store[generatorKey] && store[generatorKey].createdAt) || new Date().toISOString()
+          };
+        });
+      }
+      
+      // The generator only removes tracks it put there itself. Playlists from
+      // before this was recorded start with the tracks already in their group
+      const playlistId = groupProgress.playlistId;
+      const changes = await syncPlaylistTracks(user, playlistId, orderPlaylistTracks(group.items, options.order), {
+        removeMissing: options.removeMissing,
+        managedUris: new Set((stored && stored.trackUris) || []),
+        isNew: justCreated,
+        job
+      });
+      
+      await updateGeneratedPlaylists(user, store => {
+        if (store[generatorKey]) {
+          store[generatorKey].lastSyncedAt = new Date().toISOString();
+          store[generatorKey].trackCount = group.items.length;
+          store[generatorKey].trackUris = group.items.map(item => item.track.uri);
+        }
+      });
+      
+      const message = groupProgress.created ? `Created "${playlistName}" with ${group.items.length} tracks` :
+        changes.added.length + changes.removed.length === 0 ? `"${playlistName}" is up to date` :
+        `Updated "${playlistName}": added ${changes.added.length}, removed ${changes.removed.length}`;
+      
+      groupProgress.result = {
+        group: key,
+        label: group.label,
+        success: true,
+        created: groupProgress.created,
+        playlistId,
+        playlistName,
+        trackCount: group.items.length,
+        added: changes.added.length,
+        removed: changes.removed.length,
+        addedTracks: changes.added,
+        removedTracks: changes.removed,
+        public: options.public,
+        playlistUrl: `https://open.spotify.com/playlist/${playlistId}`,
+        message
+      };
+      results.push(groupProgress.result);
+      
+      console.log(message);
+      
+    } catch (error) {
+      if (error.code === 'JOB_CANCELLED') {
+        throw error;
+      }
+      console.error(`Error syncing playlist for ${key}:`, error);
+      let errorMessage = error.message;
+      
+      if (error.statusCode === 429) {
+        errorMessage = 'Rate limit exceeded. Please wait and try again.';
+      } else if (error.statusCode === 401) {
+        errorMessage = 'Authentication expired. Please refresh and log in again.';
+      } else if (error.code === 'ETIMEDOUT') {
+        errorMessage = 'Network timeout. Please check your connection and try again.';
+      }
+      
+      results.push({
+        group: key,
+        label: group.label,
+        success: false,
+        error: errorMessage
+      });
+    }
+  }
+  
+  return results;
+}
+
+// Re-run every tracked generator with the settings it was last run with
+async function syncGeneratedPlaylists(user, job = null, groupBy = null) {
+  const generated = await readGeneratedPlaylists(user);
+  
+  // Generators with the same settings share one grouping pass
+  const bySettings = new Map();
+  Object.values(generated).filter(entry => !groupBy || entry.options.groupBy === groupBy).forEach(entry => {
+    const settings = JSON.stringify(entry.options);
+    if (!bySettings.has(settings)) {
+      bySettings.set(settings, { options: entry.options, groups: [] });
+    }
+    bySettings.get(settings).groups.push(entry.groupKey);
+  });
+  
+  console.log(`Syncing ${[...bySettings.values()].reduce((sum, settings) => sum + settings.groups.length, 0)} generated playlists...`);
+  
+  const results = [];
+  for (const { options, groups } of bySettings.values()) {
+    results.push(...await buildPlaylists(user, { ...parsePlaylistBuilderOptions(options), groups }, job));
+  }
+  return results;
+}
+
+// "Liked Songs {year}" playlists, grouped by the year songs were liked
+async function createYearBasedPlaylists(user, selectedYears, job = null) {
+  console.log('Creating year-based playlists for years:', selectedYears);
+  
+  const options = parsePlaylistBuilderOptions({ groupBy: 'year', groups: selectedYears || [] });
+  const results = await buildPlaylists(user, options, job);
+  return results.map(result => ({ year: Number(result.group), ...result }));
+}
+
+// One playlist per mood cluster, next to the year playlists
+async function createMoodPlaylists(user, selectedMoods, sourceKey = LIKED_SOURCE, job = null) {
+  console.log('Creating mood playlists for:', selectedMoods);
+  
+  const options = parsePlaylistBuilderOptions({ groupBy: 'mood', groups: selectedMoods || [], source: sourceKey });
+  return buildPlaylists(user, options, job);
+}
+
+// One playlist per selected genre of Liked Songs
+async function createGenrePlaylists(user, selectedGenres, job = null) {
+  console.log('Creating genre playlists for:', selectedGenres);
+  
+  const options = parsePlaylistBuilderOptions({ groupBy: 'genre', groups: selectedGenres || [] });
+  return buildPlaylists(user, options, job);
+}
+
+// Dry-run removal plans, kept in memory until they are applied or expire
+const pendingPlans = new Map();
+const PLAN_DURATION = 60 * 60 * 1000; // 1 hour in milliseconds
+
+function createRemovalPlan(operation, description, source = LIKED_SOURCE_INFO) {
+  return {
+    id: `plan-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    operation,
+    description,
+    source,
+    createdAt: new Date().toISOString(),
+    removals: [],
+    kept: [],
+    albumsToAdd: [],
+    albums: [],
+    artists: []
+  };
+}
+
+function storePlan(user, plan) {
+  plan.userId = user.userId;
+  pendingPlans.set(plan.id, plan);
+  setTimeout(() => {
+    if (pendingPlans.delete(plan.id)) {
+      console.log(`Removal plan ${plan.id} expired`);
+    }
+  }, PLAN_DURATION).unref();
+  return plan;
+}
+
+function getStoredPlan(user, planId, operation) {
+  const plan = pendingPlans.get(planId);
+  if (!plan || plan.operation !== operation || plan.userId !== user.userId) {
+    return null;
+  }
+  return plan;
+}
+
+// Policies for choosing which copy of a duplicate group to keep
+const KEEP_POLICIES = {
+  newest: {
+    label: 'Most recently added',
+    compare: (a, b) => new Date(b.addedAt) - new Date(a.addedAt),
+    describe: item => `Most recently added copy (liked ${item.addedAt})`
+  },
+  oldest: {
+    label: 'Oldest like',
+    compare: (a, b) => new Date(a.addedAt) - new Date(b.addedAt),
+    describe: item => `Oldest like, keeps your history (liked ${item.addedAt})`
+  },
+  original: {
+    label: 'Original album over compilations',
+    compare: (a, b) => (ALBUM_TYPE_RANK[a.track.album.album_type] ?? 3) - (ALBUM_TYPE_RANK[b.track.album.album_type] ?? 3) ||
+      (a.track.album.release_date || '').localeCompare(b.track.album.release_date || '') ||
+      new Date(b.addedAt) - new Date(a.addedAt),
+    describe: item => `From the original ${item.track.album.album_type || 'release'} "${item.track.album.name}" (released ${item.track.album.release_date})`
+  },
+  explicit: {
+    label: 'Prefer explicit version',
+    compare: (a, b) => Number(b.track.explicit) - Number(a.track.explicit) || new Date(b.addedAt) - new Date(a.addedAt),
+    describe: item => item.track.explicit ? 'Explicit version' : 'No explicit copy - most recently added clean version'
+  },
+  clean: {
+    label: 'Prefer clean version',
+    compare: (a, b) => Number(a.track.explicit) - Number(b.track.explicit) || new Date(b.addedAt) - new Date(a.addedAt),
+    describe: item => !item.track.explicit ? 'Clean version' : 'No clean copy - most recently added explicit version'
+  },
+  popularity: {
+    label: 'Highest popularity',
+    compare: (a, b) => (b.track.popularity || 0) - (a.track.popularity || 0) || new Date(b.addedAt) - new Date(a.addedAt),
+    describe: item => `Most popular copy (popularity ${item.track.popularity || 0})`
+  }
+};
+
+const ALBUM_TYPE_RANK = { album: 0, single: 1, compilation: 2 };
+
+// "manual" keeps only the copies picked per group; any policy can be overridden by picks
+function isValidKeepPolicy(keepPolicy) {
+  return keepPolicy === 'manual' || Object.prototype.hasOwnProperty.call(KEEP_POLICIES, keepPolicy);
+}
+
+function chooseCopyToKeep(group, keepPolicy = 'newest', manualPicks = {}) {
+  // Picks name a copy id, which is the track id for liked songs
+  const pickedId = manualPicks[group.key];
+  const picked = pickedId && group.tracks.find(item => item.copyId === pickedId);
+  
+  if (picked) {
+    return { keep: picked, reason: 'Picked manually' };
+  }
+  
+  // Manual mode without a pick for this group keeps every copy
+  if (keepPolicy === 'manual') {
+    return null;
+  }
+  
+  const policy = KEEP_POLICIES[keepPolicy];
+  const sortedTracks = [...group.tracks].sort(policy.compare);
+  return { keep: sortedTracks[0], reason: policy.describe(sortedTracks[0]) };
+}
+
+async function planDuplicateRemoval(user, options = {}) {
+  const {
+    source: sourceKey = LIKED_SOURCE,
+    matchOptions = {},
+    includeLooseMatches = false,
+    keepPolicy = 'newest',
+    manualPicks = {}
+  } = options;
+  
+  console.log(`Planning duplicate removal (keep policy: ${keepPolicy})...`);
+  
+  // Get duplicates first - loose matches are only removed when explicitly requested
+  const { source, duplicates: allDuplicates } = await findDuplicatesInSource(user, sourceKey, matchOptions);
+  assertSourceEditable(source);
+  const duplicates = includeLooseMatches ? allDuplicates : allDuplicates.filter(group => !group.isLooseMatch);
+  const policyLabel = keepPolicy === 'manual' ? 'Manual pick per group' : KEEP_POLICIES[keepPolicy].label;
+  const plan = createRemovalPlan(
+    'remove-duplicates',
+    `Removed duplicate copies from ${duplicates.length} groups${source.type === 'playlist' ? ` in "${source.name}"` : ''} (kept: ${policyLabel})`,
+    source
+  );
+  plan.keepPolicy = keepPolicy;
+  
+  // For each duplicate group, keep the copy chosen by the policy and mark others for removal
+  duplicates.forEach(group => {
+    const choice = chooseCopyToKeep(group, keepPolicy, manualPicks);
+    
+    if (!choice) {
+      group.tracks.forEach(item => {
+        plan.kept.push({
+          ...summarizeTrack(item),
+          groupKey: group.key,
+          reason: 'No copy picked for this group - all copies kept'
+        });
+      });
+      return;
+    }
+    
+    const { keep, reason } = choice;
+    
+    plan.kept.push({
+      ...summarizeTrack(keep),
+      groupKey: group.key,
+      reason
+    });
+    
+    const toRemove = group.tracks.filter(item => item !== keep);
+    toRemove.forEach(item => {
+      // The kept copy may not be the group's anchor, so describe the match against it
+      const match = describeTrackMatch(keep, item, { ...DEFAULT_MATCH_OPTIONS, ...matchOptions });
+      plan.removals.push({
+        ...summarizeTrack(item),
+        groupKey: group.key,
+        confidence: match.confidence,
+        reason: `Duplicate of the kept copy on "${keep.track.album.name}" (${Math.round(match.confidence * 100)}% match: ${match.reasons.join('; ')})`
+      });
+    });
+    
+    console.log(`Group "${keep.track.name}": keeping copy from "${keep.track.album.name}" (${reason}), removing ${toRemove.length} other copies`);
+  });
+  
+  console.log(`Planned removal of ${plan.removals.length} duplicate tracks`);
+  return storePlan(user, plan);
+}
+
+async function planAlbumRemoval(user, albumIds, removeAll = false, addToLibrary = false, thresholds = DEFAULT_ALBUM_THRESHOLDS, sourceKey = LIKED_SOURCE) {
+  console.log('Planning album removal...');
+  
+  // Get album analysis
+  const { source, albumAnalysis } = await analyzeAlbumsInSource(user, sourceKey, thresholds);
+  assertSourceEditable(source);
+  const isLiked = source.type === 'liked';
+  
+  let albumsToProcess;
+  
+  if (removeAll) {
+    albumsToProcess = albumAnalysis;
+    console.log(`Planning removal of ALL ${albumAnalysis.length} albums from liked songs`);
+  } else {
+    albumsToProcess = albumAnalysis.filter(album => (albumIds || []).includes(album.album.id));
+    console.log(`Planning removal of ${albumsToProcess.length} selected albums from liked songs`);
+  }
+  
+  const plan = createRemovalPlan(
+    'remove-albums',
+    `Removed tracks from ${albumsToProcess.length} album${albumsToProcess.length !== 1 ? 's' : ''}${isLiked ? '' : ` in "${source.name}"`}`,
+    source
+  );
+  
+  albumsToProcess.forEach(albumData => {
+    // If album is not in library and we should add it (or auto-add for non-library albums
+    // when clearing liked songs - the album replaces the likes)
+    const willAddToLibrary = !albumData.isInLibrary && (addToLibrary || (removeAll && isLiked));
+    const artistName = albumData.album.artists.map(a => a.name).join(', ');
+    
+    if (willAddToLibrary) {
+      plan.albumsToAdd.push({
+        id: albumData.album.id,
+        name: albumData.album.name,
+        artists: artistName
+      });
+    }
+    
+    plan.albums.push({
+      id: albumData.album.id,
+      name: albumData.album.name,
+      artists: artistName,
+      wasInLibrary: albumData.isInLibrary,
+      addToLibrary: willAddToLibrary,
+      trackIds: albumData.tracks.map(item => trackCopyId(item.track.id, item.position))
+    });
+    
+    albumData.tracks.forEach(item => {
+      plan.removals.push({
+        ...summarizeTrack(item),
+        groupKey: albumData.album.id,
+        reason: `${albumData.percentage}% of "${albumData.album.name}" is ${isLiked ? 'liked' : 'in the playlist'}${albumData.isInLibrary ? ' and the album is saved in your library' : willAddToLibrary ? ' and the album will be saved to your library' : ''}`
+      });
+    });
+  });
+  
+  console.log(`Planned removal of ${plan.removals.length} tracks from ${plan.albums.length} albums`);
+  return storePlan(user, plan);
+}
+
+// Plan removal of every track whose primary artist is one of the given artists.
+// Moves first copy the tracks to one playlist per artist, made by the playlist
+// builder so re-running a move adds to the same playlist.
+async function planArtistRemoval(user, artistKeys = [], sourceKey = LIKED_SOURCE, move = null) {
+  const { source, tracks } = await loadSource(user, sourceKey);
+  assertSourceEditable(source);
+  const isLiked = source.type === 'liked';
+  
+  const artistMap = groupTracksByArtist(tracks);
+  const selected = (artistKeys || []).map(key => artistMap.get(key)).filter(group => group && group.tracks.length > 0);
+  const artistCount = `${selected.length} artist${selected.length !== 1 ? 's' : ''}`;
+  
+  const plan = createRemovalPlan(
+    move ? 'move-artists' : 'remove-artists',
+    move ?
+      `Moved tracks of ${artistCount} to their own playlists${isLiked ? '' : ` from "${source.name}"`}` :
+      `Removed tracks of ${artistCount}${isLiked ? '' : ` from "${source.name}"`}`,
+    source
+  );
+  
+  // Moved tracks stay in the artist playlist when later syncs no longer find them here
+  let playlistNames = new Map();
+  if (move) {
+    plan.playlistOptions = parsePlaylistBuilderOptions({
+      ...move,
+      source: source.key,
+      groupBy: 'artist',
+      groups: selected.map(group => group.artist.key),
+      removeMissing: false
+    });
+    const { groups } = await groupTracksForPlaylists(user, plan.playlistOptions);
+    playlistNames = new Map(groups.map(group => [group.key, group.name]));
+  }
+  
+  selected.forEach(group => {
+    plan.artists.push({
+      key: group.artist.key,
+      name: group.artist.name,
+      playlistName: playlistNames.get(group.artist.key) || null,
+      trackIds: group.tracks.map(item => trackCopyId(item.track.id, item.position))
+    });
+    
+    group.tracks.forEach(item => {
+      plan.removals.push({
+        ...summarizeTrack(item),
+        groupKey: group.artist.key,
+        reason: move ? `Moved to the playlist "${playlistNames.get(group.artist.key)}"` : `By ${group.artist.name}`
+      });
+    });
+  });
+  
+  console.log(`Planned ${move ? 'move' : 'removal'} of ${plan.removals.length} tracks by ${artistCount}`);
+  return storePlan(user, plan);
+}
+
+// Plan unliking stale songs, by default after copying them to an archive playlist
+async function planStaleRemoval(user, trackIds = [], archive = null) {
+  const liked = new Map((await getAllLikedSongs(user)).map(item => [item.track.id, item]));
+  const selected = [...new Set(trackIds || [])].map(id => liked.get(id)).filter(Boolean);
+  
+  const plan = createRemovalPlan(
+    'remove-stale',
+    archive ?
+      `Archived ${selected.length} stale liked songs to "${archive.name}"` :
+      `Removed ${selected.length} stale liked songs`
+  );
+  plan.archive = archive;
+  
+  selected
+    .sort((a, b) => new Date(a.added_at) - new Date(b.added_at))
+    .forEach(item => {
+      plan.removals.push({
+        ...summarizeTrack({ track: item.track, addedAt: item.added_at }),
+        reason: archive ? `Not played lately, archived to "${archive.name}"` : 'Not played lately'
+      });
+    });
+  
+  console.log(`Planned removal of ${plan.removals.length} stale tracks${archive ? ` via "${archive.name}"` : ''}`);
+  return storePlan(user, plan);
+}
+
+// Plan unliking every liked song tagged with one of the given genres,
+// optionally archiving them first like stale likes
+async function planGenreRemoval(user, genres = [], archive = null) {
+  const selected = new Set(genres || []);
+  const liked = await getAllLikedSongs(user);
+  const artistGenres = await getArtistGenres(user, liked.flatMap(item => (item.track.artists || []).map(artist => artist.id)));
+  const genreCount = `${selected.size} genre${selected.size !== 1 ? 's' : ''}`;
+  
+  const plan = createRemovalPlan(
+    'remove-genres',
+    archive ?
+      `Archived liked songs of ${genreCount} to "${archive.name}"` :
+      `Removed liked songs of ${genreCount}`
+  );
+  plan.archive = archive;
+  plan.genres = [...selected];
+  
+  liked.forEach(item => {
+    const genre = trackGenres(item.track, artistGenres).find(genre => selected.has(genre));
+    if (!genre) return;
+    
+    plan.removals.push({
+      ...summarizeTrack({ track: item.track, addedAt: item.added_at }),
+      groupKey: genre,
+      reason: archive ? `Tagged ${genre}, archived to "${archive.name}"` : `Tagged ${genre}`
+    });
+  });
+  
+  console.log(`Planned removal of ${plan.removals.length} tracks tagged with ${genreCount}${archive ? ` via "${archive.name}"` : ''}`);
+  return storePlan(user, plan);
+}
+
+// Plan removal of bulk-added tracks only; tracks from the same album that
+// were liked on their own are kept
+async function planAlbumBingeRemoval(user, { eventIds = [], albumIds = [], removeAll = false, addToLibrary = false, options = DEFAULT_BINGE_OPTIONS } = {}) {
+  console.log('Planning album bulk-add removal...');
+  
+  const { bingeAlbums } = await analyzeAlbumBinges(user, options);
+  const selectedEvents = new Set(eventIds);
+  const selectedAlbums = new Set(albumIds);
+  
+  const plan = createRemovalPlan('remove-album-binges', '');
+  let eventCount = 0;
+  
+  bingeAlbums.forEach(albumData => {
+    const events = albumData.events.filter(event =>
+      removeAll || selectedAlbums.has(albumData.album.id) || selectedEvents.has(event.id)
+    );
+    if (events.length === 0) return;
+    
+    const artistName = albumData.album.artists.map(a => a.name).join(', ');
+    const willAddToLibrary = addToLibrary && !albumData.isInLibrary;
+    
+    if (willAddToLibrary) {
+      plan.albumsToAdd.push({
+        id: albumData.album.id,
+        name: albumData.album.name,
+        artists: artistName
+      });
+    }
+    
+    const removedIds = new Set();
+    events.forEach(event => {
+      eventCount++;
+      event.tracks.forEach(item => {
+        removedIds.add(item.track.id);
+        plan.removals.push({
+          ...summarizeTrack(item),
+          groupKey: event.id,
+          reason: `Liked with ${event.trackCount - 1} other tracks from "${albumData.album.name}" within ${event.durationSeconds}s on ${new Date(event.startedAt).toLocaleString()}`
+        });
+      });
+    });
+    
+    albumData.individualTracks.concat(
+      albumData.events.filter(event => !events.includes(event)).flatMap(event => event.tracks)
+    ).forEach(item => {
+      if (removedIds.has(item.track.id)) return;
+      plan.kept.push({
+        ...summarizeTrack(item),
+        groupKey: albumData.album.id,
+        reason: albumData.individualTracks.includes(item)
+          ? `Liked on its own on ${new Date(item.addedAt).toLocaleDateString()}`
+          : 'Part of a bulk-add that was not selected'
+      });
+    });
+    
+    plan.albums.push({
+      id: albumData.album.id,
+      name: albumData.album.name,
+      artists: artistName,
+      wasInLibrary: albumData.isInLibrary,
+      addToLibrary: willAddToLibrary,
+      trackIds: Array.from(removedIds)
+    });
+  });
+  
+  plan.description = `Removed ${plan.removals.length} bulk-added tracks from ${plan.albums.length} album${plan.albums.length !== 1 ? 's' : ''} (${eventCount} bulk-add${eventCount !== 1 ? 's' : ''})`;
+  
+  console.log(`Planned removal of ${plan.removals.length} bulk-added tracks from ${plan.albums.length} albums`);
+  return storePlan(user, plan);
+}
+
+// Apply a removal plan exactly as it was previewed
+async function executeRemovalPlan(user, plan) {
+  console.log(`Applying removal plan ${plan.id} (${plan.removals.length} tracks, ${plan.albumsToAdd.length} albums to add)...`);
+  
+  // Plans can only be applied once
+  pendingPlans.delete(plan.id);
+  
+  const outcome = {
+    operationId: null,
+    removedIds: new Set(),
+    addedAlbumIds: new Set(),
+    errors: []
+  };
+  
+  // Add albums to library before removing their individual tracks
+  for (const album of plan.albumsToAdd) {
+    try {
+      console.log(`Adding album "${album.name}" to library before removing individual tracks`);
+      await addAlbumToLibrary(user, album.id, album.name);
+      outcome.addedAlbumIds.add(album.id);
+    } catch (addError) {
+      console.error(`Failed to add album "${album.name}" to library:`, addError);
+      outcome.errors.push(`Failed to add "${album.name}" to library: ${addError.message}`);
+    }
+  }
+  
+  if (plan.removals.length === 0) {
+    return outcome;
+  }
+  
+  if (plan.source.type === 'playlist') {
+    await removePlanFromPlaylist(user, plan, outcome);
+    return outcome;
+  }
+  
+  outcome.operationId = await startHistoryOperation(user, plan.operation, plan.description, plan.source);
+  
+  // Remove tracks in batches (Spotify allows max 50 tracks per request for removal)
+  const batchSize = 50;
+  
+  for (let i = 0; i < plan.removals.length; i += batchSize) {
+    const batch = plan.removals.slice(i, i + batchSize);
+    
+    try {
+      console.log(`Removing batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(plan.removals.length/batchSize)} (${batch.length} tracks)`);
+      
+      await spotifyRequest(user, () => user.spotifyApi.removeFromMySavedTracks(batch.map(track => track.id)));
+      await recordRemovedBatch(user, outcome.operationId, batch);
+      batch.forEach(track => outcome.removedIds.add(track.id));
+      
+    } catch (error) {
+      console.error(`Error removing batch ${Math.floor(i/batchSize) + 1}:`, error);
+      outcome.errors.push(`Failed to remove batch starting at track ${i + 1}: ${error.message}`);
+    }
+  }
+  
+  // Keep the cache in step so the next analysis only needs a delta sync
+  await removeFromLikedSongsCache(user, outcome.removedIds);
+  
+  return outcome;
+}
+
+// Remove a plan's tracks from a playlist by position. Positions only hold for
+// the snapshot the plan was made from, so a changed playlist needs a new preview.
+async function removePlanFromPlaylist(user, plan, outcome) {
+  const playlistId = plan.source.id;
+  
+  const current = await spotifyRequest(user, () => user.spotifyApi.getPlaylist(playlistId, { fields: 'snapshot_id' }));
+  if (current.body.snapshot_id !== plan.source.snapshotId) {
+    console.log(`Playlist "${plan.source.name}" changed since plan ${plan.id} was made`);
+    outcome.errors.push('Playlist changed since the plan was made. Please preview again.');
+    return;
+  }
+  
+  outcome.operationId = await startHistoryOperation(user, plan.operation, plan.description, plan.source);
+  
+  // Remove from the end of the playlist first so earlier positions stay valid
+  const removals = [...plan.removals].sort((a, b) => b.position - a.position);
+  let snapshotId = plan.source.snapshotId;
+  
+  for (let i = 0; i < removals.length; i += PLAYLIST_PAGE_SIZE) {
+    const batch = removals.slice(i, i + PLAYLIST_PAGE_SIZE);
+    
+    try {
+      console.log(`Removing batch ${Math.floor(i/PLAYLIST_PAGE_SIZE) + 1}/${Math.ceil(removals.length/PLAYLIST_PAGE_SIZE)} (${batch.length} tracks) from "${plan.source.name}"`);
+      
+      const response = await spotifyRequest(user, () => user.spotifyApi.removeTracksFromPlaylist(
+        playlistId,
+        batch.map(track => ({ uri: track.uri, positions: [track.position] })),
+        { snapshot_id: snapshotId }
+      ));
+      snapshotId = response.body.snapshot_id;
+      await recordRemovedBatch(user, outcome.operationId, batch);
+      batch.forEach(track => outcome.removedIds.add(trackCopyId(track.id, track.position)));
+      
+    } catch (error) {
+      console.error(`Error removing batch ${Math.floor(i/PLAYLIST_PAGE_SIZE) + 1} from playlist:`, error);
+      outcome.errors.push(`Failed to remove batch starting at track ${i + 1}: ${error.message}`);
+    }
+  }
+}
+
+async function removeDuplicateTracks(user, plan = null, options = {}) {
+  console.log('Starting duplicate removal process...');
+  
+  // Without a previewed plan, plan and apply in one go
+  if (!plan) {
+    plan = await planDuplicateRemoval(user, options);
+  }
+  
+  if (plan.removals.length === 0) {
+    pendingPlans.delete(plan.id);
+    return {
+      success: true,
+      message: 'No duplicates found to remove',
+      removedCount: 0
+    };
+  }
+  
+  const totalDuplicates = plan.removals.length;
+  const outcome = await executeRemovalPlan(user, plan);
+  const removedCount = outcome.removedIds.size;
+  
+  console.log(`Successfully removed ${removedCount} duplicate tracks`);
+  
+  return {
+    success: outcome.errors.length === 0,
+    removedCount,
+    totalDuplicates,
+    operationId: outcome.operationId,
+    errors: outcome.errors,
+    message: `Removed ${removedCount} out of ${totalDuplicates} duplicate tracks`
+  };
+}
+
+async function removeAlbumsFromLiked(user, albumIds, removeAll = false, addToLibrary = false, plan = null, thresholds = DEFAULT_ALBUM_THRESHOLDS, sourceKey = LIKED_SOURCE) {
+  console.log('Starting album removal process...');
+  
+  // Without a previewed plan, plan and apply in one go
+  if (!plan) {
+    plan = await planAlbumRemoval(user, albumIds, removeAll, addToLibrary, thresholds, sourceKey);
+  }
+  
+  if (plan.albums.length === 0) {
+    pendingPlans.delete(plan.id);
+    return {
+      success: true,
+      message: 'No albums found to remove',
+      removedAlbums: 0,
+      removedTracks: 0
+    };
+  }
+  
+  const outcome = await executeRemovalPlan(user, plan);
+  
+  const details = plan.albums.map(album => {
+    const tracksRemoved = album.trackIds.filter(id => outcome.removedIds.has(id)).length;
+    const albumAddedToLibrary = outcome.addedAlbumIds.has(album.id);
+    
+    const libraryAction = albumAddedToLibrary ? ' (added to library)' : 
+                         album.wasInLibrary ? ' (was already in library)' : 
+                         ' (not added to library)';
+    
+    console.log(`Processed "${album.name}": removed ${tracksRemoved}/${album.trackIds.length} tracks${libraryAction}`);
+    
+    return {
+      albumName: album.name,
+      artistName: album.artists,
+      tracksRemoved,
+      totalTracks: album.trackIds.length,
+      wasInLibrary: album.wasInLibrary,
+      addedToLibrary: albumAddedToLibrary,
+      success: tracksRemoved === album.trackIds.length
+    };
+  });
+  
+  const removedAlbums = details.filter(detail => detail.tracksRemoved > 0).length;
+  const removedTracks = outcome.removedIds.size;
+  const addedToLibrary = outcome.addedAlbumIds.size;
+  
+  console.log(`Album removal complete: ${removedAlbums} albums, ${removedTracks} tracks, ${addedToLibrary} albums added to library`);
+  
+  return {
+    success: outcome.errors.length === 0,
+    removedAlbums,
+    removedTracks,
+    addedToLibrary,
+    operationId: outcome.operationId,
+    errors: outcome.errors,
+    details,
+    message: `Removed ${removedTracks} tracks from ${removedAlbums} albums${addedToLibrary > 0 ? `, added ${addedToLibrary} albums to library` : ''}`
+  };
+}
+
+async function removeAlbumBinges(user, plan) {
+  console.log('Starting album bulk-add removal process...');
+  
+  if (plan.removals.length === 0) {
+    pendingPlans.delete(plan.id);
+    return {
+      success: true,
+      message: 'No bulk-added tracks found to remove',
+      removedTracks: 0,
+      addedToLibrary: 0
+    };
+  }
+  
+  const outcome = await executeRemovalPlan(user, plan);
+  const removedTracks = plan.removals.filter(track => outcome.removedIds.has(trackCopyId(track.id, track.position))).length;
+  const addedToLibrary = outcome.addedAlbumIds.size;
+  
+  console.log(`Removed ${removedTracks} bulk-added tracks`);
+  
+  return {
+    success: outcome.errors.length === 0,
+    removedTracks,
+    keptTracks: plan.kept.length,
+    addedToLibrary,
+    operationId: outcome.operationId,
+    errors: outcome.errors,
+    message: `Removed ${removedTracks} bulk-added tracks and kept ${plan.kept.length} other tracks from those albums${addedToLibrary > 0 ? `, added ${addedToLibrary} albums to library` : ''}`
+  };
+}
+
+// Remove (or move) the tracks of a planned artist cleanup. For moves, an
+// artist's tracks are only removed once their playlist is up to date.
+async function removeArtistTracks(user, plan) {
+  console.log(`Starting artist ${plan.operation === 'move-artists' ? 'move' : 'removal'}...`);
+  
+  if (plan.artists.length === 0) {
+    pendingPlans.delete(plan.id);
+    return {
+      success: true,
+      message: 'No artist tracks found to remove',
+      removedTracks: 0,
+      playlists: []
+    };
+  }
+  
+  let playlists = [];
+  if (plan.operation === 'move-artists') {
+    playlists = await buildPlaylists(user, plan.playlistOptions);
+    const synced = new Set(playlists.filter(result => result.success).map(result => result.group));
+    plan.removals = plan.removals.filter(track => synced.has(track.groupKey));
+  }
+  
+  const outcome = plan.removals.length > 0 ?
+    await executeRemovalPlan(user, plan) :
+    { operationId: null, removedIds: new Set(), errors: [] };
+  const failedPlaylists = playlists.filter(result => !result.success);
+  failedPlaylists.forEach(result => outcome.errors.push(`Playlist for ${result.label || result.group} failed, its tracks were kept: ${result.error}`));
+  
+  const details = plan.artists.map(artist => ({
+    artistName: artist.name,
+    playlistName: artist.playlistName,
+    tracksRemoved: artist.trackIds.filter(id => outcome.removedIds.has(id)).length,
+    totalTracks: artist.trackIds.length
+  }));
+  const removedTracks = outcome.removedIds.size;
+  
+  console.log(`Artist cleanup complete: ${removedTracks} tracks from ${plan.artists.length} artists`);
+  
+  return {
+    success: outcome.errors.length === 0,
+    removedTracks,
+    operationId: outcome.operationId,
+    errors: outcome.errors,
+    details,
+    playlists,
+    message: plan.operation === 'move-artists' ?
+      `Moved ${removedTracks} tracks of ${plan.artists.length - failedPlaylists.length} artists to their playlists` :
+      `Removed ${removedTracks} tracks of ${plan.artists.length} artists`
+  };
+}
+
+// The archive playlist is found by the marker in its description, or by name
+// so an existing "Archive" playlist is reused; tracks already in it are skipped
+async function archiveTracksToPlaylist(user, archive, items) {
+  const marker = generatedPlaylistMarker(`archive|${archive.name.toLowerCase()}`);
+  const owned = (await getUserPlaylists(user)).filter(playlist => playlist.owned);
+  const existing = owned.find(playlist => playlist.description.includes(marker)) ||
+    owned.find(playlist => playlist.name === archive.name);
+  
+  let playlistId = existing && existing.id;
+  if (!playlistId) {
+    console.log(`Creating archive playlist: ${archive.name}`);
+    const playlist = await spotifyRequest(user, () => user.spotifyApi.createPlaylist(archive.name, {
+      description: `Liked songs that were archived before being unliked ${marker}`,
+      public: archive.public,
+      collaborative: false
+    }));
+    playlistId = playlist.body.id;
+  }
+  
+  const changes = await syncPlaylistTracks(user, playlistId, orderPlaylistTracks(items, 'added'), {
+    removeMissing: false,
+    isNew: !existing
+  });
+  
+  return {
+    playlistId,
+    playlistName: existing ? existing.name : archive.name,
+    created: !existing,
+    added: changes.added.length,
+    playlistUrl: `https://open.spotify.com/playlist/${playlistId}`
+  };
+}
+
+// Unlike a plan's tracks (stale likes, curation rules); with an archive,
+// nothing is unliked unless the archive playlist holds every one of them
+async function archiveAndUnlikeTracks(user, plan) {
+  console.log(`Starting ${plan.operation} cleanup...`);
+  
+  if (plan.removals.length === 0) {
+    pendingPlans.delete(plan.id);
+    return {
+      success: true,
+      message: 'No tracks found to remove',
+      removedTracks: 0,
+      archive: null
+    };
+  }
+  
+  let archive = null;
+  if (plan.archive) {
+    try {
+      const planned = new Set(plan.removals.map(track => track.id));
+      const items = (await getAllLikedSongs(user)).filter(item => planned.has(item.track.id));
+      archive = await archiveTracksToPlaylist(user, plan.archive, items);
+    } catch (error) {
+      console.error('Error archiving tracks:', error);
+      return {
+        success: false,
+        removedTracks: 0,
+        errors: [`Could not fill the archive playlist, no tracks were removed: ${error.message}`],
+        archive: null,
+        message: 'Archiving failed, nothing was removed'
+      };
+    }
+  }
+  
+  const outcome = await executeRemovalPlan(user, plan);
+  const removedTracks = outcome.removedIds.size;
+  
+  console.log(`Cleanup complete: ${removedTracks} tracks removed`);
+  
+  return {
+    success: outcome.errors.length === 0,
+    removedTracks,
+    operationId: outcome.operationId,
+    errors: outcome.errors,
+    archive,
+    message: archive ?
+      `Archived ${plan.removals.length} tracks to "${archive.playlistName}" and removed ${removedTracks} from Liked Songs` :
+      `Removed ${removedTracks} tracks from Liked Songs`
+  };
+}
+
+async function followArtists(user, artistIds) {
+  for (let i = 0; i < artistIds.length; i += 50) {
+    await spotifyRequest(user, () => user.spotifyApi.followArtists(artistIds.slice(i, i + 50)));
+  }
+  console.log(`Followed ${artistIds.length} artists`);
+  return {
+    success: true,
+    followed: artistIds.length,
+    message: `Followed ${artistIds.length} artist${artistIds.length !== 1 ? 's' : ''}`
+  };
+}
+
+// Curation rules - saved conditions plus an action, e.g. "liked more than 24
+// months ago and album liked >= 80% and not played recently -> move to
+// Archive". Rules see the track fields of the playlist builder rules and a few
+// that depend on the rest of the library.
+const CURATION_RULES_FILE = 'curation-rules.json';
+const CURATION_RUN_HISTORY = 20;
+const CURATION_ACTIONS = ['move', 'unlike', 'playlist']; // move = copy to the playlist, then unlike
+
+const CURATION_RULE_FIELDS = {
+  ...RULE_FIELDS,
+  albumLikedPercent: item => item.albumLikedPercent,
+  playedRecently: item => item.playedRecently,
+  likedMonthsAgo: item => Math.floor((Date.now() - new Date(item.added_at)) / (30.44 * 24 * 60 * 60 * 1000))
+};
+
+async function readCurationRules(user) {
+  try {
+    const data = await fs.readFile(userCachePath(user, CURATION_RULES_FILE), 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading curation rules:', error);
+    }
+    return {};
+  }
+}
+
+// Serialize writes like the history journal
+function updateCurationRules(user, updater) {
+  const write = user.curationRulesWriteQueue.then(async () => {
+    const rules = await readCurationRules(user);
+    const result = updater(rules);
+    await ensureCacheDir(user.cacheDir);
+    await fs.writeFile(userCachePath(user, CURATION_RULES_FILE), JSON.stringify(rules, null, 2), 'utf8');
+    return result;
+  });
+  // Keep the queue going after a failed write; the caller still sees the error
+  user.curationRulesWriteQueue = write.catch(() => {});
+  return write;
+}
+
+// Validate a rule with its action; the action's playlist is the archive playlist by default
+function parseCurationRule(source = {}) {
+  const rule = parseTrackRule(source, CURATION_RULE_FIELDS);
+  const action = source.action || {};
+  
+  if (!CURATION_ACTIONS.includes(action.type)) {
+    throw Object.assign(new Error(`Invalid rule: unknown action "${action.type}". Available: ${CURATION_ACTIONS.join(', ')}`), { code: 'INVALID_RULE' });
+  }
+  
+  return {
+    ...rule,
+    action: action.type === 'unlike' ?
+      { type: 'unlike' } :
+      { type: action.type, ...parseArchiveOptions(action) }
+  };
+}
+
+function describeCurationAction(action) {
+  return action.type === 'unlike' ? 'unlike' :
+    action.type === 'move' ? `move to "${action.name}" and unlike` :
+    `add to "${action.name}"`;
+}
+
+async function saveCurationRule(user, ruleId, source) {
+  const parsed = parseCurationRule(source);
+  const now = new Date().toISOString();
+  
+  return updateCurationRules(user, rules => {
+    if (ruleId && !rules[ruleId]) {
+      return null;
+    }
+    const id = ruleId || `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    const existing = rules[id] || { id, createdAt: now, runs: [] };
+    rules[id] = { ...existing, ...parsed, updatedAt: now };
+    return rules[id];
+  });
 }
 
-async function removeDuplicateTracks() {
-  console.log('Starting duplicate removal process...');
+function deleteCurationRule(user, ruleId) {
+  return updateCurationRules(user, rules => {
+    const existed = Boolean(rules[ruleId]);
+    delete rules[ruleId];
+    return existed;
+  });
+}
+
+// Liked songs with the fields that depend on the rest of the library. The
+// listening history is only fetched when a rule asks about it.
+async function loadCurationItems(user, rules, job = null) {
+  const tracks = await getAllLikedSongs(user, { job });
   
-  // Get duplicates first
-  const duplicates = await findDuplicatesInLikedSongs();
+  const likedPerAlbum = new Map();
+  tracks.forEach(item => {
+    if (item.track.album) {
+      likedPerAlbum.set(item.track.album.id, (likedPerAlbum.get(item.track.album.id) || 0) + 1);
+    }
+  });
   
-  if (duplicates.length === 0) {
+  const needsHistory = rules.some(rule => rule.conditions.some(condition => condition.field === 'playedRecently'));
+  const surfacedIn = needsHistory ? indexListeningHistory(await fetchListeningHistory(user, job)) : null;
+  
+  return tracks.map(item => {
+    const album = item.track.album;
     return {
-      success: true,
-      message: 'No duplicates found to remove',
-      removedCount: 0
+      ...item,
+      albumLikedPercent: album && album.total_tracks ? Math.round((likedPerAlbum.get(album.id) / album.total_tracks) * 100) : null,
+      playedRecently: surfacedIn ? surfacedIn(item.track).size > 0 : null
     };
+  });
+}
+
+// A rule's matches as a removal plan; "playlist" rules unlike nothing, so
+// their matches are only listed
+async function planCurationRule(user, rule) {
+  const candidates = await loadCurationItems(user, [rule]);
+  const matched = candidates
+    .filter(item => matchesTrackRule(item, rule, CURATION_RULE_FIELDS))
+    .sort((a, b) => new Date(a.added_at) - new Date(b.added_at));
+  
+  const plan = createRemovalPlan('curation-rule', `Rule "${rule.name}": ${describeCurationAction(rule.action)} ${matched.length} liked songs`);
+  plan.rule = { id: rule.id || null, name: rule.name, conditions: describeTrackRule(rule), action: rule.action };
+  plan.archive = rule.action.type === 'unlike' ? null : { name: rule.action.name, public: rule.action.public };
+  plan.matches = matched.map(item => summarizeTrack({ track: item.track, addedAt: item.added_at }));
+  if (rule.action.type !== 'playlist') {
+    plan.removals = plan.matches.map(track => ({ ...track, reason: `Matches "${rule.name}"` }));
   }
   
-  const tracksToRemove = [];
-  let totalDuplicates = 0;
+  console.log(`Rule "${rule.name}" matches ${matched.length} of ${candidates.length} liked songs`);
+  return storePlan(user, plan);
+}
+
+// Apply a rule plan through the same archive and removal path as other
+// cleanups, and add the outcome to the rule's run history
+async function runCurationPlan(user, plan) {
+  let results;
   
-  // For each duplicate group, keep the most recent (last added) and mark others for removal
-  duplicates.forEach(group => {
-    // Sort by added date (newest first, so index 0 is the most recent)
-    const sortedTracks = group.tracks.sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt));
-    
-    // Keep the first one (most recent) and remove all others
-    const toRemove = sortedTracks.slice(1);
-    toRemove.forEach(item => {
-      tracksToRemove.push(item.track.id);
-      totalDuplicates++;
+  if (plan.rule.action.type === 'playlist') {
+    pendingPlans.delete(plan.id);
+    try {
+      const planned = new Set(plan.matches.map(track => track.id));
+      const items = (await getAllLikedSongs(user)).filter(item => planned.has(item.track.id));
+      const archive = items.length > 0 ? await archiveTracksToPlaylist(user, plan.archive, items) : null;
+      results = {
+        success: true,
+        removedTracks: 0,
+        errors: [],
+        archive,
+        message: archive ? `Added ${archive.added} tracks to "${archive.playlistName}"` : 'No tracks matched the rule'
+      };
+    } catch (error) {
+      console.error('Error filling rule playlist:', error);
+      results = {
+        success: false,
+        removedTracks: 0,
+        errors: [`Could not fill the playlist: ${error.message}`],
+        archive: null,
+        message: 'Filling the playlist failed'
+      };
+    }
+  } else {
+    results = await archiveAndUnlikeTracks(user, plan);
+  }
+  
+  if (plan.rule.id) {
+    await updateCurationRules(user, rules => {
+      const rule = rules[plan.rule.id];
+      if (!rule) return;
+      rule.lastRunAt = new Date().toISOString();
+      rule.runs = [{
+        runAt: rule.lastRunAt,
+        matched: plan.matches.length,
+        removed: results.removedTracks,
+        playlistName: results.archive ? results.archive.playlistName : null,
+        addedToPlaylist: results.archive ? results.archive.added : 0,
+        operationId: results.operationId || null,
+        success: results.success,
+        errors: results.errors || [],
+        message: results.message
+      }, ...(rule.runs || [])].slice(0, CURATION_RUN_HISTORY);
     });
-    
-    console.log(`Group "${group.tracks[0].track.name}" from "${group.tracks[0].track.album.name}": keeping most recent (${sortedTracks[0].addedAt}), removing ${toRemove.length} older copies`);
+  }
+  
+  return { ...results, matched: plan.matches.length, rule: plan.rule };
+}
+
+// Swap liked tracks for other versions ([{ trackId, replacementId }]). The
+// replacement is saved with the original's liked date so it takes the same
+// place in Liked Songs, and the swap is journaled so it can be undone.
+async function swapLikedTracks(user, swaps) {
+  const liked = new Map((await getAllLikedSongs(user)).map(item => [item.track.id, item]));
+  const market = await getUserMarket(user);
+  const failed = [];
+  
+  const requested = swaps.filter(swap => {
+    if (!liked.has(swap.trackId)) {
+      failed.push({ id: swap.trackId, reason: 'Track is not in Liked Songs' });
+      return false;
+    }
+    return true;
   });
   
-  console.log(`Found ${totalDuplicates} duplicate tracks to remove`);
+  // Make sure every replacement can be played before anything is removed
+  const replacementIds = [...new Set(requested.map(swap => swap.replacementId))];
+  const replacements = new Map();
+  for (let i = 0; i < replacementIds.length; i += 50) {
+    const response = await spotifyRequest(user, () => user.spotifyApi.getTracks(replacementIds.slice(i, i + 50), { market }));
+    response.body.tracks.forEach((track, index) => {
+      if (track && track.is_playable !== false) {
+        replacements.set(replacementIds[i + index], track);
+      }
+    });
+  }
+  
+  const toSwap = requested.filter(swap => {
+    if (!replacements.has(swap.replacementId)) {
+      failed.push({ id: swap.trackId, name: liked.get(swap.trackId).track.name, reason: 'Replacement is not available in your market' });
+      return false;
+    }
+    return true;
+  });
   
-  // Remove tracks in batches (Spotify allows max 50 tracks per request for removal)
+  if (toSwap.length === 0) {
+    return {
+      success: failed.length === 0,
+      swapped: 0,
+      failed,
+      message: 'No tracks were swapped'
+    };
+  }
+  
+  const operationId = await startHistoryOperation(user, 'swap-tracks', `Swapped ${toSwap.length} unavailable or relinked tracks for available versions`);
+  const removedIds = new Set();
   const batchSize = 50;
-  const results = {
-    success: true,
-    removedCount: 0,
-    errors: []
-  };
   
-  for (let i = 0; i < tracksToRemove.length; i += batchSize) {
-    const batch = tracksToRemove.slice(i, i + batchSize);
+  for (let i = 0; i < toSwap.length; i += batchSize) {
+    const batch = toSwap.slice(i, i + batchSize);
     
     try {
-      console.log(`Removing batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(tracksToRemove.length/batchSize)} (${batch.length} tracks)`);
+      console.log(`Swapping batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(toSwap.length/batchSize)} (${batch.length} tracks)`);
       
-      await spotifyApi.removeFromMySavedTracks(batch);
-      results.removedCount += batch.length;
+      // Replacements that are already liked keep their own date
+      const toSave = batch
+        .filter(swap => !liked.has(swap.replacementId))
+        .map(swap => ({ id: swap.replacementId, addedAt: liked.get(swap.trackId).added_at }));
+      if (toSave.length > 0) {
+        await saveTracksWithTimestamps(user, toSave);
+      }
+      await spotifyRequest(user, () => user.spotifyApi.removeFromMySavedTracks(batch.map(swap => swap.trackId)));
       
-      // Rate limiting
-      await new Promise(resolve => setTimeout(resolve, 500));
+      await recordRemovedBatch(user, operationId, batch.map(swap => {
+        const replacement = replacements.get(swap.replacementId);
+        return {
+          ...summarizeTrack({ track: liked.get(swap.trackId).track, addedAt: liked.get(swap.trackId).added_at }),
+          replacedBy: {
+            id: swap.replacementId,
+            name: replacement.name,
+            album: replacement.album ? replacement.album.name : null,
+            wasLiked: liked.has(swap.replacementId)
+          }
+        };
+      }));
+      batch.forEach(swap => removedIds.add(swap.trackId));
       
     } catch (error) {
-      console.error(`Error removing batch ${Math.floor(i/batchSize) + 1}:`, error);
-      results.errors.push(`Failed to remove batch starting at track ${i + 1}: ${error.message}`);
+      console.error(`Error swapping batch ${Math.floor(i/batchSize) + 1}:`, error);
+      batch.forEach(swap => failed.push({ id: swap.trackId, name: liked.get(swap.trackId).track.name, reason: error.message }));
+    }
+  }
+  
+  // Replacements were saved with old dates, so the next analysis reconciles
+  await removeFromLikedSongsCache(user, removedIds);
+  await markLikedSongsCacheStale(user);
+  
+  return {
+    success: failed.length === 0,
+    swapped: removedIds.size,
+    failed,
+    operationId,
+    message: `Swapped ${removedIds.size} tracks for available versions${failed.length > 0 ? `, ${failed.length} could not be swapped` : ''}`
+  };
+}
+
+// Helper function to re-save tracks with their original added_at date,
+// falling back to a plain save (which dates them today) if that fails
+async function saveTracksWithTimestamps(user, tracks) {
+  try {
+    await spotifyFetch(user, '/me/tracks', {
+      method: 'PUT',
+      body: { timestamped_ids: tracks.map(t => ({ id: t.id, added_at: t.addedAt })) }
+    });
+  } catch (timestampError) {
+    console.log('Saving with original dates failed, falling back to wrapper:', timestampError.message);
+    await spotifyRequest(user, () => user.spotifyApi.addToMySavedTracks(tracks.map(t => t.id)));
+  }
+}
+
+// An undo in progress is marked in the journal, so a second request can't
+// restore the same tracks again. Marks older than this are left over from a
+// restart and don't block a new attempt
+const UNDO_CLAIM_TIMEOUT = 30 * 60 * 1000;
+
+async function claimUndo(user, operationId) {
+  return updateHistory(user, history => {
+    const entry = history.find(e => e.id === operationId);
+    if (!entry) {
+      return { status: 404, error: 'Operation not found' };
+    }
+    if (entry.undoneAt) {
+      return { status: 409, error: 'Operation has already been undone' };
+    }
+    if (entry.undoStartedAt && Date.now() - new Date(entry.undoStartedAt).getTime() < UNDO_CLAIM_TIMEOUT) {
+      return { status: 409, error: 'Operation is already being undone' };
+    }
+    
+    entry.undoStartedAt = new Date().toISOString();
+    return { entry: { ...entry } };
+  });
+}
+
+async function releaseUndoClaim(user, operationId) {
+  await updateHistory(user, history => {
+    const stored = history.find(e => e.id === operationId);
+    if (stored) {
+      stored.undoStartedAt = null;
+    }
+  });
+}
+
+// Undo can take several attempts: tracks restored by an earlier attempt are
+// skipped, and the operation only counts as undone once no failure is left
+// that a retry could fix (failed requests, unverified saves)
+async function undoOperation(user, entry) {
+  const alreadyRestored = new Set(entry.restoredIds || []);
+  const unavailable = new Set((entry.undoFailures || []).filter(failure => !failure.retryable).map(failure => failure.id));
+  const pending = entry.tracks.filter(track => !alreadyRestored.has(trackCopyId(track.id, track.position)) && !unavailable.has(track.id));
+  console.log(`Undoing operation ${entry.id} (${entry.operation}, ${pending.length} of ${entry.tracks.length} tracks left)...`);
+  
+  const results = {
+    restoredCount: 0,
+    restoredIds: [],
+    failed: []
+  };
+  const attempt = { ...entry, tracks: pending };
+  
+  try {
+    if (entry.source && entry.source.type === 'playlist') {
+      await restorePlaylistTracks(user, attempt, results);
+    } else {
+      await restoreLikedTracks(user, attempt, results);
+      await removeSwapReplacements(user, attempt, new Set(results.restoredIds));
     }
+  } catch (error) {
+    await releaseUndoClaim(user, entry.id);
+    throw error;
   }
   
-  // Clear cache so next analysis gets fresh data
-  getAllLikedSongs._cache = null;
+  const restoredIds = [...alreadyRestored, ...results.restoredIds];
+  const failures = [
+    ...(entry.undoFailures || []).filter(failure => !failure.retryable),
+    ...results.failed.map(track => ({ id: track.id, reason: track.reason, retryable: track.retryable }))
+  ];
+  const undone = restoredIds.length > 0 && !failures.some(failure => failure.retryable);
   
-  console.log(`Successfully removed ${results.removedCount} duplicate tracks`);
+  await updateHistory(user, history => {
+    const stored = history.find(e => e.id === entry.id);
+    if (stored) {
+      stored.restoredIds = restoredIds;
+      stored.undoFailures = failures;
+      stored.undoneAt = undone ? new Date().toISOString() : null;
+      stored.undoStartedAt = null;
+    }
+  });
+  
+  console.log(`Undo ${undone ? 'complete' : 'incomplete'}: restored ${restoredIds.length}/${entry.tracks.length} tracks`);
   
   return {
-    success: results.errors.length === 0,
-    removedCount: results.removedCount,
-    totalDuplicates,
-    errors: results.errors,
-    message: `Removed ${results.removedCount} out of ${totalDuplicates} duplicate tracks`
+    success: results.failed.length === 0,
+    undone,
+    operationId: entry.id,
+    restoredCount: results.restoredCount,
+    totalRestored: restoredIds.length,
+    totalTracks: entry.tracks.length,
+    failed: results.failed,
+    message: `Restored ${results.restoredCount} out of ${pending.length} tracks${pending.length < entry.tracks.length ? ` (${alreadyRestored.size} were restored earlier)` : ''}${undone ? '' : '. Undo again to retry the rest'}`
   };
 }
 
-async function removeAlbumsFromLiked(albumIds, removeAll = false, addToLibrary = false) {
-  console.log('Starting album removal process...');
+async function restoreLikedTracks(user, entry, results) {
+  // Re-save tracks in batches (Spotify allows max 50 tracks per request)
+  const batchSize = 50;
+  const attempted = [];
   
-  // Get album analysis
-  const albumAnalysis = await analyzeAlbumsInLikedSongs();
+  for (let i = 0; i < entry.tracks.length; i += batchSize) {
+    const batch = entry.tracks.slice(i, i + batchSize);
+    
+    try {
+      console.log(`Restoring batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(entry.tracks.length/batchSize)} (${batch.length} tracks)`);
+      await saveTracksWithTimestamps(user, batch);
+      attempted.push(...batch);
+    } catch (error) {
+      console.error(`Error restoring batch ${Math.floor(i/batchSize) + 1}:`, error);
+      batch.forEach(track => {
+        results.failed.push({ id: track.id, name: track.name, artists: track.artists, reason: error.message, retryable: true });
+      });
+    }
+  }
   
-  let albumsToProcess;
+  // Verify which tracks actually made it back (unavailable tracks are silently ignored by Spotify)
+  for (let i = 0; i < attempted.length; i += batchSize) {
+    const batch = attempted.slice(i, i + batchSize);
+    
+    try {
+      const response = await spotifyRequest(user, () => user.spotifyApi.containsMySavedTracks(batch.map(t => t.id)));
+      batch.forEach((track, index) => {
+        if (response.body[index]) {
+          results.restoredCount++;
+          results.restoredIds.push(track.id);
+        } else {
+          results.failed.push({ id: track.id, name: track.name, artists: track.artists, reason: 'Track is no longer available on Spotify', retryable: false });
+        }
+      });
+    } catch (error) {
+      // Unverified saves are not counted; undoing again re-saves and checks them
+      console.error('Error verifying restored tracks:', error);
+      batch.forEach(track => {
+        results.failed.push({ id: track.id, name: track.name, artists: track.artists, reason: `Could not check the save: ${error.message}`, retryable: true });
+      });
+    }
+  }
   
-  if (removeAll) {
-    albumsToProcess = albumAnalysis;
-    console.log(`Removing ALL ${albumAnalysis.length} albums from liked songs`);
-  } else {
-    albumsToProcess = albumAnalysis.filter(album => albumIds.includes(album.album.id));
-    console.log(`Removing ${albumsToProcess.length} selected albums from liked songs`);
+  // Restored tracks keep their old dates, so make the next analysis reconcile
+  await markLikedSongsCacheStale(user);
+}
+
+// Undoing a swap also unlikes the versions it saved (not ones that were liked
+// before), but only for tracks that are back in Liked Songs
+async function removeSwapReplacements(user, entry, restoredIds) {
+  const replacementIds = entry.tracks
+    .filter(track => track.replacedBy && !track.replacedBy.wasLiked && restoredIds.has(track.id))
+    .map(track => track.replacedBy.id);
+  
+  for (let i = 0; i < replacementIds.length; i += 50) {
+    try {
+      await spotifyRequest(user, () => user.spotifyApi.removeFromMySavedTracks(replacementIds.slice(i, i + 50)));
+    } catch (error) {
+      console.error('Error removing swapped-in versions:', error);
+    }
   }
   
-  if (albumsToProcess.length === 0) {
-    return {
-      success: true,
-      message: 'No albums found to remove',
-      removedAlbums: 0,
-      removedTracks: 0
-    };
+  if (replacementIds.length > 0) {
+    console.log(`Removed ${replacementIds.length} swapped-in versions`);
+    await removeFromLikedSongsCache(user, new Set(replacementIds));
   }
+}
+
+// Put removed playlist tracks back at their old positions. Inserting in
+// ascending order rebuilds the original order; runs of neighbouring positions
+// go back in one request.
+async function restorePlaylistTracks(user, entry, results) {
+  const tracks = [...entry.tracks].sort((a, b) => a.position - b.position);
+  const runs = [];
   
-  const results = {
-    success: true,
-    removedAlbums: 0,
-    removedTracks: 0,
-    addedToLibrary: 0,
-    errors: [],
-    details: []
-  };
+  tracks.forEach(track => {
+    const run = runs[runs.length - 1];
+    if (run && run.length < PLAYLIST_PAGE_SIZE && track.position === run[run.length - 1].position + 1) {
+      run.push(track);
+    } else {
+      runs.push([track]);
+    }
+  });
   
-  for (const albumData of albumsToProcess) {
+  for (const run of runs) {
     try {
-      const trackIds = albumData.tracks.map(item => item.track.id);
-      
-      console.log(`Processing album "${albumData.album.name}" (${trackIds.length} tracks, in library: ${albumData.isInLibrary})`);
-      
-      let albumAddedToLibrary = false;
-      
-      // If album is not in library and we should add it (or auto-add for non-library albums)
-      if (!albumData.isInLibrary && (addToLibrary || removeAll)) {
-        try {
-          console.log(`Adding album "${albumData.album.name}" to library before removing individual tracks`);
-          await addAlbumToLibrary(albumData.album.id, albumData.album.name);
-          albumAddedToLibrary = true;
-          results.addedToLibrary++;
-          
-          // Rate limiting
-          await new Promise(resolve => setTimeout(resolve, 300));
-        } catch (addError) {
-          console.error(`Failed to add album "${albumData.album.name}" to library:`, addError);
-          results.errors.push(`Failed to add "${albumData.album.name}" to library: ${addError.message}`);
-        }
+      console.log(`Restoring ${run.length} tracks to "${entry.source.name}" at position ${run[0].position}`);
+      await spotifyRequest(user, () => user.spotifyApi.addTracksToPlaylist(
+        entry.source.id,
+        run.map(track => track.uri),
+        { position: run[0].position }
+      ));
+      results.restoredCount += run.length;
+      results.restoredIds.push(...run.map(track => trackCopyId(track.id, track.position)));
+    } catch (error) {
+      console.error(`Error restoring tracks at position ${run[0].position}:`, error);
+      run.forEach(track => {
+        results.failed.push({ id: track.id, name: track.name, artists: track.artists, reason: error.message, retryable: true });
+      });
+    }
+  }
+}
+
+// Scheduled runs - saved operations that run on a cron-like schedule with the
+// saved refresh token, so they also run when nobody has the dashboard open.
+// Each user has at most one scheduled run going at a time; runs of different
+// users may overlap, since every Spotify call already shares one rate limiter.
+const SCHEDULES_FILE = 'schedules.json';
+const SCHEDULE_RUN_HISTORY = 20;
+const SCHEDULE_REPORT_TRACKS = 100; // Tracks listed per run report
+const SCHEDULER_TICK = 60 * 1000; // 1 minute in milliseconds
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 3 * * *',
+  '@weekly': '0 3 * * 0',
+  '@monthly': '0 3 1 * *'
+};
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+function scheduleError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SCHEDULE';
+  return error;
+}
+
+// Five fields (minute hour day-of-month month day-of-week) with *, lists,
+// ranges and steps, e.g. "30 4 */14 * *", or one of CRON_ALIASES
+function parseCronExpression(expression) {
+  const text = String(expression || '').trim();
+  const parts = (Object.prototype.hasOwnProperty.call(CRON_ALIASES, text) ? CRON_ALIASES[text] : text).split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw scheduleError(`Schedule "${text}" needs five fields: minute hour day-of-month month day-of-week`);
+  }
+  
+  const fields = parts.map((part, index) => {
+    const { name, min, max } = CRON_FIELDS[index];
+    const values = new Set();
+    
+    part.split(',').forEach(item => {
+      const match = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!match) {
+        throw scheduleError(`Invalid ${name} "${item}" in schedule "${text}"`);
+      }
+      const start = match[1] === '*' ? min : Number(match[2]);
+      const end = match[1] === '*' ? max : match[3] !== undefined ? Number(match[3]) : match[4] ? max : start;
+      const step = match[4] ? Number(match[4]) : 1;
+      if (start < min || end > max || start > end || step < 1) {
+        throw scheduleError(`${name} "${item}" is out of range ${min}-${max} in schedule "${text}"`);
+      }
+      for (let value = start; value <= end; value += step) {
+        values.add(index === 4 && value === 7 ? 0 : value);
+      }
+    });
+    
+    return { values, any: part === '*' };
+  });
+  
+  const [minutes, hours, days, months, weekdays] = fields;
+  return { expression: text, minutes, hours, days, months, weekdays };
+}
+
+// As in cron, a restricted day of month and day of week match when either does
+function cronMatchesDay(cron, date) {
+  const dayMatches = cron.days.values.has(date.getDate());
+  const weekdayMatches = cron.weekdays.values.has(date.getDay());
+  if (!cron.days.any && !cron.weekdays.any) {
+    return dayMatches || weekdayMatches;
+  }
+  return dayMatches && weekdayMatches;
+}
+
+// The first minute after `from` the schedule matches, in server time
+function nextCronRun(expression, from = new Date()) {
+  const cron = parseCronExpression(expression);
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  
+  // Skip whole months, days and hours that can't match; a few years is plenty
+  const limit = new Date(date);
+  limit.setFullYear(limit.getFullYear() + 5);
+  while (date < limit) {
+    if (!cron.months.values.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cronMatchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.values.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.values.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  throw scheduleError(`Schedule "${cron.expression}" never runs`);
+}
+
+const reportTrack = track => ({ name: track.name, artists: track.artists, album: track.album, reason: track.reason });
+
+// Operations a schedule can run. In dry-run mode nothing in the library
+// changes; the report says what the run would have done.
+const SCHEDULED_OPERATIONS = {
+  'remove-duplicates': {
+    description: 'Remove duplicates',
+    parseParams: (params = {}) => {
+      const keepPolicy = params.keepPolicy || 'newest';
+      if (!isValidKeepPolicy(keepPolicy) || keepPolicy === 'manual') {
+        throw scheduleError(`Scheduled duplicate removal needs a keep policy other than "manual", got "${keepPolicy}"`);
       }
+      return {
+        source: parseSource(params.source),
+        keepPolicy,
+        includeLooseMatches: params.includeLooseMatches === true,
+        matchOptions: parseMatchOptions(params.matchOptions)
+      };
+    },
+    run: async (user, params, dryRun) => {
+      const plan = await planDuplicateRemoval(user, params);
+      const details = { tracks: plan.removals.slice(0, SCHEDULE_REPORT_TRACKS).map(reportTrack) };
       
-      // Remove tracks in batches
-      const batchSize = 50;
-      let albumRemovedCount = 0;
+      if (dryRun) {
+        pendingPlans.delete(plan.id);
+        return { success: true, message: `Would remove ${plan.removals.length} duplicate tracks (keeping ${plan.kept.length})`, details };
+      }
       
-      for (let i = 0; i < trackIds.length; i += batchSize) {
-        const batch = trackIds.slice(i, i + batchSize);
-        
-        try {
-          await spotifyApi.removeFromMySavedTracks(batch);
-          albumRemovedCount += batch.length;
-          
-          // Rate limiting
-          await new Promise(resolve => setTimeout(resolve, 300));
-          
-        } catch (error) {
-          console.error(`Error removing batch from album "${albumData.album.name}":`, error);
-          results.errors.push(`Failed to remove some tracks from "${albumData.album.name}": ${error.message}`);
-        }
+      const results = await removeDuplicateTracks(user, plan);
+      return { success: results.success, message: results.message, details: { ...details, operationId: results.operationId || null, errors: results.errors || [] } };
+    }
+  },
+  'sync-playlists': {
+    description: 'Sync generated playlists',
+    parseParams: (params = {}) => ({
+      groupBy: PLAYLIST_GROUPINGS[params.groupBy] ? params.groupBy : null
+    }),
+    run: async (user, params, dryRun) => {
+      if (dryRun) {
+        const playlists = Object.values(await readGeneratedPlaylists(user))
+          .filter(entry => !params.groupBy || entry.options.groupBy === params.groupBy);
+        return {
+          success: true,
+          message: `Would sync ${playlists.length} generated playlists`,
+          details: { playlists: playlists.map(entry => `"${entry.name}" (${entry.trackCount || 0} tracks at the last sync)`) }
+        };
       }
       
-      results.removedAlbums++;
-      results.removedTracks += albumRemovedCount;
+      const results = await syncGeneratedPlaylists(user, null, params.groupBy);
+      const failed = results.filter(result => !result.success);
+      return {
+        success: failed.length === 0,
+        message: `Synced ${results.length - failed.length} of ${results.length} generated playlists`,
+        details: { playlists: results.map(result => result.success ? result.message : `${result.label || result.group}: ${result.error}`) }
+      };
+    }
+  },
+  'refresh-cache': {
+    description: 'Refresh the liked songs cache',
+    parseParams: (params = {}) => ({ full: params.full === true }),
+    run: async (user, params, dryRun) => {
+      if (dryRun) {
+        return { success: true, message: `Would ${params.full ? 'fully re-fetch' : 'refresh'} the liked songs cache`, details: {} };
+      }
       
-      results.details.push({
-        albumName: albumData.album.name,
-        artistName: albumData.album.artists.map(a => a.name).join(', '),
-        tracksRemoved: albumRemovedCount,
-        totalTracks: trackIds.length,
-        wasInLibrary: albumData.isInLibrary,
-        addedToLibrary: albumAddedToLibrary,
-        success: albumRemovedCount === trackIds.length
-      });
+      const tracks = await getAllLikedSongs(user, { forceFullSync: params.full });
+      return { success: true, message: `Liked songs cache refreshed (${tracks.length} tracks)`, details: {} };
+    }
+  },
+  'curation-rule': {
+    description: 'Run a curation rule',
+    parseParams: (params = {}) => {
+      if (typeof params.ruleId !== 'string' || !params.ruleId) {
+        throw scheduleError('Pick the curation rule to run');
+      }
+      return { ruleId: params.ruleId };
+    },
+    run: async (user, params, dryRun) => {
+      const rule = (await readCurationRules(user))[params.ruleId];
+      if (!rule) {
+        throw new Error('The curation rule no longer exists');
+      }
       
-      const libraryAction = albumAddedToLibrary ? ' (added to library)' : 
-                           albumData.isInLibrary ? ' (was already in library)' : 
-                           ' (not added to library)';
+      const plan = await planCurationRule(user, rule);
+      const details = { tracks: plan.matches.slice(0, SCHEDULE_REPORT_TRACKS).map(reportTrack) };
       
-      console.log(`Successfully processed "${albumData.album.name}": removed ${albumRemovedCount}/${trackIds.length} tracks${libraryAction}`);
+      if (dryRun) {
+        pendingPlans.delete(plan.id);
+        return { success: true, message: `Rule "${rule.name}" would ${describeCurationAction(rule.action)} ${plan.matches.length} liked songs`, details };
+      }
       
-    } catch (error) {
-      console.error(`Error processing album "${albumData.album.name}":`, error);
-      results.errors.push(`Failed to process album "${albumData.album.name}": ${error.message}`);
+      const results = await runCurationPlan(user, plan);
+      return { success: results.success, message: `Rule "${rule.name}": ${results.message}`, details: { ...details, operationId: results.operationId || null, errors: results.errors || [] } };
     }
   }
+};
+
+async function readSchedules(user) {
+  try {
+    const data = await fs.readFile(userCachePath(user, SCHEDULES_FILE), 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading schedules:', error);
+    }
+    return {};
+  }
+}
+
+// Serialize writes like the history journal
+function updateSchedules(user, updater) {
+  const write = user.schedulesWriteQueue.then(async () => {
+    const schedules = await readSchedules(user);
+    const result = updater(schedules);
+    await ensureCacheDir(user.cacheDir);
+    await fs.writeFile(userCachePath(user, SCHEDULES_FILE), JSON.stringify(schedules, null, 2), 'utf8');
+    return result;
+  });
+  // Keep the queue going after a failed write; the caller still sees the error
+  user.schedulesWriteQueue = write.catch(() => {});
+  return write;
+}
+
+function parseSchedule(source = {}) {
+  if (!Object.prototype.hasOwnProperty.call(SCHEDULED_OPERATIONS, source.operation)) {
+    throw scheduleError(`Unknown operation "${source.operation}". Available: ${Object.keys(SCHEDULED_OPERATIONS).join(', ')}`);
+  }
   
-  // Clear cache so next analysis gets fresh data
-  getAllLikedSongs._cache = null;
-  
-  console.log(`Album removal complete: ${results.removedAlbums} albums, ${results.removedTracks} tracks, ${results.addedToLibrary} albums added to library`);
+  const operation = SCHEDULED_OPERATIONS[source.operation];
+  if (source.params !== undefined && source.params !== null && (typeof source.params !== 'object' || Array.isArray(source.params))) {
+    throw scheduleError('Schedule params must be an object');
+  }
   
+  const cron = parseCronExpression(source.cron).expression;
   return {
-    success: results.errors.length === 0,
-    removedAlbums: results.removedAlbums,
-    removedTracks: results.removedTracks,
-    addedToLibrary: results.addedToLibrary,
-    errors: results.errors,
-    details: results.details,
-    message: `Removed ${results.removedTracks} tracks from ${results.removedAlbums} albums${results.addedToLibrary > 0 ? `, added ${results.addedToLibrary} albums to library` : ''}`
+    name: typeof source.name === 'string' && source.name.trim() ? source.name.trim() : operation.description,
+    operation: source.operation,
+    params: operation.parseParams(source.params || {}),
+    cron,
+    dryRun: source.dryRun === true,
+    enabled: source.enabled !== false
   };
 }
 
-// Start the server
-app.listen(port, async () => {
-  console.log(`Server running at http://localhost:${port}`);
-  console.log('Opening browser...');
+async function saveSchedule(user, scheduleId, source) {
+  const parsed = parseSchedule(source);
+  const now = new Date();
+  const nextRunAt = parsed.enabled ? nextCronRun(parsed.cron, now).toISOString() : null;
+  
+  return updateSchedules(user, schedules => {
+    if (scheduleId && !schedules[scheduleId]) {
+      return null;
+    }
+    const id = scheduleId || `schedule-${now.getTime().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    const existing = schedules[id] || { id, createdAt: now.toISOString(), lastRunAt: null, runs: [] };
+    schedules[id] = { ...existing, ...parsed, nextRunAt, updatedAt: now.toISOString() };
+    return schedules[id];
+  });
+}
+
+function deleteSchedule(user, scheduleId) {
+  return updateSchedules(user, schedules => {
+    const existed = Boolean(schedules[scheduleId]);
+    delete schedules[scheduleId];
+    return existed;
+  });
+}
+
+// Runs hold the user's library lock, so they never overlap each other or a
+// dashboard job that changes the library
+async function runSchedule(user, scheduleId, trigger = 'schedule') {
+  const activeRun = acquireLibraryLock(user, scheduleId, scheduleId);
   
   try {
-    const open = await import('open');
-    await open.default(`http://localhost:${port}`);
-  } catch (error) {
-    console.log('Could not automatically open browser. Please navigate to http://localhost:' + port);
+    const schedule = (await readSchedules(user))[scheduleId];
+    if (!schedule) {
+      return null;
+    }
+    activeRun.name = schedule.name;
+    console.log(`Running schedule "${schedule.name}" for ${user.userId} (${trigger}${schedule.dryRun ? ', dry run' : ''})...`);
+    
+    const report = {
+      startedAt: activeRun.startedAt,
+      trigger,
+      dryRun: schedule.dryRun
+    };
+    
+    try {
+      // Runs started by the timer have no request that restored the session
+      if (!user.accessToken && !await restoreSession(user)) {
+        throw new Error('No valid saved session - log in again so scheduled runs can reach Spotify');
+      }
+      
+      const outcome = await SCHEDULED_OPERATIONS[schedule.operation].run(user, schedule.params, schedule.dryRun);
+      report.status = outcome.success ? 'succeeded' : 'failed';
+      report.message = outcome.message;
+      report.details = outcome.details;
+    } catch (error) {
+      console.error(`Scheduled run "${schedule.name}" failed:`, error);
+      report.status = 'failed';
+      report.message = error.message;
+      report.details = {};
+    }
+    report.finishedAt = new Date().toISOString();
+    
+    console.log(`Schedule "${schedule.name}" ${report.status}: ${report.message}`);
+    
+    await updateSchedules(user, schedules => {
+      const entry = schedules[scheduleId];
+      if (!entry) return;
+      entry.lastRunAt = report.finishedAt;
+      entry.nextRunAt = entry.enabled ? nextCronRun(entry.cron).toISOString() : null;
+      entry.runs = [report, ...(entry.runs || [])].slice(0, SCHEDULE_RUN_HISTORY);
+    });
+    
+    return report;
+  } finally {
+    releaseLibraryLock(activeRun);
   }
-});
+}
+
+// Check every user with schedules for runs that are due. Runs missed while the
+// server was down happen once at the next check.
+let schedulerCheckActive = false;
+
+async function runDueSchedules() {
+  if (schedulerCheckActive) return;
+  schedulerCheckActive = true;
+  
+  try {
+    let userDirs = [];
+    try {
+      userDirs = await fs.readdir(USERS_CACHE_DIR);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error listing users for scheduled runs:', error);
+      }
+      return;
+    }
+    
+    for (const userDir of userDirs) {
+      const user = getUserSession(decodeURIComponent(userDir));
+      const due = Object.values(await readSchedules(user))
+        .filter(schedule => schedule.enabled && schedule.nextRunAt && new Date(schedule.nextRunAt) <= new Date())
+        .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt));
+      
+      for (const schedule of due) {
+        try {
+          await runSchedule(user, schedule.id);
+        } catch (error) {
+          // This user has a run or job going from the dashboard; their other
+          // due runs wait for the next check, other users carry on
+          if (error.code === 'LIBRARY_BUSY') break;
+          console.error(`Error running schedule ${schedule.id}:`, error);
+        }
+      }
+    }
+  } finally {
+    schedulerCheckActive = false;
+  }
+}
+
+function startScheduler() {
+  setInterval(() => {
+    runDueSchedules().catch(error => console.error('Error checking schedules:', error));
+  }, SCHEDULER_TICK);
+}
+
+// Start the server when run directly; the tests require this file for its helpers
+if (require.main === module) {
+  app.listen(port, async () => {
+    console.log(`Server running at http://localhost:${port}`);
+    await migrateLegacyCache();
+    startScheduler();
+    console.log('Opening browser...');
+  
+    try {
+      const open = await import('open');
+      // The dashboard sends visitors without a saved session to the login page
+      await open.default(`http://localhost:${port}/dashboard`);
+    } catch (error) {
+      console.log('Could not automatically open browser. Please navigate to http://localhost:' + port);
+    }
+  });
+}
+
+module.exports = {
+  app,
+  getUserSession,
+  readHistory,
+  claimUndo,
+  undoOperation,
+  normalizeTrackKey,
+  fuzzyTrackKey,
+  findDuplicates,
+  chooseCopyToKeep,
+  saveRefreshToken,
+  restoreSession,
+  getAllLikedSongs,
+  parsePlaylistBuilderOptions,
+  buildPlaylists,
+  syncGeneratedPlaylists,
+  parseImportRows,
+  importTracks,
+  getStoredImport,
+  saveImportedTracks,
+  saveLibrarySnapshot,
+  readSnapshotIndex,
+  diffSnapshots,
+  readCurationRules,
+  saveCurationRule,
+  deleteCurationRule,
+  planCurationRule,
+  runCurationPlan,
+  parseCronExpression,
+  nextCronRun,
+  readSchedules,
+  saveSchedule,
+  runSchedule
+};
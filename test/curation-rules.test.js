@@ -0,0 +1,113 @@
+const { readHistory, readCurationRules, saveCurationRule, deleteCurationRule, planCurationRule, runCurationPlan } = require('../src/index');
+const { createTestUser, removeTestUser, setLikedSongs, makeTrack, fakePlaylists, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const album = (id, totalTracks) => ({ id, name: `Album ${id}`, album_type: 'album', release_date: '2000-01-01', total_tracks: totalTracks });
+const likedAt = (track, addedAt) => ({ track, added_at: addedAt });
+
+// Older than two years and from a fully liked album
+const archiveRule = (action = { type: 'move', playlistName: 'Old Favourites' }) => ({
+  name: 'Old albums',
+  conditions: [
+    { field: 'likedMonthsAgo', op: 'gt', value: '24' },
+    { field: 'albumLikedPercent', op: 'gte', value: '80' }
+  ],
+  action
+});
+
+describe('curation rules', () => {
+  let user;
+  let spotify;
+
+  beforeEach(async () => {
+    user = await createTestUser('curation-test', {
+      removeFromMySavedTracks: jest.fn().mockResolvedValue({ body: {} })
+    });
+    spotify = fakePlaylists(user.userId);
+    Object.assign(user.spotifyApi, spotify.api);
+
+    const recent = new Date().toISOString();
+    setLikedSongs(user, [
+      likedAt(makeTrack('full1', 'Song 1', { album: album('full', 2) }), '2019-01-01T00:00:00Z'),
+      likedAt(makeTrack('full2', 'Song 2', { album: album('full', 2) }), '2018-01-01T00:00:00Z'),
+      likedAt(makeTrack('half1', 'Song 3', { album: album('half', 4) }), '2018-01-01T00:00:00Z'),
+      likedAt(makeTrack('new1', 'Song 4', { album: album('new', 1) }), recent)
+    ]);
+  });
+
+  afterEach(async () => {
+    await removeTestUser(user);
+  });
+
+  test('saves, updates and deletes rules', async () => {
+    const saved = await saveCurationRule(user, null, archiveRule());
+    expect(saved).toMatchObject({
+      name: 'Old albums',
+      conditions: [{ field: 'likedMonthsAgo', op: 'gt', value: 24 }, { field: 'albumLikedPercent', op: 'gte', value: 80 }],
+      action: { type: 'move', name: 'Old Favourites', public: false },
+      runs: []
+    });
+
+    const updated = await saveCurationRule(user, saved.id, archiveRule({ type: 'unlike' }));
+    expect(updated).toMatchObject({ id: saved.id, createdAt: saved.createdAt, action: { type: 'unlike' } });
+    expect(await saveCurationRule(user, 'rule-missing', archiveRule())).toBeNull();
+
+    expect(await deleteCurationRule(user, saved.id)).toBe(true);
+    expect(await readCurationRules(user)).toEqual({});
+  });
+
+  test('rejects an unknown action', async () => {
+    await expect(saveCurationRule(user, null, archiveRule({ type: 'delete' }))).rejects.toMatchObject({ code: 'INVALID_RULE' });
+  });
+
+  test('plans the oldest matches first without touching Spotify', async () => {
+    const plan = await planCurationRule(user, await saveCurationRule(user, null, archiveRule()));
+
+    expect(plan.matches.map(track => track.id)).toEqual(['full2', 'full1']);
+    expect(plan.removals.map(track => track.reason)).toEqual(['Matches "Old albums"', 'Matches "Old albums"']);
+    expect(plan.archive).toEqual({ name: 'Old Favourites', public: false });
+    expect(user.spotifyApi.createPlaylist).not.toHaveBeenCalled();
+    expect(user.spotifyApi.removeFromMySavedTracks).not.toHaveBeenCalled();
+  });
+
+  test('moves matches to the playlist, unlikes them and records the run', async () => {
+    const rule = await saveCurationRule(user, null, archiveRule());
+    const results = await runCurationPlan(user, await planCurationRule(user, rule));
+
+    expect(results).toMatchObject({ success: true, removedTracks: 2, matched: 2, archive: { playlistName: 'Old Favourites', added: 2 } });
+    expect([...spotify.playlists.values()][0].uris).toEqual(['spotify:track:full2', 'spotify:track:full1']);
+    expect(user.spotifyApi.removeFromMySavedTracks).toHaveBeenCalledWith(['full2', 'full1']);
+    expect(user.likedSongsCache.tracks.map(item => item.track.id)).toEqual(['half1', 'new1']);
+
+    const [entry] = await readHistory(user);
+    expect(entry).toMatchObject({ id: results.operationId, operation: 'curation-rule' });
+    expect(entry.tracks.map(track => track.id)).toEqual(['full2', 'full1']);
+
+    const [run] = (await readCurationRules(user))[rule.id].runs;
+    expect(run).toMatchObject({ matched: 2, removed: 2, addedToPlaylist: 2, operationId: results.operationId, success: true });
+  });
+
+  test('unlikes nothing when the playlist cannot be filled', async () => {
+    user.spotifyApi.createPlaylist.mockRejectedValue(Object.assign(new Error('Forbidden'), { statusCode: 403 }));
+    const rule = await saveCurationRule(user, null, archiveRule());
+
+    const results = await runCurationPlan(user, await planCurationRule(user, rule));
+
+    expect(results).toMatchObject({ success: false, removedTracks: 0 });
+    expect(user.spotifyApi.removeFromMySavedTracks).not.toHaveBeenCalled();
+    expect((await readCurationRules(user))[rule.id].runs[0]).toMatchObject({ success: false, removed: 0 });
+  });
+
+  test('only adds matches to the playlist for a playlist rule', async () => {
+    const rule = await saveCurationRule(user, null, archiveRule({ type: 'playlist', playlistName: 'Throwbacks' }));
+    const plan = await planCurationRule(user, rule);
+    expect(plan.removals).toEqual([]);
+
+    const results = await runCurationPlan(user, plan);
+
+    expect(results).toMatchObject({ success: true, removedTracks: 0, matched: 2, archive: { playlistName: 'Throwbacks', added: 2 } });
+    expect(user.spotifyApi.removeFromMySavedTracks).not.toHaveBeenCalled();
+    expect(await readHistory(user)).toEqual([]);
+  });
+});
@@ -0,0 +1,136 @@
+const { normalizeTrackKey, fuzzyTrackKey, findDuplicates } = require('../src/index');
+const { makeTrack } = require('./helpers');
+
+const liked = (track, addedAt = '2024-01-01T00:00:00Z') => ({ track, added_at: addedAt });
+
+describe('normalizeTrackKey', () => {
+  test('lowercases and sorts artists so credit order does not matter', () => {
+    const a = makeTrack('a', 'Song ', { artists: ['Beta', 'Alpha'] });
+    const b = makeTrack('b', 'song', { artists: ['alpha', 'beta'], album: 'ALBUM' });
+    expect(normalizeTrackKey(a)).toBe('song::alpha,beta::album');
+    expect(normalizeTrackKey(a)).toBe(normalizeTrackKey(b));
+  });
+
+  test('leaves the album out when asked to', () => {
+    expect(normalizeTrackKey(makeTrack('a', 'Song'), false)).toBe('song::artist');
+  });
+});
+
+describe('fuzzyTrackKey', () => {
+  test('ignores remaster suffixes, feat. credits, punctuation and accents', () => {
+    const keys = [
+      makeTrack('a', 'Café Song'),
+      makeTrack('b', 'Cafe Song - Remastered 2011'),
+      makeTrack('c', 'Café Song (feat. Guest)', { artists: ['Artist', 'Guest'], album: 'Album (Deluxe Edition)' }),
+      makeTrack('d', 'cafe song!')
+    ].map(track => fuzzyTrackKey(track));
+    expect(new Set(keys).size).toBe(1);
+  });
+
+  test.each(['Song - Live', 'Song (Remix)', 'Song (Extended Version)', 'Song (Spanish Version)', 'Song - Acoustic Version'])(
+    'keeps "%s" apart from the studio track',
+    name => {
+      expect(fuzzyTrackKey(makeTrack('b', name))).not.toBe(fuzzyTrackKey(makeTrack('a', 'Song')));
+    }
+  );
+
+  test('keeps titles made only of punctuation apart', () => {
+    expect(fuzzyTrackKey(makeTrack('a', '...'))).not.toBe(fuzzyTrackKey(makeTrack('b', '!!!')));
+    expect(findDuplicates([liked(makeTrack('a', '...')), liked(makeTrack('b', '!!!'))])).toHaveLength(0);
+  });
+});
+
+describe('findDuplicates', () => {
+  test('groups identical tracks as an exact match', () => {
+    const groups = findDuplicates([
+      liked(makeTrack('a', 'Song')),
+      liked(makeTrack('b', 'Song')),
+      liked(makeTrack('c', 'Other'))
+    ]);
+    expect(groups).toHaveLength(1);
+    expect(groups[0].tracks.map(entry => entry.track.id)).toEqual(['a', 'b']);
+    expect(groups[0].confidence).toBe(1);
+    expect(groups[0].isLooseMatch).toBe(false);
+  });
+
+  test('reports version-suffix matches as loose', () => {
+    const groups = findDuplicates([liked(makeTrack('a', 'Song')), liked(makeTrack('b', 'Song - 2011 Remaster'))]);
+    expect(groups).toHaveLength(1);
+    expect(groups[0].isLooseMatch).toBe(true);
+    expect(groups[0].reasons[0]).toMatch(/Version suffixes ignored/);
+  });
+
+  test('only matches across albums when the album is left out', () => {
+    const tracks = [liked(makeTrack('a', 'Song')), liked(makeTrack('b', 'Song', { album: 'Greatest Hits' }))];
+    expect(findDuplicates(tracks)).toHaveLength(0);
+    expect(findDuplicates(tracks, { includeAlbum: false })).toHaveLength(1);
+  });
+
+  test('matches different metadata by ISRC when enabled', () => {
+    const tracks = [
+      liked(makeTrack('a', 'Song', { external_ids: { isrc: 'USABC0000001' } })),
+      liked(makeTrack('b', 'Song (Radio Edit)', { album: 'Single', external_ids: { isrc: 'USABC0000001' } }))
+    ];
+    expect(findDuplicates(tracks)).toHaveLength(0);
+    const groups = findDuplicates(tracks, { matchIsrc: true });
+    expect(groups).toHaveLength(1);
+    expect(groups[0].reasons).toEqual(['Same ISRC (USABC0000001)']);
+  });
+
+  test('explains each copy by the copy it matched', () => {
+    // c only shares an ISRC with b, and b only a remaster tag with a
+    const [group] = findDuplicates([
+      liked(makeTrack('a', 'Song')),
+      liked(makeTrack('b', 'Song - Remastered', { external_ids: { isrc: 'X1' } })),
+      liked(makeTrack('c', 'Different Title', { album: 'Other', external_ids: { isrc: 'X1' } }))
+    ], { matchIsrc: true });
+
+    const byId = Object.fromEntries(group.tracks.map(entry => [entry.track.id, entry.match]));
+    expect(byId.b).toMatchObject({ matchedWith: 'a', reasons: ['Version suffixes ignored ("Remastered")'] });
+    expect(byId.c).toMatchObject({ matchedWith: 'b', confidence: 0.95, reasons: ['Same ISRC (X1)'] });
+    expect(group.reasons).not.toContain('Title differs only in punctuation, case or accents');
+    expect(group.confidence).toBe(0.75);
+  });
+
+  test('keeps every copy in a tolerance group within the tolerance of each other', () => {
+    const groups = findDuplicates([
+      liked(makeTrack('a', 'Song', { duration_ms: 180000 })),
+      liked(makeTrack('b', 'Song!', { duration_ms: 183000 })),
+      liked(makeTrack('c', 'song?', { duration_ms: 186000 }))
+    ], { durationToleranceMs: 3000 });
+    expect(groups).toHaveLength(1);
+    expect(groups[0].tracks.map(entry => entry.track.id)).toEqual(['a', 'b']);
+  });
+
+  test('gives groups split by the duration tolerance their own keys', () => {
+    const groups = findDuplicates([
+      liked(makeTrack('a', 'Song', { duration_ms: 180000 })),
+      liked(makeTrack('b', 'Song!', { duration_ms: 181000 })),
+      liked(makeTrack('c', 'song?', { duration_ms: 300000 })),
+      liked(makeTrack('d', 'Song.', { duration_ms: 301000 }))
+    ], { durationToleranceMs: 3000 });
+    expect(groups).toHaveLength(2);
+    expect(groups.map(group => group.key)).toEqual(['song::artist::album@a', 'song::artist::album@c']);
+  });
+
+  test('only credits close durations in the match confidence', () => {
+    const close = findDuplicates([
+      liked(makeTrack('a', 'Song', { duration_ms: 180000 })),
+      liked(makeTrack('b', 'Song!', { duration_ms: 181000 }))
+    ], { durationToleranceMs: 3000 });
+    expect(close[0].reasons).toContain('Durations within 1.0s');
+
+    // c is the same track as a; b only matches c's duration, not a's
+    const far = findDuplicates([
+      liked(makeTrack('a', 'Song', { duration_ms: 180000, external_ids: { isrc: 'X1' } })),
+      liked(makeTrack('b', 'Song!', { duration_ms: 240000, external_ids: { isrc: 'X2' } })),
+      liked(makeTrack('c', 'song', { duration_ms: 240000, external_ids: { isrc: 'X1' } }))
+    ], { durationToleranceMs: 3000, matchIsrc: true });
+    expect(far).toHaveLength(1);
+    expect(far[0].count).toBe(3);
+    const byId = Object.fromEntries(far[0].tracks.map(entry => [entry.track.id, entry.match]));
+    expect(byId.c).toMatchObject({ matchedWith: 'a', confidence: 1 });
+    expect(byId.b).toMatchObject({ matchedWith: 'c', reasons: expect.arrayContaining(['Durations within 0.0s']) });
+    expect(far[0].reasons).not.toContain('Durations within 60.0s');
+  });
+});
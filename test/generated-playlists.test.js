@@ -0,0 +1,59 @@
+const { parsePlaylistBuilderOptions, buildPlaylists, syncGeneratedPlaylists } = require('../src/index');
+const { createTestUser, removeTestUser, setLikedSongs, makeTrack, fakePlaylists, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const liked = id => ({ track: makeTrack(id), added_at: '2023-06-01T00:00:00Z' });
+
+describe('generated playlists', () => {
+  let user;
+  let spotify;
+
+  beforeEach(async () => {
+    user = await createTestUser('generated-test');
+    spotify = fakePlaylists(user.userId);
+    Object.assign(user.spotifyApi, spotify.api);
+    setLikedSongs(user, [liked('a'), liked('b')]);
+  });
+
+  afterEach(async () => {
+    await removeTestUser(user);
+  });
+
+  const yearOptions = (extra = {}) => parsePlaylistBuilderOptions({ groupBy: 'year', groups: ['2023'], ...extra });
+  const playlistUris = () => [...spotify.playlists.values()][0].uris;
+
+  test('updates the same playlist, removing unliked songs but not tracks added by hand', async () => {
+    const [created] = await buildPlaylists(user, yearOptions());
+    expect(created).toMatchObject({ success: true, created: true, added: 2 });
+    expect(playlistUris()).toEqual(['spotify:track:a', 'spotify:track:b']);
+
+    // Added to the playlist in Spotify, then b is unliked and c liked
+    playlistUris().push('spotify:track:hand');
+    setLikedSongs(user, [liked('c'), liked('a')]);
+
+    const [synced] = await syncGeneratedPlaylists(user);
+    expect(synced).toMatchObject({ success: true, created: false, added: 1, removed: 1 });
+    expect(synced.removedTracks.map(track => track.id)).toEqual(['b']);
+    expect(playlistUris()).toEqual(['spotify:track:a', 'spotify:track:hand', 'spotify:track:c']);
+    expect(spotify.api.createPlaylist).toHaveBeenCalledTimes(1);
+  });
+
+  test('empties a playlist whose songs were all unliked', async () => {
+    await buildPlaylists(user, yearOptions());
+    setLikedSongs(user, [{ track: makeTrack('new'), added_at: '2024-02-01T00:00:00Z' }]);
+
+    const [synced] = await buildPlaylists(user, yearOptions());
+    expect(synced).toMatchObject({ success: true, removed: 2, trackCount: 0 });
+    expect(playlistUris()).toEqual([]);
+  });
+
+  test('only adds when removal is turned off', async () => {
+    await buildPlaylists(user, yearOptions({ removeMissing: false }));
+    setLikedSongs(user, [liked('a')]);
+
+    const [synced] = await syncGeneratedPlaylists(user);
+    expect(synced).toMatchObject({ added: 0, removed: 0 });
+    expect(playlistUris()).toEqual(['spotify:track:a', 'spotify:track:b']);
+  });
+});
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { app, getUserSession } = require('../src/index');
+
+// A session with its own cache directory and a stubbed Spotify client; pass
+// jest.fn()s for the client methods a test expects to be called
+async function createTestUser(name, api = {}) {
+  const user = getUserSession(`${name}-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  user.cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), `${name}-`));
+  user.spotifyApi = {
+    getRefreshToken: () => null,
+    getAccessToken: () => 'test-token',
+    ...api
+  };
+  return user;
+}
+
+async function removeTestUser(user) {
+  await fs.rm(user.cacheDir, { recursive: true, force: true });
+}
+
+// A liked songs cache that counts as just synced, so no library request is made
+function setLikedSongs(user, items) {
+  const now = new Date().toISOString();
+  user.likedSongsCache = {
+    meta: { userId: user.userId, lastSyncAt: now, lastFullSyncAt: now, total: items.length },
+    tracks: items
+  };
+}
+
+// The album is a name, or a whole album object
+function makeTrack(id, name = `Track ${id}`, { artists = ['Artist'], album = 'Album', ...extra } = {}) {
+  return {
+    id,
+    uri: `spotify:track:${id}`,
+    name,
+    artists: artists.map(artist => ({ name: artist })),
+    album: typeof album === 'string' ? { id: `album-${album}`, name: album, album_type: 'album', release_date: '2000-01-01' } : album,
+    duration_ms: 200000,
+    explicit: false,
+    popularity: 50,
+    external_ids: {},
+    ...extra
+  };
+}
+
+// Just enough of the Spotify playlist endpoints, kept in memory
+function fakePlaylists(ownerId) {
+  const playlists = new Map();
+  const trackOf = uri => makeTrack(uri.split(':').pop());
+  const page = (list, offset, limit) => ({ body: { items: list.slice(offset, offset + limit), total: list.length } });
+
+  return {
+    playlists,
+    api: {
+      getUserPlaylists: jest.fn(({ offset, limit }) => Promise.resolve(page([...playlists.values()].map(playlist => ({
+        ...playlist,
+        owner: { id: ownerId },
+        tracks: { total: playlist.uris.length }
+      })), offset, limit))),
+      getPlaylist: jest.fn(id => Promise.resolve({
+        body: { id, name: playlists.get(id).name, collaborative: false, owner: { id: ownerId }, tracks: { total: playlists.get(id).uris.length } }
+      })),
+      getPlaylistTracks: jest.fn((id, { offset, limit }) => Promise.resolve(page(
+        playlists.get(id).uris.map(uri => ({ added_at: '2024-01-01T00:00:00Z', track: trackOf(uri) })), offset, limit
+      ))),
+      createPlaylist: jest.fn((name, { description, public: isPublic }) => {
+        const id = `playlist${playlists.size + 1}`;
+        playlists.set(id, { id, name, description, public: isPublic, collaborative: false, uris: [] });
+        return Promise.resolve({ body: playlists.get(id) });
+      }),
+      changePlaylistDetails: jest.fn((id, details) => {
+        Object.assign(playlists.get(id), details);
+        return Promise.resolve({ body: {} });
+      }),
+      addTracksToPlaylist: jest.fn((id, uris) => {
+        playlists.get(id).uris.push(...uris);
+        return Promise.resolve({ body: {} });
+      }),
+      removeTracksFromPlaylist: jest.fn((id, tracks) => {
+        const removed = new Set(tracks.map(track => track.uri));
+        playlists.get(id).uris = playlists.get(id).uris.filter(uri => !removed.has(uri));
+        return Promise.resolve({ body: {} });
+      })
+    }
+  };
+}
+
+// Serve the app on a free port and make requests as the given user
+async function startTestServer() {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (user, method, url, body) => {
+    const signed = `${user.userId}.${crypto.createHmac('sha256', process.env.SESSION_SECRET).update(user.userId).digest('base64').replace(/=+$/, '')}`;
+    const response = await fetch(base + url, {
+      method,
+      headers: { 'Content-Type': 'application/json', Cookie: `spotify_user=${encodeURIComponent(`s:${signed}`)}` },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  return { request, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+// The server logs every step; keep test output to the results
+function silenceLogs() {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  afterAll(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+}
+
+module.exports = { createTestUser, removeTestUser, setLikedSongs, makeTrack, fakePlaylists, startTestServer, silenceLogs };
@@ -0,0 +1,159 @@
+const { parseImportRows, importTracks, getStoredImport, saveImportedTracks } = require('../src/index');
+const { createTestUser, removeTestUser, setLikedSongs, makeTrack, startTestServer, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const liked = track => ({ track, added_at: '2024-01-01T00:00:00Z' });
+const searchResponse = tracks => ({ body: { tracks: { items: tracks } } });
+
+describe('parseImportRows', () => {
+  test('reads CSV columns by their usual names', () => {
+    const rows = parseImportRows('Track Name,Artist Name,Album,ISRC\n"Song, Part 2",Artist,Album,us-abc-00-00001\n', 'csv');
+    expect(rows).toEqual([
+      { row: 1, title: 'Song, Part 2', artist: 'Artist', album: 'Album', isrc: 'USABC0000001', spotifyId: null }
+    ]);
+  });
+
+  test('reads a JSON tracks array and Spotify links', () => {
+    const rows = parseImportRows(JSON.stringify({
+      tracks: [{ title: 'Song', artist: 'Artist', url: 'https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC' }]
+    }));
+    expect(rows[0]).toMatchObject({ title: 'Song', artist: 'Artist', spotifyId: '4uLU6hMCjMI75M1A2tKUQC' });
+  });
+
+  test('rejects a CSV without a usable header', () => {
+    expect(() => parseImportRows('foo,bar\n1,2', 'csv')).toThrow(/header row/);
+  });
+});
+
+describe('import', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await createTestUser('import-test', {
+      searchTracks: jest.fn(),
+      addToMySavedTracks: jest.fn().mockResolvedValue({ body: {} }),
+      createPlaylist: jest.fn().mockResolvedValue({ body: { id: 'new-playlist' } }),
+      addTracksToPlaylist: jest.fn().mockResolvedValue({ body: {} })
+    });
+    setLikedSongs(user, [
+      liked(makeTrack('liked1', 'Song One', { external_ids: { isrc: 'ISRC00000001' } })),
+      liked(makeTrack('liked2', 'Song Two')),
+      liked(makeTrack('liked3', 'Song Two', { album: 'Live At Home' }))
+    ]);
+    user.accessToken = 'test-token';
+  });
+
+  afterEach(async () => {
+    await removeTestUser(user);
+  });
+
+  test('matches rows in the library by ISRC and by title and artist', async () => {
+    const content = 'title,artist,album,isrc\nSomething Else,Nobody,,ISRC00000001\nsong one,artist,,\n';
+    const report = await importTracks(user, { content, format: 'csv', search: false });
+
+    expect(report.counts).toMatchObject({ total: 2, matched: 2, ambiguous: 0, missing: 0, inLibrary: 2 });
+    expect(report.rows.map(row => [row.matchedBy, row.track.id])).toEqual([['isrc', 'liked1'], ['exact', 'liked1']]);
+    expect(user.spotifyApi.searchTracks).not.toHaveBeenCalled();
+  });
+
+  test('marks a row ambiguous when it fits different recordings', async () => {
+    const report = await importTracks(user, { content: 'title,artist\nSong Two,Artist\n', format: 'csv', search: false });
+
+    expect(report.rows[0].status).toBe('ambiguous');
+    expect(report.rows[0].track).toBeNull();
+    expect(report.rows[0].candidates.map(candidate => candidate.id).sort()).toEqual(['liked2', 'liked3']);
+  });
+
+  test('searches Spotify for rows outside the library', async () => {
+    user.spotifyApi.searchTracks.mockImplementation(query => Promise.resolve(searchResponse(
+      query.includes('New Song') ? [makeTrack('found1', 'New Song', { artists: ['Band'] }), makeTrack('other', 'Unrelated', { artists: ['Band'] })] : []
+    )));
+
+    const content = 'title,artist\nNew Song,Band\nLost Song,Nobody\n';
+    const report = await importTracks(user, { content, format: 'csv' });
+
+    expect(user.spotifyApi.searchTracks).toHaveBeenCalledWith('track:"New Song" artist:"Band"', { limit: 10 });
+    expect(report.rows[0]).toMatchObject({ status: 'matched', foundIn: 'spotify', matchedBy: 'exact' });
+    expect(report.rows[0].track).toMatchObject({ id: 'found1', inLibrary: false });
+    expect(report.rows[1]).toMatchObject({ status: 'missing', foundIn: null, track: null });
+    expect(report.counts).toMatchObject({ matched: 1, missing: 1, inLibrary: 0, fromSearch: 1 });
+  });
+
+  test('keeps a row missing when the search fails', async () => {
+    user.spotifyApi.searchTracks.mockRejectedValue(Object.assign(new Error('Forbidden'), { statusCode: 403 }));
+
+    const report = await importTracks(user, { content: 'title,artist\nNew Song,Band\n', format: 'csv' });
+
+    expect(report.rows[0].status).toBe('missing');
+    expect(report.rows[0].error).toMatch(/Search failed/);
+  });
+
+  test('saves new matches and picks to Liked Songs and marks the liked cache stale', async () => {
+    user.spotifyApi.searchTracks.mockResolvedValue(searchResponse([makeTrack('found1', 'New Song', { artists: ['Band'] })]));
+    const report = await importTracks(user, { content: 'title,artist\nNew Song,Band\nSong One,Artist\nSong Two,Artist\n', format: 'csv' });
+    expect(getStoredImport(user, report.id)).toMatchObject({ id: report.id });
+
+    const result = await saveImportedTracks(user, report, { target: 'liked', picks: { 3: 'liked3' } });
+
+    expect(result).toMatchObject({ saved: 1, alreadyLiked: 2 });
+    expect(user.spotifyApi.addToMySavedTracks).toHaveBeenCalledWith(['found1']);
+    expect(user.likedSongsCache.meta.lastSyncAt).toBe(new Date(0).toISOString());
+  });
+
+  test('creates a playlist with the matched tracks', async () => {
+    const report = await importTracks(user, { content: 'title,artist\nSong One,Artist\n', format: 'csv', search: false, name: 'mix.csv' });
+
+    const result = await saveImportedTracks(user, report, { target: 'playlist', playlistName: ' Road Trip ', public: true });
+
+    expect(result).toMatchObject({ saved: 1, playlistId: 'new-playlist', playlistName: 'Road Trip' });
+    expect(user.spotifyApi.createPlaylist).toHaveBeenCalledWith('Road Trip', expect.objectContaining({ public: true }));
+    expect(user.spotifyApi.addTracksToPlaylist).toHaveBeenCalledWith('new-playlist', ['spotify:track:liked1']);
+    expect(user.spotifyApi.addToMySavedTracks).not.toHaveBeenCalled();
+  });
+
+  test('rejects a pick that is not one of the row candidates', async () => {
+    const report = await importTracks(user, { content: 'title,artist\nSong Two,Artist\n', format: 'csv', search: false });
+
+    await expect(saveImportedTracks(user, report, { picks: { 1: 'liked1' } })).rejects.toThrow(/not one of its candidates/);
+  });
+
+  describe('routes', () => {
+    let server;
+
+    beforeAll(async () => {
+      server = await startTestServer();
+    });
+
+    afterAll(async () => {
+      await server.close();
+    });
+
+    test.each([
+      [{ content: 42 }],
+      [{ content: 'title\nSong', search: 'yes' }],
+      [{ content: 'title\nSong', name: ['a'] }],
+      [{ content: 'title\nSong', format: {} }]
+    ])('rejects import options of the wrong type: %j', async body => {
+      const response = await server.request(user, 'POST', '/api/import', body);
+      expect(response.status).toBe(400);
+      expect(user.spotifyApi.searchTracks).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      [{ target: 'liked', picks: 'all' }],
+      [{ target: 'liked', picks: { 1: 5 } }],
+      [{ target: 'playlist', public: 'true' }],
+      [{ target: 'playlist', playlistName: 7 }],
+      [{ target: 'cloud' }]
+    ])('rejects save options of the wrong type: %j', async body => {
+      const imported = await server.request(user, 'POST', '/api/import', { content: 'title,artist\nSong One,Artist\n', search: false });
+      expect(imported.status).toBe(200);
+
+      const response = await server.request(user, 'POST', `/api/import/${imported.body.id}/save`, body);
+      expect(response.status).toBe(400);
+      expect(user.spotifyApi.addToMySavedTracks).not.toHaveBeenCalled();
+      expect(user.spotifyApi.createPlaylist).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const { getAllLikedSongs } = require('../src/index');
+const { createTestUser, removeTestUser, makeTrack, startTestServer, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+// A getMySavedTracks stub whose pages are answered one at a time by release()
+function pagedLibrary(size) {
+  const items = Array.from({ length: size }, (_, i) => ({ track: makeTrack(`t${i}`), added_at: new Date(Date.now() - i * 1000).toISOString() }));
+  const pending = [];
+  const getMySavedTracks = jest.fn(({ limit, offset }) => new Promise(resolve => {
+    pending.push(() => resolve({ body: { items: items.slice(offset, offset + limit), total: items.length } }));
+  }));
+  const nextRequest = async () => {
+    while (pending.length === 0) await new Promise(resolve => setImmediate(resolve));
+  };
+  const release = async () => {
+    await nextRequest();
+    pending.shift()();
+  };
+  return { getMySavedTracks, nextRequest, release };
+}
+
+const fakeJob = () => ({ cancelRequested: false, cancelHandlers: new Set(), checkpoint: {}, listeners: new Set(), progress: null });
+
+describe('shared liked songs sync', () => {
+  let user;
+  let library;
+
+  beforeEach(async () => {
+    library = pagedLibrary(120);
+    user = await createTestUser('jobs-test', { getMySavedTracks: library.getMySavedTracks });
+  });
+
+  afterEach(async () => {
+    await removeTestUser(user);
+  });
+
+  test('reports progress to every waiting job and lets each stop waiting on its own', async () => {
+    const first = fakeJob();
+    const second = fakeJob();
+    const firstWait = getAllLikedSongs(user, { job: first });
+    const secondWait = getAllLikedSongs(user, { job: second });
+
+    await library.release();
+    await library.release();
+    await library.nextRequest();
+    expect(second.progress.message).toMatch(/Fetching your Liked Songs \(100\/120\)/);
+    expect(first.progress).toEqual(second.progress);
+
+    // Cancelling the job that started the sync leaves it running for the other
+    first.cancelRequested = true;
+    first.cancelHandlers.forEach(handler => handler());
+    await expect(firstWait).rejects.toMatchObject({ code: 'JOB_CANCELLED' });
+
+    await library.release();
+    expect(await secondWait).toHaveLength(120);
+    expect(library.getMySavedTracks).toHaveBeenCalledTimes(3);
+  });
+
+  test('starts a full sync when one is asked for during a delta sync', async () => {
+    const now = new Date().toISOString();
+    user.likedSongsCache = {
+      meta: { userId: user.userId, lastSyncAt: new Date(0).toISOString(), lastFullSyncAt: now, total: 0 },
+      tracks: []
+    };
+
+    const delta = getAllLikedSongs(user);
+    const full = getAllLikedSongs(user, { forceFullSync: true });
+    for (let page = 0; page < 6; page++) {
+      await library.release();
+    }
+
+    expect(await delta).toHaveLength(120);
+    expect(await full).toHaveLength(120);
+    expect(library.getMySavedTracks).toHaveBeenCalledTimes(6);
+    expect(user.likedSongsCache.meta.lastFullSyncAt > now).toBe(true);
+  });
+});
+
+describe('/api/jobs', () => {
+  let server;
+  let user;
+
+  beforeAll(async () => {
+    server = await startTestServer();
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    user = await createTestUser('jobs-api-test', {
+      getMySavedTracks: jest.fn(() => Promise.resolve({ body: { items: [{ track: makeTrack('a'), added_at: new Date().toISOString() }], total: 1 } }))
+    });
+    user.accessToken = 'test-token';
+  });
+
+  afterEach(async () => {
+    await removeTestUser(user);
+  });
+
+  test.each(['constructor', 'toString', '__proto__', undefined])('rejects the job type %s', async type => {
+    const response = await server.request(user, 'POST', '/api/jobs', { type });
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/Unknown job type/);
+  });
+
+  test('runs a job in the background and reports its result', async () => {
+    const started = await server.request(user, 'POST', '/api/jobs', { type: 'sync-liked-songs', params: null });
+    expect(started.status).toBe(202);
+
+    let job = started.body.job;
+    while (job.status === 'running') {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      job = (await server.request(user, 'GET', `/api/jobs/${job.id}`)).body.job;
+    }
+    expect(job).toMatchObject({ status: 'completed', result: { totalTracks: 1 } });
+  });
+});
@@ -0,0 +1,45 @@
+const { findDuplicates, chooseCopyToKeep } = require('../src/index');
+const { makeTrack } = require('./helpers');
+
+describe('chooseCopyToKeep', () => {
+  const [group] = findDuplicates([
+    { track: makeTrack('new', 'Song', { explicit: true, popularity: 10 }), added_at: '2024-03-01T00:00:00Z' },
+    {
+      track: makeTrack('old', 'Song', { popularity: 80, album: { name: 'Album', album_type: 'compilation', release_date: '2010-01-01' } }),
+      added_at: '2020-01-01T00:00:00Z'
+    },
+    {
+      track: makeTrack('single', 'Song', { album: { name: 'Album', album_type: 'single', release_date: '1999-01-01' } }),
+      added_at: '2022-01-01T00:00:00Z'
+    }
+  ]);
+
+  test.each([
+    ['newest', 'new'],
+    ['oldest', 'old'],
+    ['original', 'new'],
+    ['explicit', 'new'],
+    ['clean', 'single'],
+    ['popularity', 'old']
+  ])('%s keeps %s', (policy, expected) => {
+    expect(chooseCopyToKeep(group, policy).keep.track.id).toBe(expected);
+  });
+
+  test('explains the choice', () => {
+    expect(chooseCopyToKeep(group, 'popularity').reason).toBe('Most popular copy (popularity 80)');
+  });
+
+  test('a manual pick wins over the policy', () => {
+    const result = chooseCopyToKeep(group, 'newest', { [group.key]: 'old' });
+    expect(result.keep.track.id).toBe('old');
+    expect(result.reason).toBe('Picked manually');
+  });
+
+  test('a pick for another group is ignored', () => {
+    expect(chooseCopyToKeep(group, 'newest', { 'other::group': 'old' }).keep.track.id).toBe('new');
+  });
+
+  test('manual mode without a pick keeps every copy', () => {
+    expect(chooseCopyToKeep(group, 'manual')).toBeNull();
+  });
+});
@@ -0,0 +1,81 @@
+const { getAllLikedSongs } = require('../src/index');
+const { createTestUser, removeTestUser, makeTrack, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const HOUR = 60 * 60 * 1000;
+const saved = (id, addedAt) => ({ track: makeTrack(id), added_at: addedAt });
+const ago = ms => new Date(Date.now() - ms).toISOString();
+
+describe('getAllLikedSongs', () => {
+  let user;
+  let library;
+
+  beforeEach(async () => {
+    library = [];
+    user = await createTestUser('liked-sync-test', {
+      getMySavedTracks: jest.fn(({ limit, offset }) => Promise.resolve({
+        body: { items: library.slice(offset, offset + limit), total: library.length }
+      }))
+    });
+  });
+
+  afterEach(async () => {
+    await removeTestUser(user);
+  });
+
+  const cacheOf = (tracks, { lastSyncAt, lastFullSyncAt }) => {
+    user.likedSongsCache = { meta: { userId: user.userId, lastSyncAt, lastFullSyncAt, total: tracks.length }, tracks };
+  };
+
+  test('fetches the whole library the first time', async () => {
+    library = Array.from({ length: 120 }, (_, i) => saved(`t${i}`, ago(i * HOUR)));
+
+    const tracks = await getAllLikedSongs(user);
+
+    expect(tracks).toHaveLength(120);
+    expect(user.spotifyApi.getMySavedTracks).toHaveBeenCalledTimes(3);
+    expect(user.likedSongsCache.meta.total).toBe(120);
+  });
+
+  test('uses a recently synced cache without asking Spotify', async () => {
+    cacheOf([saved('a', ago(HOUR))], { lastSyncAt: ago(60 * 1000), lastFullSyncAt: ago(HOUR) });
+
+    expect((await getAllLikedSongs(user)).map(item => item.track.id)).toEqual(['a']);
+    expect(user.spotifyApi.getMySavedTracks).not.toHaveBeenCalled();
+  });
+
+  test('only fetches songs liked since the last sync', async () => {
+    const cached = [saved('a', ago(2 * HOUR)), saved('b', ago(3 * HOUR))];
+    cacheOf(cached, { lastSyncAt: ago(HOUR), lastFullSyncAt: ago(HOUR) });
+    library = [saved('new', ago(60 * 1000)), ...cached];
+
+    const tracks = await getAllLikedSongs(user);
+
+    expect(tracks.map(item => item.track.id)).toEqual(['new', 'a', 'b']);
+    expect(user.spotifyApi.getMySavedTracks).toHaveBeenCalledTimes(1);
+    expect(user.likedSongsCache.meta.lastSyncAt > ago(60 * 1000)).toBe(true);
+  });
+
+  test('reconciles in full when songs were removed elsewhere', async () => {
+    const cached = [saved('a', ago(2 * HOUR)), saved('gone', ago(3 * HOUR)), saved('b', ago(4 * HOUR))];
+    cacheOf(cached, { lastSyncAt: ago(HOUR), lastFullSyncAt: ago(HOUR) });
+    library = [saved('new', ago(60 * 1000)), cached[0], cached[2]];
+
+    const tracks = await getAllLikedSongs(user);
+
+    expect(tracks.map(item => item.track.id)).toEqual(['new', 'a', 'b']);
+    // The delta page, then the full fetch
+    expect(user.spotifyApi.getMySavedTracks).toHaveBeenCalledTimes(2);
+  });
+
+  test('runs a full sync once a day and when asked to', async () => {
+    cacheOf([saved('a', ago(2 * HOUR))], { lastSyncAt: ago(HOUR), lastFullSyncAt: ago(25 * HOUR) });
+    library = [saved('b', ago(HOUR))];
+
+    expect((await getAllLikedSongs(user)).map(item => item.track.id)).toEqual(['b']);
+
+    library = [saved('c', ago(60 * 1000))];
+    expect((await getAllLikedSongs(user, { forceFullSync: true })).map(item => item.track.id)).toEqual(['c']);
+  });
+});
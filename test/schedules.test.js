@@ -0,0 +1,193 @@
+const { readHistory, parseCronExpression, nextCronRun, readSchedules, saveSchedule, runSchedule } = require('../src/index');
+const { createTestUser, removeTestUser, setLikedSongs, makeTrack, startTestServer, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+// Schedules run in server time, so the dates here are local too
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+describe('parseCronExpression', () => {
+  test('expands lists, ranges and steps', () => {
+    const cron = parseCronExpression('0,30 9-11 */10 * 1-5');
+    expect([...cron.minutes.values]).toEqual([0, 30]);
+    expect([...cron.hours.values]).toEqual([9, 10, 11]);
+    expect([...cron.days.values]).toEqual([1, 11, 21, 31]);
+    expect(cron.months.any).toBe(true);
+    expect([...cron.weekdays.values]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('treats 7 as Sunday', () => {
+    expect([...parseCronExpression('0 0 * * 7').weekdays.values]).toEqual([0]);
+  });
+
+  test.each([
+    ['0 3 * *', /five fields/],
+    ['61 * * * *', /out of range/],
+    ['0 5-2 * * *', /out of range/],
+    ['0 3 * * mon', /Invalid day of week/],
+    ['constructor', /five fields/]
+  ])('rejects "%s"', (expression, message) => {
+    expect(() => parseCronExpression(expression)).toThrow(message);
+    expect(() => parseCronExpression(expression)).toThrow(expect.objectContaining({ code: 'INVALID_SCHEDULE' }));
+  });
+});
+
+describe('nextCronRun', () => {
+  test('finds the next matching minute, never the current one', () => {
+    expect(nextCronRun('30 4 * * *', at(2024, 5, 1, 4, 30))).toEqual(at(2024, 5, 2, 4, 30));
+    expect(nextCronRun('30 4 * * *', at(2024, 5, 1, 4, 29))).toEqual(at(2024, 5, 1, 4, 30));
+    expect(nextCronRun('*/15 * * * *', at(2024, 5, 1, 23, 50))).toEqual(at(2024, 5, 2, 0, 0));
+  });
+
+  test('expands the aliases', () => {
+    expect(nextCronRun('@daily', at(2024, 5, 1, 12))).toEqual(at(2024, 5, 2, 3));
+    expect(nextCronRun('@hourly', at(2024, 5, 1, 12, 5))).toEqual(at(2024, 5, 1, 13));
+    expect(nextCronRun('@monthly', at(2024, 12, 15))).toEqual(at(2025, 1, 1, 3));
+    // 2024-05-01 is a Wednesday
+    expect(nextCronRun('@weekly', at(2024, 5, 1))).toEqual(at(2024, 5, 5, 3));
+  });
+
+  test('runs on either the day of month or the weekday when both are set', () => {
+    // The 13th or any Friday: Friday 2024-05-03 comes first
+    expect(nextCronRun('0 0 13 * 5', at(2024, 5, 1))).toEqual(at(2024, 5, 3));
+    expect(nextCronRun('0 0 13 * 5', at(2024, 5, 10, 1))).toEqual(at(2024, 5, 13));
+  });
+
+  test('skips months without the day', () => {
+    expect(nextCronRun('0 0 31 * *', at(2024, 4, 1))).toEqual(at(2024, 5, 31));
+    expect(nextCronRun('0 0 29 2 *', at(2024, 3, 1))).toEqual(at(2028, 2, 29));
+  });
+
+  test('rejects schedules that never run', () => {
+    expect(() => nextCronRun('0 0 31 2 *', at(2024, 1, 1))).toThrow(/never runs/);
+  });
+});
+
+describe('scheduled runs', () => {
+  let user;
+  let releaseLibrary;
+
+  beforeEach(async () => {
+    user = await createTestUser('schedule-test', {
+      removeFromMySavedTracks: jest.fn().mockResolvedValue({ body: {} }),
+      // Held until the test releases it, to keep a run or job going
+      getMySavedTracks: jest.fn(() => new Promise(resolve => {
+        releaseLibrary = () => resolve({ body: { items: [], total: 0 } });
+      }))
+    });
+    user.accessToken = 'test-token';
+    setLikedSongs(user, [
+      { track: makeTrack('old', 'Song'), added_at: '2023-01-01T00:00:00Z' },
+      { track: makeTrack('new', 'Song'), added_at: '2024-01-01T00:00:00Z' }
+    ]);
+  });
+
+  afterEach(async () => {
+    await removeTestUser(user);
+  });
+
+  const dedupe = (extra = {}) => saveSchedule(user, null, {
+    operation: 'remove-duplicates',
+    cron: '@daily',
+    params: { keepPolicy: 'newest' },
+    ...extra
+  });
+
+  test.each(['constructor', 'toString', '__proto__', undefined])('rejects the operation %s', async operation => {
+    await expect(saveSchedule(user, null, { operation, cron: '@daily' })).rejects.toMatchObject({ code: 'INVALID_SCHEDULE' });
+  });
+
+  test('uses the operation defaults for null params', async () => {
+    const schedule = await saveSchedule(user, null, { operation: 'refresh-cache', cron: '@daily', params: null });
+    expect(schedule.params).toEqual({ full: false });
+    await expect(saveSchedule(user, null, { operation: 'refresh-cache', cron: '@daily', params: 'full' }))
+      .rejects.toMatchObject({ code: 'INVALID_SCHEDULE' });
+  });
+
+  test('reports what a dry run would do without changing the library', async () => {
+    const schedule = await dedupe({ dryRun: true });
+
+    const report = await runSchedule(user, schedule.id, 'manual');
+
+    expect(report).toMatchObject({ trigger: 'manual', dryRun: true, status: 'succeeded' });
+    expect(report.message).toMatch(/^Would remove 1 duplicate tracks/);
+    expect(user.spotifyApi.removeFromMySavedTracks).not.toHaveBeenCalled();
+
+    const [stored] = Object.values(await readSchedules(user));
+    expect(stored.runs).toEqual([report]);
+    expect(stored.lastRunAt).toBe(report.finishedAt);
+    expect(new Date(stored.nextRunAt) > new Date()).toBe(true);
+  });
+
+  test('removes duplicates and journals the removal', async () => {
+    const report = await runSchedule(user, (await dedupe()).id);
+
+    expect(report.status).toBe('succeeded');
+    expect(user.spotifyApi.removeFromMySavedTracks).toHaveBeenCalledWith(['old']);
+    const [entry] = await readHistory(user);
+    expect(report.details.operationId).toBe(entry.id);
+  });
+
+  test('reports a failed run when the session cannot be restored', async () => {
+    user.accessToken = null;
+
+    const report = await runSchedule(user, (await dedupe()).id);
+
+    expect(report).toMatchObject({ status: 'failed', message: expect.stringMatching(/log in again/) });
+    expect(user.spotifyApi.removeFromMySavedTracks).not.toHaveBeenCalled();
+  });
+
+  describe('library lock', () => {
+    let server;
+
+    beforeAll(async () => {
+      server = await startTestServer();
+    });
+
+    afterAll(async () => {
+      await server.close();
+    });
+
+    test('refuses jobs that change the library while a run is going', async () => {
+      const schedule = await saveSchedule(user, null, { operation: 'refresh-cache', cron: '@daily', params: { full: true } });
+      const run = runSchedule(user, schedule.id);
+      while (!user.spotifyApi.getMySavedTracks.mock.calls.length) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+
+      const refused = await server.request(user, 'POST', '/api/jobs', { type: 'sync-generated-playlists' });
+      expect(refused.status).toBe(409);
+      expect(refused.body.error).toMatch(/"Refresh the liked songs cache" is still running/);
+      // Jobs that only read go ahead
+      expect((await server.request(user, 'POST', '/api/jobs', { type: 'year-analysis' })).status).toBe(202);
+
+      releaseLibrary();
+      expect((await run).status).toBe('succeeded');
+      expect((await server.request(user, 'POST', '/api/jobs', { type: 'sync-generated-playlists' })).status).toBe(202);
+    });
+
+    test('makes runs wait for a job that changes the library', async () => {
+      user.likedSongsCache = null;
+      const started = await server.request(user, 'POST', '/api/jobs', { type: 'build-playlists', params: { groupBy: 'year' } });
+      expect(started.status).toBe(202);
+
+      const schedule = await dedupe();
+      await expect(runSchedule(user, schedule.id)).rejects.toMatchObject({ code: 'LIBRARY_BUSY' });
+      const listed = await server.request(user, 'GET', '/api/schedules');
+      expect(listed.body.running).toMatchObject({ name: 'Build playlists', scheduleId: null });
+
+      while (!user.spotifyApi.getMySavedTracks.mock.calls.length) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      releaseLibrary();
+      let job = started.body.job;
+      while (job.status === 'running') {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        job = (await server.request(user, 'GET', `/api/jobs/${job.id}`)).body.job;
+      }
+
+      expect((await runSchedule(user, schedule.id)).status).toBe('succeeded');
+      expect((await server.request(user, 'GET', '/api/schedules')).body.running).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const { saveRefreshToken, restoreSession } = require('../src/index');
+const { createTestUser, removeTestUser, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+describe('restoreSession', () => {
+  let user;
+  let refreshToken;
+
+  beforeEach(async () => {
+    refreshToken = null;
+    user = await createTestUser('session-test', {
+      getRefreshToken: () => refreshToken,
+      setRefreshToken: token => { refreshToken = token; },
+      resetRefreshToken: () => { refreshToken = null; },
+      setAccessToken: jest.fn(),
+      resetAccessToken: jest.fn(),
+      refreshAccessToken: jest.fn()
+    });
+    await saveRefreshToken(user, 'saved-refresh-token');
+  });
+
+  afterEach(async () => {
+    await removeTestUser(user);
+  });
+
+  test('refreshes the access token from the saved refresh token', async () => {
+    user.spotifyApi.refreshAccessToken.mockResolvedValue({ body: { access_token: 'fresh', expires_in: 3600 } });
+
+    expect(await restoreSession(user)).toBe(true);
+    expect(refreshToken).toBe('saved-refresh-token');
+    expect(user.accessToken).toBe('fresh');
+  });
+
+  test('does not ask Spotify again for a while after a failed refresh', async () => {
+    user.spotifyApi.refreshAccessToken.mockRejectedValue(Object.assign(new Error('getaddrinfo EAI_AGAIN'), { code: 'EAI_AGAIN' }));
+
+    expect(await restoreSession(user)).toBe(false);
+    expect(await restoreSession(user)).toBe(false);
+    expect(user.spotifyApi.refreshAccessToken).toHaveBeenCalledTimes(1);
+    // A network error keeps the refresh token for the next attempt
+    expect(refreshToken).toBe('saved-refresh-token');
+
+    user.sessionRestoreFailedAt = Date.now() - 10 * 60 * 1000;
+    user.spotifyApi.refreshAccessToken.mockResolvedValue({ body: { access_token: 'fresh', expires_in: 3600 } });
+    expect(await restoreSession(user)).toBe(true);
+    expect(user.sessionRestoreFailedAt).toBeNull();
+  });
+
+  test('forgets a refresh token that Spotify rejects', async () => {
+    user.spotifyApi.refreshAccessToken.mockRejectedValue(Object.assign(new Error('invalid_grant'), { statusCode: 400 }));
+
+    expect(await restoreSession(user)).toBe(false);
+    expect(refreshToken).toBeNull();
+    user.sessionRestoreFailedAt = null;
+    expect(await restoreSession(user)).toBe(false);
+    expect(user.spotifyApi.refreshAccessToken).toHaveBeenCalledTimes(1);
+  });
+});
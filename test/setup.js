@@ -0,0 +1,2 @@
+// Known before the server loads, so tests can sign session cookies
+process.env.SESSION_SECRET = 'test-session-secret';
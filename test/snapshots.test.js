@@ -0,0 +1,97 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { saveLibrarySnapshot, readSnapshotIndex, diffSnapshots } = require('../src/index');
+const { createTestUser, removeTestUser, makeTrack, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const track = (id, name, extra = {}) => ({
+  id,
+  name,
+  artists: ['Artist'],
+  album: 'Album',
+  isrc: null,
+  addedAt: '2024-01-01T00:00:00Z',
+  ...extra
+});
+
+describe('snapshots', () => {
+  let user;
+
+  async function writeSnapshot(id, takenAt, tracks) {
+    const dir = path.join(user.cacheDir, 'snapshots');
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({ id, takenAt, total: tracks.length, tracks }));
+  }
+
+  beforeEach(async () => {
+    user = await createTestUser('snapshot-test');
+
+    await writeSnapshot('2024-05-01', '2024-05-01T10:00:00.000Z', [
+      track('keep', 'Kept Song'),
+      track('gone', 'Gone Song'),
+      track('cleaned', 'Cleaned Song'),
+      track('old-release', 'Swapped Song', { isrc: 'ISRC00000001' }),
+      track('old-title', 'Renamed Release')
+    ]);
+    await writeSnapshot('2024-05-02', '2024-05-02T10:00:00.000Z', [
+      track('keep', 'Kept Song'),
+      track('new', 'New Song'),
+      track('new-release', 'Swapped Song (Remastered)', { isrc: 'ISRC00000001' }),
+      track('new-title', 'Renamed Release - 2011 Remaster', { album: 'Album (Deluxe)' })
+    ]);
+  });
+
+  afterEach(async () => {
+    await removeTestUser(user);
+  });
+
+  test('lists added, removed and replaced tracks', async () => {
+    const diff = await diffSnapshots(user, '2024-05-01', '2024-05-02');
+
+    expect(diff.from).toEqual({ id: '2024-05-01', takenAt: '2024-05-01T10:00:00.000Z', total: 5 });
+    expect(diff.to.total).toBe(4);
+    expect(diff.counts).toEqual({ added: 1, removed: 2, replaced: 2 });
+    expect(diff.added.map(item => item.id)).toEqual(['new']);
+    expect(diff.removed.map(item => item.id)).toEqual(['gone', 'cleaned']);
+    expect(diff.replaced.map(pair => [pair.from.id, pair.to.id])).toEqual([
+      ['old-release', 'new-release'],
+      ['old-title', 'new-title']
+    ]);
+  });
+
+  test('credits removals to the cleanups recorded in history between the snapshots', async () => {
+    await fs.writeFile(path.join(user.cacheDir, 'history.json'), JSON.stringify([
+      { id: 'op-1', timestamp: '2024-05-01T12:00:00.000Z', description: 'Removed duplicates', tracks: [{ id: 'cleaned' }] },
+      { id: 'op-2', timestamp: '2024-05-01T13:00:00.000Z', description: 'Undone cleanup', undoneAt: '2024-05-01T14:00:00.000Z', tracks: [{ id: 'gone' }] },
+      { id: 'op-3', timestamp: '2024-04-01T12:00:00.000Z', description: 'Earlier cleanup', tracks: [{ id: 'gone' }] }
+    ]));
+
+    const diff = await diffSnapshots(user, '2024-05-01', '2024-05-02');
+    const removedBy = Object.fromEntries(diff.removed.map(item => [item.id, item.removedBy]));
+
+    expect(removedBy.cleaned).toEqual({ operationId: 'op-1', description: 'Removed duplicates' });
+    expect(removedBy.gone).toBeNull();
+  });
+
+  test('fails for a missing or malformed snapshot id', async () => {
+    await expect(diffSnapshots(user, '2024-05-01', '2024-06-01')).rejects.toMatchObject({ code: 'SNAPSHOT_NOT_FOUND' });
+    await expect(diffSnapshots(user, '../history', '2024-05-02')).rejects.toMatchObject({ code: 'SNAPSHOT_NOT_FOUND' });
+  });
+
+  test('saves a slim snapshot of the cache and keeps one per month past the retention', async () => {
+    await fs.writeFile(path.join(user.cacheDir, 'snapshots', 'index.json'), JSON.stringify([
+      { id: '2024-05-01', takenAt: '2024-05-01T10:00:00.000Z', total: 5 },
+      { id: '2024-05-02', takenAt: '2024-05-02T10:00:00.000Z', total: 4 }
+    ]));
+
+    await saveLibrarySnapshot(user, { tracks: [{ track: makeTrack('a', 'Song', { external_ids: { isrc: 'X1' } }), added_at: '2024-01-01T00:00:00Z' }] });
+
+    const today = new Date().toISOString().slice(0, 10);
+    expect((await readSnapshotIndex(user)).map(entry => entry.id)).toEqual(['2024-05-01', today]);
+    await expect(fs.access(path.join(user.cacheDir, 'snapshots', '2024-05-02.json'))).rejects.toMatchObject({ code: 'ENOENT' });
+
+    const saved = JSON.parse(await fs.readFile(path.join(user.cacheDir, 'snapshots', `${today}.json`), 'utf8'));
+    expect(saved.tracks).toEqual([{ id: 'a', name: 'Song', artists: ['Artist'], album: 'Album', isrc: 'X1', addedAt: '2024-01-01T00:00:00Z' }]);
+  });
+});
@@ -0,0 +1,80 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { readHistory, claimUndo, undoOperation } = require('../src/index');
+const { createTestUser, removeTestUser, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const removedTrack = id => ({ id, name: `Track ${id}`, artists: 'Artist', album: 'Album', addedAt: '2020-01-01T00:00:00Z' });
+
+describe('undo', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await createTestUser('undo-test', {
+      addToMySavedTracks: jest.fn().mockResolvedValue({ body: {} }),
+      containsMySavedTracks: jest.fn(ids => Promise.resolve({ body: ids.map(() => true) }))
+    });
+    await fs.writeFile(path.join(user.cacheDir, 'history.json'), JSON.stringify([{
+      id: 'op-1',
+      operation: 'remove-duplicates',
+      description: 'Removed duplicates',
+      source: { type: 'liked' },
+      timestamp: '2024-05-01T12:00:00.000Z',
+      tracks: [removedTrack('a'), removedTrack('b')],
+      undoneAt: null
+    }]));
+
+    // Saves with the original date go through the Web API directly
+    jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, text: () => Promise.resolve('') });
+  });
+
+  afterEach(async () => {
+    global.fetch.mockRestore();
+    await removeTestUser(user);
+  });
+
+  test('re-saves the tracks with their liked dates and marks the operation undone', async () => {
+    const { entry } = await claimUndo(user, 'op-1');
+    const results = await undoOperation(user, entry);
+
+    expect(results).toMatchObject({ success: true, undone: true, restoredCount: 2, totalRestored: 2 });
+    const [, request] = global.fetch.mock.calls[0];
+    expect(JSON.parse(request.body)).toEqual({
+      timestamped_ids: [{ id: 'a', added_at: '2020-01-01T00:00:00Z' }, { id: 'b', added_at: '2020-01-01T00:00:00Z' }]
+    });
+
+    const [stored] = await readHistory(user);
+    expect(stored.undoneAt).not.toBeNull();
+    expect(stored.undoStartedAt).toBeNull();
+    expect(await claimUndo(user, 'op-1')).toEqual({ status: 409, error: 'Operation has already been undone' });
+  });
+
+  test('lets only one request undo an operation at a time', async () => {
+    const [first, second] = await Promise.all([claimUndo(user, 'op-1'), claimUndo(user, 'op-1')]);
+
+    expect(first.entry.id).toBe('op-1');
+    expect(second).toEqual({ status: 409, error: 'Operation is already being undone' });
+    expect(await claimUndo(user, 'missing')).toEqual({ status: 404, error: 'Operation not found' });
+  });
+
+  test('keeps unverified saves retryable and only retries what is left', async () => {
+    user.spotifyApi.containsMySavedTracks.mockRejectedValueOnce(new Error('Network down'));
+    const failed = await undoOperation(user, (await claimUndo(user, 'op-1')).entry);
+
+    expect(failed).toMatchObject({ undone: false, restoredCount: 0 });
+    expect(failed.failed.every(track => track.retryable)).toBe(true);
+    expect((await readHistory(user))[0]).toMatchObject({ undoneAt: null, undoStartedAt: null });
+
+    // The retry re-saves both, and a track Spotify no longer has can't be retried
+    user.spotifyApi.containsMySavedTracks.mockResolvedValueOnce({ body: [true, false] });
+    const retried = await undoOperation(user, (await claimUndo(user, 'op-1')).entry);
+
+    expect(retried).toMatchObject({ undone: true, restoredCount: 1, totalRestored: 1 });
+    expect(retried.failed).toEqual([expect.objectContaining({ id: 'b', retryable: false })]);
+
+    const [stored] = await readHistory(user);
+    expect(stored.restoredIds).toEqual(['a']);
+    expect(stored.undoneAt).not.toBeNull();
+  });
+});